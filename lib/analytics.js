@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+
+const LOG_FILE = 'analytics-events.ndjson';
+const SEGMENT_PATTERN = /^analytics-events\.(\d+)\.ndjson$/;
+const MAX_REFERRERS = 100;
+
+function dateKeyOf(iso) {
+  return iso.split('T')[0];
+}
+
+function cutoffKey(days, time) {
+  return dateKeyOf(new Date(time - days * 24 * 60 * 60 * 1000).toISOString());
+}
+
+// Page views and custom events are appended to an NDJSON log instead of
+// rewriting analytics.json per request. A compaction pass periodically rotates
+// the log into a numbered segment and folds it into the daily rollups kept in
+// the 'analytics' storage document ({ pageViews, referrers, events }).
+// Old rollups are removed by purge(), driven by the retention policy.
+function createAnalytics({ dir, store, logger, compactIntervalMs = 60 * 1000, maxReferrers = MAX_REFERRERS }) {
+  fs.mkdirSync(dir, { recursive: true });
+  const logPath = path.join(dir, LOG_FILE);
+  const inFlight = new Set();
+  let compacting = null;
+  let timer = null;
+
+  function append(entry) {
+    const write = fs.promises.appendFile(logPath, JSON.stringify(entry) + '\n', 'utf8');
+    inFlight.add(write);
+    return write.finally(() => inFlight.delete(write));
+  }
+
+  function readSegment(file) {
+    return fs.readFileSync(file, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (err) {
+          // A torn line from a crash mid-append - skip it rather than lose the segment
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  function applyEntries(analytics, entries) {
+    if (!analytics.pageViews) analytics.pageViews = {};
+    if (!analytics.referrers) analytics.referrers = [];
+    if (!analytics.events) analytics.events = {};
+
+    entries.forEach(entry => {
+      const dateKey = dateKeyOf(entry.timestamp);
+      if (entry.kind === 'pageview') {
+        if (!analytics.pageViews[dateKey]) analytics.pageViews[dateKey] = {};
+        analytics.pageViews[dateKey][entry.page] = (analytics.pageViews[dateKey][entry.page] || 0) + 1;
+        if (entry.referrer) {
+          analytics.referrers.unshift({ url: entry.referrer, page: entry.page, timestamp: entry.timestamp });
+        }
+      } else if (entry.kind === 'event') {
+        if (!analytics.events[dateKey]) analytics.events[dateKey] = [];
+        analytics.events[dateKey].push({ event: entry.event, data: entry.data, timestamp: entry.timestamp });
+      }
+    });
+
+    analytics.referrers = analytics.referrers.slice(0, maxReferrers);
+  }
+
+  // Drop rollups older than the given number of days (any limit may be
+  // omitted). Returns what was, or in a dry run would be, removed.
+  function pruneRollups(analytics, { eventDays, pageViewDays, referrerDays }, time) {
+    const removed = { eventDays: 0, events: 0, pageViewDays: 0, referrers: 0 };
+    if (eventDays != null && analytics.events) {
+      const cutoff = cutoffKey(eventDays, time);
+      Object.keys(analytics.events).filter(key => key < cutoff).forEach(key => {
+        removed.eventDays++;
+        removed.events += analytics.events[key].length;
+        delete analytics.events[key];
+      });
+    }
+    if (pageViewDays != null && analytics.pageViews) {
+      const cutoff = cutoffKey(pageViewDays, time);
+      Object.keys(analytics.pageViews).filter(key => key < cutoff).forEach(key => {
+        removed.pageViewDays++;
+        delete analytics.pageViews[key];
+      });
+    }
+    if (referrerDays != null && analytics.referrers) {
+      const cutoff = new Date(time - referrerDays * 24 * 60 * 60 * 1000).toISOString();
+      const kept = analytics.referrers.filter(r => r.timestamp >= cutoff);
+      removed.referrers = analytics.referrers.length - kept.length;
+      analytics.referrers = kept;
+    }
+    return removed;
+  }
+
+  function pendingSegments() {
+    return fs.readdirSync(dir)
+      .map(name => SEGMENT_PATTERN.exec(name))
+      .filter(Boolean)
+      .map(match => ({ seq: Number(match[1]), file: path.join(dir, match[0]) }))
+      .sort((a, b) => a.seq - b.seq);
+  }
+
+  async function runCompaction() {
+    // Rotate the live log first; appends after this point go to a fresh file
+    if (fs.existsSync(logPath) && fs.statSync(logPath).size > 0) {
+      fs.renameSync(logPath, path.join(dir, `analytics-events.${Date.now()}.ndjson`));
+      // Appends opened before the rename still land in the rotated segment
+      await Promise.allSettled([...inFlight]);
+    }
+
+    let compacted = 0;
+    for (const segment of pendingSegments()) {
+      const entries = readSegment(segment.file);
+      await store.updateDocument('analytics', (analytics) => {
+        // The segment seq is recorded with the rollup, so a crash between the
+        // update and the unlink below can't double-count the same segment
+        if (analytics.lastSegment && segment.seq <= analytics.lastSegment) return;
+        applyEntries(analytics, entries);
+        analytics.lastSegment = segment.seq;
+      });
+      fs.unlinkSync(segment.file);
+      compacted += entries.length;
+    }
+
+    if (compacted > 0) {
+      logger.debug({ entries: compacted }, 'Compacted analytics log');
+    }
+    return compacted;
+  }
+
+  // Compactions are serialized; callers arriving mid-run wait for the current one
+  function compact() {
+    if (!compacting) {
+      compacting = runCompaction().finally(() => {
+        compacting = null;
+      });
+    }
+    return compacting;
+  }
+
+  return {
+    recordPageView(page, referrer) {
+      return append({ kind: 'pageview', page, referrer: referrer || undefined, timestamp: new Date().toISOString() });
+    },
+
+    recordEvent(event, data) {
+      return append({ kind: 'event', event, data: data || {}, timestamp: new Date().toISOString() });
+    },
+
+    compact,
+
+    async purge(policy, { dryRun = false, now = Date.now() } = {}) {
+      await compact();
+      if (dryRun) {
+        const analytics = JSON.parse(JSON.stringify(await store.getDocument('analytics')));
+        return pruneRollups(analytics, policy, now);
+      }
+      let removed;
+      await store.updateDocument('analytics', (analytics) => {
+        removed = pruneRollups(analytics, policy, now);
+      });
+      return removed;
+    },
+
+    // Rollups are brought up to date before reading so totals include recent traffic
+    async getRollups() {
+      await compact();
+      return store.getDocument('analytics');
+    },
+
+    start() {
+      timer = setInterval(() => {
+        compact().catch(err => logger.error({ err }, 'Analytics compaction failed'));
+      }, compactIntervalMs);
+      timer.unref();
+    },
+
+    stop() {
+      clearInterval(timer);
+      return compact();
+    }
+  };
+}
+
+module.exports = { createAnalytics };
@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const { generateId } = require('./ids');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+// Fields covered by each entry's hash, in a fixed order
+const HASHED_FIELDS = ['id', 'seq', 'timestamp', 'actor', 'actorId', 'role', 'action', 'method', 'route', 'status', 'recordIds', 'ip', 'prevHash'];
+
+function hashEntry(entry) {
+  const canonical = JSON.stringify(HASHED_FIELDS.map(field => entry[field] ?? null));
+  return crypto.createHash('sha256').update(canonical).digest('hex');
+}
+
+// Tamper-evident admin audit trail stored in the 'audit' collection. Every
+// entry carries the hash of the one before it, so editing or deleting a past
+// entry breaks the chain from that point on (see verify()). Appends are
+// serialized in-process so each entry links to the true previous one.
+function createAuditLog({ store, logger, now = Date.now }) {
+  let tail = null;
+  let queue = Promise.resolve();
+
+  async function loadTail() {
+    if (tail) return tail;
+    const entries = await store.list('audit');
+    const last = entries[entries.length - 1];
+    tail = last ? { seq: last.seq, hash: last.hash } : { seq: 0, hash: GENESIS_HASH };
+    return tail;
+  }
+
+  async function append(fields) {
+    const prev = await loadTail();
+    const entry = {
+      id: generateId(),
+      seq: prev.seq + 1,
+      timestamp: new Date(now()).toISOString(),
+      actor: fields.actor || 'anonymous',
+      actorId: fields.actorId || null,
+      role: fields.role || null,
+      action: fields.action,
+      method: fields.method || null,
+      route: fields.route || null,
+      status: fields.status ?? null,
+      recordIds: (fields.recordIds || []).map(String),
+      ip: fields.ip || null,
+      prevHash: prev.hash
+    };
+    entry.hash = hashEntry(entry);
+    await store.insert('audit', entry);
+    tail = { seq: entry.seq, hash: entry.hash };
+    return entry;
+  }
+
+  // Queue an entry; failures are logged rather than failing the request
+  function record(fields) {
+    const result = queue.then(() => append(fields));
+    queue = result.catch(err => {
+      // Re-read the tail next time in case the failed write partly landed
+      tail = null;
+      logger.error({ err, action: fields.action }, 'Failed to write audit entry');
+    });
+    return result;
+  }
+
+  return {
+    record,
+
+    // Record an admin request once its response finishes, so the status code
+    // is known. Handlers describe what they touched in res.locals.audit
+    // ({ action, recordIds }); reads are recorded like changes. Endpoints the
+    // dashboard polls set it to false to stay out of the trail.
+    trackRequest(req, res) {
+      res.on('finish', () => {
+        if (res.locals.audit === false) return;
+        const { action, recordIds } = res.locals.audit || {};
+        record({
+          actor: req.admin.username,
+          actorId: req.admin.id,
+          role: req.admin.role,
+          action: action || `${req.method} ${req.path}`,
+          method: req.method,
+          route: req.originalUrl,
+          status: res.statusCode,
+          recordIds,
+          ip: req.ip
+        }).catch(() => {});
+      });
+    },
+
+    // Walk the chain and report the first entry whose hash or link is wrong
+    async verify() {
+      const entries = await store.list('audit');
+      let prevHash = GENESIS_HASH;
+      for (let i = 0; i < entries.length; i++) {
+        const entry = entries[i];
+        if (entry.prevHash !== prevHash || hashEntry(entry) !== entry.hash || entry.seq !== i + 1) {
+          return { valid: false, entries: entries.length, brokenAt: entry.seq ?? i + 1, id: entry.id };
+        }
+        prevHash = entry.hash;
+      }
+      return { valid: true, entries: entries.length };
+    }
+  };
+}
+
+module.exports = { createAuditLog };
@@ -0,0 +1,269 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { generateId } = require('./ids');
+const totp = require('./totp');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Roles in ascending order of privilege
+const ROLES = ['viewer', 'triager', 'owner'];
+const SESSION_COOKIE = 'tsono_admin';
+const USERNAME_PATTERN = /^[a-z0-9._-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 12;
+const KEY_LENGTH = 64;
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+
+function hasRole(user, minRole) {
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(minRole);
+}
+
+// Stored as scrypt$<salt>$<hash>, both hex
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scrypt(String(password), Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Admin record without secrets, safe to send to the dashboard
+function publicUser(user) {
+  const { passwordHash, totpSecret, totpPending, totpLastCounter, recoveryCodes, ...rest } = user;
+  return {
+    ...rest,
+    twoFactorEnabled: Boolean(totpSecret),
+    recoveryCodesLeft: recoveryCodes ? recoveryCodes.length : 0
+  };
+}
+
+function validateUsername(username) {
+  return typeof username === 'string' && USERNAME_PATTERN.test(username);
+}
+
+function validatePassword(password) {
+  return typeof password === 'string' && password.length >= MIN_PASSWORD_LENGTH && password.length <= 200;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Admin accounts live in the 'admins' collection and sessions in 'sessions'.
+// Only a SHA-256 of the session token is stored, so a copy of the data
+// directory can't be replayed as a login. Accounts with TOTP enabled get a
+// short-lived challenge ('login_challenges') after the password step instead
+// of a session. `now` can be swapped for a fake clock.
+function createAccounts({ store, sessionTtlMs, now = Date.now }) {
+  async function findByUsername(username) {
+    const admins = await store.list('admins');
+    return admins.find(a => a.username === String(username || '').toLowerCase()) || null;
+  }
+
+  // Check a TOTP or recovery code for a user, consuming it on success
+  async function checkSecondFactor(user, { code, recoveryCode }) {
+    if (!user.totpSecret) return false;
+
+    if (recoveryCode) {
+      const hash = totp.hashRecoveryCode(recoveryCode);
+      if (!(user.recoveryCodes || []).includes(hash)) return false;
+      await store.update('admins', user.id, { recoveryCodes: user.recoveryCodes.filter(h => h !== hash) });
+      return true;
+    }
+
+    const counter = totp.verifyTotp(user.totpSecret, code, {
+      now: now(),
+      lastCounter: user.totpLastCounter ?? -1
+    });
+    if (counter === null) return false;
+    await store.update('admins', user.id, { totpLastCounter: counter });
+    return true;
+  }
+
+  return {
+    async list() {
+      return store.list('admins');
+    },
+
+    async count() {
+      return (await store.list('admins')).length;
+    },
+
+    get(id) {
+      return store.get('admins', id);
+    },
+
+    findByUsername,
+
+    async create({ username, password, role }) {
+      const user = {
+        id: generateId(),
+        username: username.toLowerCase(),
+        passwordHash: await hashPassword(password),
+        role,
+        disabled: false,
+        createdAt: new Date().toISOString()
+      };
+      await store.insert('admins', user);
+      return user;
+    },
+
+    update(id, changes) {
+      return store.update('admins', id, { ...changes, updatedAt: new Date().toISOString() });
+    },
+
+    remove(id) {
+      return store.remove('admins', id);
+    },
+
+    // Returns the user for a correct, enabled login, otherwise null
+    async authenticate(username, password) {
+      const user = await findByUsername(username);
+      if (!user || user.disabled) {
+        // Burn the same time as a real check so usernames can't be probed
+        await hashPassword(String(password || ''));
+        return null;
+      }
+      return (await verifyPassword(password, user.passwordHash)) ? user : null;
+    },
+
+    async createSession(user, meta = {}) {
+      const token = crypto.randomBytes(32).toString('base64url');
+      const time = now();
+      // Drop expired sessions while we're writing anyway
+      await store.mutate('sessions', sessions => sessions
+        .filter(s => new Date(s.expiresAt).getTime() > time)
+        .concat({
+          id: hashToken(token),
+          userId: user.id,
+          ip: meta.ip,
+          createdAt: new Date(time).toISOString(),
+          expiresAt: new Date(time + sessionTtlMs).toISOString()
+        }));
+      return token;
+    },
+
+    // Resolve a session token to { session, user }, or null if invalid
+    async resolveSession(token) {
+      if (!token) return null;
+      const session = await store.get('sessions', hashToken(String(token)));
+      if (!session || new Date(session.expiresAt).getTime() <= now()) return null;
+      const user = await store.get('admins', session.userId);
+      if (!user || user.disabled) return null;
+      return { session, user };
+    },
+
+    destroySession(token) {
+      return store.remove('sessions', hashToken(String(token)));
+    },
+
+    // Revoke every session belonging to a user
+    revokeSessions(userId) {
+      return store.mutate('sessions', sessions => sessions.filter(s => String(s.userId) !== String(userId)));
+    },
+
+    // --- Two-factor (TOTP) ---
+
+    // Start enrollment: a pending secret is stored until a code confirms it
+    async beginTwoFactorSetup(user) {
+      const secret = totp.generateSecret();
+      await store.update('admins', user.id, { totpPending: secret });
+      return { secret, uri: totp.provisioningUri({ secret, account: user.username }) };
+    },
+
+    // Confirm enrollment with a code from the app. Returns the plaintext
+    // recovery codes (shown once) or null if the code is wrong.
+    async enableTwoFactor(user, code) {
+      const fresh = await store.get('admins', user.id);
+      if (!fresh || !fresh.totpPending) return null;
+      const counter = totp.verifyTotp(fresh.totpPending, code, { now: now() });
+      if (counter === null) return null;
+
+      const codes = totp.generateRecoveryCodes();
+      await store.update('admins', user.id, {
+        totpSecret: fresh.totpPending,
+        totpPending: null,
+        totpLastCounter: counter,
+        recoveryCodes: codes.map(totp.hashRecoveryCode),
+        updatedAt: new Date(now()).toISOString()
+      });
+      return codes;
+    },
+
+    disableTwoFactor(userId) {
+      return store.update('admins', userId, {
+        totpSecret: null,
+        totpPending: null,
+        totpLastCounter: null,
+        recoveryCodes: [],
+        updatedAt: new Date(now()).toISOString()
+      });
+    },
+
+    checkSecondFactor,
+
+    // Issued after a correct password when the account has TOTP enabled
+    async createLoginChallenge(user) {
+      const token = crypto.randomBytes(32).toString('base64url');
+      const time = now();
+      await store.mutate('login_challenges', challenges => challenges
+        .filter(c => new Date(c.expiresAt).getTime() > time)
+        .concat({
+          id: hashToken(token),
+          userId: user.id,
+          attempts: 0,
+          expiresAt: new Date(time + CHALLENGE_TTL_MS).toISOString()
+        }));
+      return token;
+    },
+
+    // Account a pending challenge belongs to, without consuming an attempt
+    async getChallengeUser(token) {
+      const challenge = await store.get('login_challenges', hashToken(String(token || '')));
+      if (!challenge || new Date(challenge.expiresAt).getTime() <= now()) return null;
+      return store.get('admins', challenge.userId);
+    },
+
+    // Verify the second step of a login. Returns the user on success. Each
+    // challenge allows a few attempts before it is discarded.
+    async completeLoginChallenge(token, factors) {
+      const id = hashToken(String(token || ''));
+      const challenge = await store.get('login_challenges', id);
+      if (!challenge || new Date(challenge.expiresAt).getTime() <= now()) return null;
+
+      const user = await store.get('admins', challenge.userId);
+      if (!user || user.disabled) return null;
+
+      if (await checkSecondFactor(user, factors)) {
+        await store.remove('login_challenges', id);
+        return user;
+      }
+
+      if (challenge.attempts + 1 >= MAX_CHALLENGE_ATTEMPTS) {
+        await store.remove('login_challenges', id);
+      } else {
+        await store.update('login_challenges', id, { attempts: challenge.attempts + 1 });
+      }
+      return null;
+    }
+  };
+}
+
+module.exports = {
+  ROLES,
+  SESSION_COOKIE,
+  MIN_PASSWORD_LENGTH,
+  hasRole,
+  hashPassword,
+  verifyPassword,
+  publicUser,
+  validateUsername,
+  validatePassword,
+  createAccounts
+};
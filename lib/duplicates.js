@@ -0,0 +1,141 @@
+const { COLLECTIONS } = require('./storage');
+const { normalizeEmail } = require('./validation');
+
+function byTimestamp(a, b) {
+  return String(a.timestamp).localeCompare(String(b.timestamp));
+}
+
+// Pseudonymized records (see ./privacy.js) are never grouped
+function isRedacted(record) {
+  return String(record.email || '').endsWith('@invalid');
+}
+
+// Fold a set of leads for one person into the oldest, which keeps its
+// waitlist slot and referral code. Interest history, signup counts and
+// confirmation carry over; name and email come from `identity`.
+function mergeLeads(leads, identity, mergedAt) {
+  const [keeper, ...rest] = [...leads].sort(byTimestamp);
+  const history = leads
+    .flatMap(l => l.interestHistory || [{ interest: l.interest, at: l.timestamp }])
+    .sort((a, b) => String(a.at).localeCompare(String(b.at)));
+  const confirmed = leads.filter(l => l.status === 'confirmed');
+  const ids = new Set(leads.map(l => l.id));
+
+  return {
+    ...keeper,
+    name: identity.name,
+    email: identity.email,
+    interest: history[history.length - 1].interest,
+    interestHistory: history,
+    signupCount: leads.reduce((sum, l) => sum + (l.signupCount || 1), 0),
+    status: confirmed.length > 0 ? 'confirmed' : keeper.status,
+    confirmedAt: confirmed.map(l => l.confirmedAt).filter(Boolean).sort()[0] || null,
+    // Credit the first referrer outside the group, if any
+    referredBy: leads.map(l => l.referredBy).find(id => id && !ids.has(id)) || null,
+    mergedFrom: [...(keeper.mergedFrom || []), ...rest.map(l => l.id)],
+    mergedAt
+  };
+}
+
+// Duplicate review across the submission collections. Records are grouped
+// by normalized email; a group needs review when it holds more than one lead
+// or its records disagree on name or email spelling. Several contact
+// messages from one person are normal and not flagged on their own.
+function createDuplicates({ store, searchIndex, now = Date.now }) {
+  async function loadGroups() {
+    const groups = new Map();
+    for (const collection of COLLECTIONS) {
+      (await store.list(collection)).forEach(record => {
+        if (!record.email || isRedacted(record)) return;
+        const key = normalizeEmail(record.email);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push({ collection, record });
+      });
+    }
+    return groups;
+  }
+
+  function needsReview(entries) {
+    const leads = entries.filter(e => e.collection === 'leads').length;
+    const emails = new Set(entries.map(e => e.record.email.trim().toLowerCase()));
+    const names = new Set(entries.map(e => String(e.record.name || '').trim()));
+    return leads > 1 || emails.size > 1 || names.size > 1;
+  }
+
+  return {
+    // Groups that need review, largest first
+    async findGroups() {
+      const groups = [];
+      (await loadGroups()).forEach((entries, key) => {
+        if (entries.length < 2 || !needsReview(entries)) return;
+        groups.push({
+          key,
+          records: entries
+            .map(({ collection, record }) => ({
+              collection,
+              id: record.id,
+              name: record.name,
+              email: record.email,
+              status: record.status || null,
+              timestamp: record.timestamp
+            }))
+            .sort(byTimestamp)
+        });
+      });
+      return groups.sort((a, b) => b.records.length - a.records.length || a.key.localeCompare(b.key));
+    },
+
+    // Merge the group for normalized email `key`. The record named by
+    // `primary` ({ collection, id }) supplies the name and email; duplicate
+    // leads collapse into one and every other record takes the same
+    // identity. Returns null if the group or primary record doesn't exist.
+    async merge(key, primary) {
+      const entries = (await loadGroups()).get(normalizeEmail(key));
+      const chosen = entries && entries.find(e => e.collection === primary.collection && e.record.id === primary.id);
+      if (!chosen) return null;
+
+      const identity = { name: chosen.record.name, email: chosen.record.email };
+      const mergedAt = new Date(now()).toISOString();
+      const result = { key: normalizeEmail(key), identity, removed: { leads: [] }, updated: {} };
+
+      const leadIds = entries.filter(e => e.collection === 'leads').map(e => e.record.id);
+      if (leadIds.length > 0) {
+        let kept;
+        await store.mutate('leads', records => {
+          const group = records.filter(r => leadIds.includes(r.id));
+          if (group.length === 0) return records;
+          kept = mergeLeads(group, identity, mergedAt);
+          const dropped = new Set(group.map(r => r.id).filter(id => id !== kept.id));
+          result.removed.leads = [...dropped];
+          return records
+            .filter(r => !dropped.has(r.id))
+            .map(r => {
+              if (r.id === kept.id) return kept;
+              // Referrals credited to a merged-away lead move to the keeper
+              return dropped.has(r.referredBy) ? { ...r, referredBy: kept.id } : r;
+            });
+        });
+        result.removed.leads.forEach(id => searchIndex.remove('leads', id));
+        if (kept) {
+          searchIndex.add('leads', kept);
+          result.updated.leads = [kept.id];
+        }
+      }
+
+      for (const collection of COLLECTIONS.filter(c => c !== 'leads')) {
+        result.updated[collection] = [];
+        for (const { record } of entries.filter(e => e.collection === collection)) {
+          if (record.name === identity.name && record.email === identity.email) continue;
+          const updated = await store.update(collection, record.id, { ...identity, mergedAt, updatedAt: mergedAt });
+          if (updated) {
+            searchIndex.add(collection, updated);
+            result.updated[collection].push(updated.id);
+          }
+        }
+      }
+      return result;
+    }
+  };
+}
+
+module.exports = { createDuplicates };
@@ -0,0 +1,195 @@
+const dns = require('dns');
+const fs = require('fs');
+const path = require('path');
+const { isValidEmail } = require('./validation');
+
+const DISPOSABLE_DOMAINS_FILE = path.join(__dirname, '..', 'config', 'disposable-domains.txt');
+const MX_CACHE_MS = 60 * 60 * 1000;
+// Domains kept in the MX cache; the least recently used are dropped first
+const MX_CACHE_SIZE = 1000;
+
+// Providers whose names people most often mistype. Lookalikes that are real
+// providers in their own right (mail.com, ymail.com) are listed so they are
+// never "corrected".
+const COMMON_DOMAINS = [
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.co.uk', 'ymail.com', 'rocketmail.com',
+  'hotmail.com', 'hotmail.co.uk', 'outlook.com', 'live.com', 'msn.com',
+  'icloud.com', 'me.com', 'mac.com', 'aol.com', 'mail.com', 'gmx.com', 'gmx.net',
+  'protonmail.com', 'proton.me', 'zoho.com', 'yandex.com', 'fastmail.com',
+  'comcast.net', 'verizon.net', 'att.net', 'sbcglobal.net', 'btinternet.com'
+];
+
+const TLD_TYPOS = {
+  con: 'com', cmo: 'com', ocm: 'com', vom: 'com', xom: 'com', cpm: 'com', comm: 'com',
+  nte: 'net', ent: 'net', nett: 'net',
+  ogr: 'org', rog: 'org', orgg: 'org'
+};
+
+const MESSAGES = {
+  invalid: 'Valid email is required',
+  disposable: 'Please use a permanent email address, not a disposable one',
+  undeliverable: "That email domain can't receive mail"
+};
+
+// Lines of a domain list file; # starts a comment
+function parseDomainList(text) {
+  return [...new Set(text.split(/\r?\n/)
+    .map(line => line.replace(/#.*/, '').trim().toLowerCase())
+    .filter(Boolean))];
+}
+
+function loadDomainList(file = DISPOSABLE_DOMAINS_FILE) {
+  return new Set(parseDomainList(fs.readFileSync(file, 'utf8')));
+}
+
+// Edit distance counting a swap of neighbouring letters as one edit
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+function tldOf(domain) {
+  return domain.slice(domain.lastIndexOf('.') + 1);
+}
+
+// Likely intended domain for a mistyped one ("gmial.con" -> "gmail.com"), or
+// null. Fixes a mistyped TLD first, then looks for a common provider one
+// edit away (two for longer names, as long as the TLD already matches).
+// Short providers are left alone: gm.com is not a typo of gmx.com.
+function suggestDomain(domain) {
+  if (COMMON_DOMAINS.includes(domain)) return null;
+  const tld = tldOf(domain);
+  const fixed = TLD_TYPOS[tld] ? `${domain.slice(0, -tld.length)}${TLD_TYPOS[tld]}` : domain;
+
+  let best = null;
+  let bestDistance = Infinity;
+  COMMON_DOMAINS.forEach(candidate => {
+    const distance = editDistance(fixed, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  });
+  const close = bestDistance === 0 ||
+    (bestDistance === 1 && best.length >= 8) ||
+    (bestDistance === 2 && fixed.length >= 9 && tldOf(fixed) === tldOf(best));
+  if (close) return best;
+  return fixed === domain ? null : fixed;
+}
+
+// Email checks for the public forms: syntax, likely typos, disposable inbox
+// providers and whether the domain accepts mail. `resolver` only needs
+// resolveMx, resolve4 and resolve6, so tests can pass a stub. DNS failures
+// other than "no such domain / no such record" let the address through
+// rather than block signups while DNS is having a bad day.
+function createEmailChecker({
+  resolver = new dns.promises.Resolver({ timeout: 3000, tries: 2 }),
+  disposableDomains = loadDomainList(),
+  checkMx = true,
+  cacheSize = MX_CACHE_SIZE,
+  logger,
+  now = Date.now
+} = {}) {
+  // Map order doubles as recency: hits are moved to the end, and the first
+  // entry is the one to evict
+  const mxCache = new Map();
+
+  function cachedAccepts(domain) {
+    const cached = mxCache.get(domain);
+    if (!cached) return undefined;
+    mxCache.delete(domain);
+    if (cached.expires <= now()) return undefined;
+    mxCache.set(domain, cached);
+    return cached.accepts;
+  }
+
+  function cacheAccepts(domain, accepts) {
+    mxCache.delete(domain);
+    mxCache.set(domain, { accepts, expires: now() + MX_CACHE_MS });
+    while (mxCache.size > cacheSize) {
+      mxCache.delete(mxCache.keys().next().value);
+    }
+  }
+
+  function isDisposable(domain) {
+    const labels = domain.split('.');
+    return labels.some((_, i) => disposableDomains.has(labels.slice(i).join('.')));
+  }
+
+  // Records of one type, [] if the name exists without any (NODATA), or
+  // null if the name doesn't exist (NXDOMAIN). Other errors are thrown.
+  async function resolve(method, domain) {
+    try {
+      return await resolver[method](domain);
+    } catch (err) {
+      if (err.code === dns.NODATA) return [];
+      if (err.code === dns.NOTFOUND) return null;
+      throw err;
+    }
+  }
+
+  // true / false, or null when the lookup itself failed
+  async function acceptsMail(domain) {
+    const cached = cachedAccepts(domain);
+    if (cached !== undefined) return cached;
+
+    let accepts;
+    try {
+      const records = await resolve('resolveMx', domain);
+      if (records === null) {
+        accepts = false;
+      } else if (records.length > 0) {
+        // A single "." exchange is a null MX (RFC 7505): the domain takes no mail
+        accepts = records.some(r => r.exchange && r.exchange !== '.');
+      } else {
+        // Without MX records mail goes to the domain's own address
+        // (RFC 5321 section 5.1), so it needs an A or AAAA record
+        const [ipv4, ipv6] = await Promise.all([resolve('resolve4', domain), resolve('resolve6', domain)]);
+        accepts = Boolean((ipv4 && ipv4.length > 0) || (ipv6 && ipv6.length > 0));
+      }
+    } catch (err) {
+      if (logger) logger.warn({ domain, code: err.code }, 'MX lookup failed, accepting address');
+      return null;
+    }
+    cacheAccepts(domain, accepts);
+    return accepts;
+  }
+
+  return {
+    // Returns { valid: true } or { valid: false, reason, message, suggestion? }
+    // where reason is invalid | typo | disposable | undeliverable. With
+    // allowTypo the visitor has seen the suggestion and kept their address.
+    async check(email, { allowTypo = false } = {}) {
+      if (!isValidEmail(email)) {
+        return { valid: false, reason: 'invalid', message: MESSAGES.invalid };
+      }
+      const at = email.lastIndexOf('@');
+      const domain = email.slice(at + 1).toLowerCase();
+
+      const suggested = allowTypo ? null : suggestDomain(domain);
+      if (suggested) {
+        const suggestion = `${email.slice(0, at)}@${suggested}`;
+        return { valid: false, reason: 'typo', message: `Did you mean ${suggestion}?`, suggestion };
+      }
+      if (isDisposable(domain)) {
+        return { valid: false, reason: 'disposable', message: MESSAGES.disposable };
+      }
+      if (checkMx && (await acceptsMail(domain)) === false) {
+        return { valid: false, reason: 'undeliverable', message: MESSAGES.undeliverable };
+      }
+      return { valid: true };
+    }
+  };
+}
+
+module.exports = { createEmailChecker, loadDomainList, parseDomainList, suggestDomain, DISPOSABLE_DOMAINS_FILE };
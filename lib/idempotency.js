@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+
+// Keys are random per submission (the forms send a UUID); anything outside
+// this shape is refused rather than stored
+const KEY_PATTERN = /^[A-Za-z0-9_-]{16,100}$/;
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// Idempotency-Key support for the public form endpoints. The first
+// successful response for a key is stored (collection 'idempotency') and
+// sent again for any repeat of that request, so a resent submission - the
+// service worker replaying one queued offline, or a visitor pressing submit
+// again after a dropped connection - never creates a second record. Failed
+// responses aren't stored: nothing was saved, and the visitor may correct
+// the form and send it again with the same key.
+//
+// `ignoreFields` are left out when comparing a repeat with the original,
+// e.g. a proof-of-work answer a replay has to renew.
+function createIdempotency({ store, logger, ignoreFields = [], ttlMs = DEFAULT_TTL_MS, now = Date.now }) {
+  // Requests being handled, by entry id. A repeat that arrives meanwhile
+  // waits for the first to finish instead of racing it.
+  const inFlight = new Map();
+
+  function claim(id) {
+    let release;
+    inFlight.set(id, new Promise(resolve => {
+      release = () => {
+        inFlight.delete(id);
+        resolve();
+      };
+    }));
+    return release;
+  }
+
+  function fingerprintOf(body) {
+    const content = body && typeof body === 'object' && !Array.isArray(body)
+      ? Object.fromEntries(Object.entries(body).filter(([field]) => !ignoreFields.includes(field)))
+      : body;
+    return sha256(JSON.stringify(content));
+  }
+
+  async function lookup(id) {
+    const entry = await store.get('idempotency', id);
+    if (!entry) return null;
+    // Expired entries are also swept by the retention job
+    if (now() - Date.parse(entry.timestamp) > ttlMs) {
+      await store.remove('idempotency', id);
+      return null;
+    }
+    return entry;
+  }
+
+  // Express middleware. Requests without the header are handled as usual.
+  function middleware(req, res, next) {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) return next();
+    if (!KEY_PATTERN.test(key)) {
+      return res.status(400).json({ success: false, message: 'Invalid Idempotency-Key header' });
+    }
+
+    // Scoped to the endpoint, and hashed so the stored id is a fixed shape
+    const id = sha256(`${req.path}:${key}`);
+    const fingerprint = fingerprintOf(req.body);
+
+    (async () => {
+      while (inFlight.has(id)) await inFlight.get(id);
+      res.on('close', claim(id));
+
+      const entry = await lookup(id);
+      if (entry) {
+        if (entry.fingerprint !== fingerprint) {
+          return res.status(422).json({ success: false, message: 'This Idempotency-Key was already used for a different request' });
+        }
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(entry.status).json(entry.body);
+      }
+
+      // Save the response before it is sent, so a repeat released by
+      // 'close' always finds it
+      const send = res.json.bind(res);
+      res.json = body => {
+        if (res.statusCode >= 300 || !body || !body.success) return send(body);
+        store.insert('idempotency', {
+          id,
+          path: req.path,
+          fingerprint,
+          status: res.statusCode,
+          body,
+          timestamp: new Date(now()).toISOString()
+        }).catch(err => {
+          logger.error({ err, path: req.path }, 'Error saving idempotent response');
+        }).then(() => send(body));
+        return res;
+      };
+      next();
+    })().catch(next);
+  }
+
+  return { middleware };
+}
+
+module.exports = { createIdempotency };
@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+
+// Crockford base32 (no I, L, O, U)
+const ENCODING = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const TIME_LENGTH = 10;
+const RANDOM_LENGTH = 16;
+
+const ULID_PATTERN = /^[0-9A-HJKMNP-TV-Z]{26}$/;
+// Records created before ULIDs used Date.now() as their id
+const LEGACY_ID_PATTERN = /^\d{1,16}$/;
+
+let lastTime = 0;
+let lastRandom = null;
+
+function encodeTime(time) {
+  let out = '';
+  for (let i = 0; i < TIME_LENGTH; i++) {
+    out = ENCODING[time % 32] + out;
+    time = Math.floor(time / 32);
+  }
+  return out;
+}
+
+function randomDigits() {
+  const bytes = crypto.randomBytes(RANDOM_LENGTH);
+  return Array.from(bytes, b => b % 32);
+}
+
+// Bump the random part by one so ids minted in the same millisecond stay
+// unique and sort in creation order
+function increment(digits) {
+  const next = digits.slice();
+  for (let i = next.length - 1; i >= 0; i--) {
+    if (next[i] < 31) {
+      next[i]++;
+      return next;
+    }
+    next[i] = 0;
+  }
+  throw new Error('ULID random component overflow');
+}
+
+// Generate a lexicographically sortable, collision-free record id (ULID)
+function generateId(now = Date.now()) {
+  if (now <= lastTime && lastRandom) {
+    lastRandom = increment(lastRandom);
+    now = lastTime;
+  } else {
+    lastRandom = randomDigits();
+    lastTime = now;
+  }
+  return encodeTime(now) + lastRandom.map(d => ENCODING[d]).join('');
+}
+
+// Accepts ULIDs and legacy numeric ids
+function isValidId(id) {
+  const value = String(id);
+  return ULID_PATTERN.test(value) || LEGACY_ID_PATTERN.test(value);
+}
+
+module.exports = { generateId, isValidId };
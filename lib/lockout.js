@@ -0,0 +1,134 @@
+// Progressive lockout for failed admin logins, tracked per IP and per account
+// independently of the express-rate-limit limiters. After `threshold`
+// failures a key is locked for `baseMs`; every further failure doubles the
+// lock up to `maxMs`. A successful login clears both keys, and idle keys are
+// forgotten after `resetMs`. State is in-memory, like the rate limiters.
+
+const MAX_TRACKED_KEYS = 10000;
+
+function createLockout({
+  threshold = 5,
+  baseMs = 60 * 1000,
+  maxMs = 60 * 60 * 1000,
+  resetMs = 24 * 60 * 60 * 1000,
+  alertThreshold = 20,
+  alertWindowMs = 15 * 60 * 1000,
+  logger,
+  now = Date.now
+} = {}) {
+  const trackers = { ip: new Map(), account: new Map() };
+  let recentFailures = [];
+  let alerting = false;
+
+  function accountKey(username) {
+    return String(username || '').trim().toLowerCase();
+  }
+
+  function prune(time) {
+    for (const map of Object.values(trackers)) {
+      for (const [key, entry] of map) {
+        if (entry.lockedUntil <= time && time - entry.lastFailureAt > resetMs) map.delete(key);
+      }
+    }
+    recentFailures = recentFailures.filter(t => time - t < alertWindowMs);
+    if (alerting && recentFailures.length < alertThreshold) alerting = false;
+  }
+
+  function lockFor(failures) {
+    if (failures < threshold) return 0;
+    return Math.min(maxMs, baseMs * 2 ** (failures - threshold));
+  }
+
+  function fail(scope, key, time) {
+    const map = trackers[scope];
+    if (!map.has(key) && map.size >= MAX_TRACKED_KEYS) {
+      // Evict the oldest key (Maps iterate in insertion order)
+      map.delete(map.keys().next().value);
+    }
+    const entry = map.get(key) || { failures: 0, lockedUntil: 0, lastFailureAt: 0 };
+    entry.failures++;
+    entry.lastFailureAt = time;
+    const duration = lockFor(entry.failures);
+    if (duration) {
+      entry.lockedUntil = time + duration;
+      logger.warn({ scope, key, failures: entry.failures, lockedForMs: duration }, 'Admin login locked out');
+    }
+    map.set(key, entry);
+  }
+
+  function lockedUntil(scope, key) {
+    const entry = key ? trackers[scope].get(key) : null;
+    return entry ? entry.lockedUntil : 0;
+  }
+
+  // Returns { locked, scope, retryAfterMs } for a login attempt
+  function check(ip, username) {
+    const time = now();
+    const ipUntil = lockedUntil('ip', ip);
+    const accountUntil = lockedUntil('account', accountKey(username));
+    const until = Math.max(ipUntil, accountUntil);
+    if (until <= time) return { locked: false };
+    return {
+      locked: true,
+      scope: ipUntil >= accountUntil ? 'ip' : 'account',
+      retryAfterMs: until - time
+    };
+  }
+
+  return {
+    check,
+
+    recordFailure(ip, username) {
+      const time = now();
+      prune(time);
+      fail('ip', ip, time);
+      if (accountKey(username)) fail('account', accountKey(username), time);
+
+      recentFailures.push(time);
+      if (!alerting && recentFailures.length >= alertThreshold) {
+        alerting = true;
+        logger.error({ failures: recentFailures.length, windowMs: alertWindowMs }, 'Admin login failures crossed alert threshold');
+      }
+      return check(ip, username);
+    },
+
+    recordSuccess(ip, username) {
+      trackers.ip.delete(ip);
+      trackers.account.delete(accountKey(username));
+    },
+
+    // Lift a lockout early (owner action)
+    clear({ ip, username }) {
+      let cleared = false;
+      if (ip) cleared = trackers.ip.delete(ip) || cleared;
+      if (username) cleared = trackers.account.delete(accountKey(username)) || cleared;
+      return cleared;
+    },
+
+    status() {
+      const time = now();
+      prune(time);
+      const list = scope => [...trackers[scope]]
+        .map(([key, entry]) => ({
+          key,
+          failures: entry.failures,
+          locked: entry.lockedUntil > time,
+          lockedUntil: entry.lockedUntil > time ? new Date(entry.lockedUntil).toISOString() : null,
+          lastFailureAt: new Date(entry.lastFailureAt).toISOString()
+        }))
+        .sort((a, b) => b.failures - a.failures);
+
+      return {
+        ips: list('ip'),
+        accounts: list('account'),
+        recentFailures: recentFailures.length,
+        alertThreshold,
+        alertWindowMs,
+        alert: recentFailures.length >= alertThreshold,
+        policy: { threshold, baseMs, maxMs }
+      };
+    }
+  };
+}
+
+module.exports = { createLockout };
@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { generateId } = require('./ids');
+
+// Outgoing mail with pluggable transports, chosen by MAIL_TRANSPORT:
+//   console - log that a message was sent (default, for local development);
+//             the body, with its links, only at debug level
+//   file    - write each message as JSON into `dir` for inspection
+//   smtp    - deliver through SMTP_HOST / SMTP_PORT (SMTP_USER, SMTP_PASS)
+// A transport is an object with `async send(message)`.
+
+// Recipients are masked with `maskEmail` so logs hold no plain addresses
+function createConsoleTransport({ logger, maskEmail }) {
+  return {
+    async send(message) {
+      const to = message.to.split(',').map(address => maskEmail(address.trim())).join(', ');
+      logger.info({ to, subject: message.subject }, 'Email (console transport)');
+      logger.debug({ to, text: message.text }, 'Email body (console transport)');
+    }
+  };
+}
+
+function createFileTransport({ dir }) {
+  return {
+    async send(message) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${message.id}.json`);
+      await fs.promises.writeFile(file, JSON.stringify(message, null, 2));
+    }
+  };
+}
+
+function createSmtpTransport({ env = process.env } = {}) {
+  if (!env.SMTP_HOST) {
+    throw new Error('MAIL_TRANSPORT=smtp requires SMTP_HOST');
+  }
+  const port = Number(env.SMTP_PORT) || 587;
+  const transporter = nodemailer.createTransport({
+    host: env.SMTP_HOST,
+    port,
+    // Implicit TLS on 465, STARTTLS upgrade otherwise
+    secure: env.SMTP_SECURE ? env.SMTP_SECURE === 'true' : port === 465,
+    auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined
+  });
+
+  return {
+    async send(message) {
+      await transporter.sendMail({
+        messageId: `<${message.id}@tsono.app>`,
+        from: message.from,
+        to: message.to,
+        subject: message.subject,
+        text: message.text,
+        date: new Date(message.date)
+      });
+    }
+  };
+}
+
+function createMailer({ transport = process.env.MAIL_TRANSPORT || 'console', dir, from, logger, maskEmail, env = process.env }) {
+  const sender = from || process.env.MAIL_FROM || 'Tsono <no-reply@tsono.app>';
+  let impl;
+  if (transport === 'console') {
+    impl = createConsoleTransport({ logger, maskEmail });
+  } else if (transport === 'file') {
+    impl = createFileTransport({ dir });
+  } else if (transport === 'smtp') {
+    impl = createSmtpTransport({ env });
+  } else if (typeof transport === 'object') {
+    impl = transport;
+  } else {
+    throw new Error(`Unknown MAIL_TRANSPORT "${transport}" (expected console, file or smtp)`);
+  }
+
+  return {
+    // Send a plain-text message: { to, subject, text }
+    async send({ to, subject, text }) {
+      const message = { id: generateId(), from: sender, to, subject, text, date: new Date().toISOString() };
+      await impl.send(message);
+      return message;
+    }
+  };
+}
+
+module.exports = { createMailer };
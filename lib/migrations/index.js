@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+const { COLLECTIONS } = require('../storage');
+const { RECORD_STATUSES, LEAD_STATUSES, unescapeHtml } = require('../validation');
+const { deriveReferralCodes } = require('../referrals');
+
+// Inbox triage fields shared by contacts and investors
+const triageFields = record => ({
+  ...record,
+  status: RECORD_STATUSES.includes(record.status) ? record.status : 'new',
+  assignee: record.assignee || '',
+  notes: record.notes || ''
+});
+
+// Assignee and notes used to be saved HTML-escaped like public form input;
+// they are now stored as typed
+const unescapeTriageFields = record => ({
+  ...record,
+  assignee: unescapeHtml(record.assignee || ''),
+  notes: unescapeHtml(record.notes || '')
+});
+
+// Schema migrations per collection. Each step upgrades a single record from
+// version - 1 to version; steps must be pure and safe to re-run on records
+// that already have the new shape. A step that needs to see the whole
+// collection (to keep values unique, say) can add prepare(records), whose
+// result is passed to up() as its second argument. Append new steps, never
+// edit old ones.
+const MIGRATIONS = {
+  leads: [
+    {
+      version: 1,
+      description: 'Baseline lead fields',
+      up: record => ({
+        ...record,
+        type: 'lead',
+        interest: record.interest || 'general'
+      })
+    },
+    {
+      version: 2,
+      description: 'Double opt-in status; existing leads start unconfirmed',
+      up: record => ({
+        ...record,
+        status: LEAD_STATUSES.includes(record.status) ? record.status : 'pending',
+        confirmedAt: record.confirmedAt || null
+      })
+    },
+    {
+      version: 3,
+      description: 'Waitlist referral code and referrer',
+      prepare: deriveReferralCodes,
+      up: (record, codes) => ({
+        ...record,
+        referralCode: record.referralCode || codes.get(record.id),
+        referredBy: record.referredBy || null
+      })
+    },
+    {
+      version: 4,
+      description: 'Interest history and signup count for repeat signups',
+      up: record => ({
+        ...record,
+        interestHistory: record.interestHistory || [{ interest: record.interest, at: record.timestamp }],
+        signupCount: record.signupCount || 1
+      })
+    },
+    {
+      version: 5,
+      description: 'When the last confirmation email was sent',
+      up: record => ({
+        ...record,
+        confirmationSentAt: record.confirmationSentAt || null
+      })
+    }
+  ],
+  contacts: [
+    {
+      version: 1,
+      description: 'Baseline contact fields',
+      up: record => ({
+        ...record,
+        type: 'contact',
+        subject: record.subject || 'General Inquiry',
+        message: record.message || '',
+        status: record.status || 'new'
+      })
+    },
+    {
+      version: 2,
+      description: 'Inbox triage status, assignee and notes',
+      up: triageFields
+    },
+    {
+      version: 3,
+      description: 'Assignee and notes stored unescaped',
+      up: unescapeTriageFields
+    }
+  ],
+  investors: [
+    {
+      version: 1,
+      description: 'Baseline investor fields',
+      up: record => ({
+        ...record,
+        type: 'investor',
+        company: record.company || '',
+        inquiryType: record.inquiryType || 'general',
+        message: record.message || '',
+        status: record.status || 'new'
+      })
+    },
+    {
+      version: 2,
+      description: 'Inbox triage status, assignee and notes',
+      up: triageFields
+    },
+    {
+      version: 3,
+      description: 'Assignee and notes stored unescaped',
+      up: unescapeTriageFields
+    }
+  ]
+};
+
+// Latest schema version per collection
+const SCHEMA_VERSIONS = Object.fromEntries(
+  Object.entries(MIGRATIONS).map(([collection, steps]) => [collection, steps[steps.length - 1].version])
+);
+
+function writeBackup(backupDir, collection, version, records) {
+  fs.mkdirSync(backupDir, { recursive: true });
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const file = path.join(backupDir, `${collection}.v${version}.${stamp}.json`);
+  fs.writeFileSync(file, JSON.stringify(records, null, 2), 'utf8');
+  return file;
+}
+
+// Upgrade every collection to its latest schema version. Current versions are
+// kept in the 'schema' storage document. Before a collection is rewritten its
+// records are copied to data/backups/. With dryRun, nothing is written and the
+// report says what would change.
+async function runMigrations({ store, dataDir, logger, dryRun = false }) {
+  const schema = await store.getDocument('schema');
+  const backupDir = path.join(dataDir, 'backups');
+  const report = [];
+
+  for (const collection of COLLECTIONS) {
+    const current = schema[collection] || 0;
+    const target = SCHEMA_VERSIONS[collection];
+    const pending = MIGRATIONS[collection].filter(step => step.version > current);
+    if (pending.length === 0) continue;
+
+    const upgradeAll = records => {
+      const contexts = pending.map(step => (step.prepare ? step.prepare(records) : undefined));
+      return records.map(record => pending.reduce((rec, step, i) => step.up(rec, contexts[i]), record));
+    };
+    const entry = { collection, from: current, to: target, steps: pending.map(s => s.description) };
+
+    if (dryRun) {
+      const records = await store.list(collection);
+      entry.records = records.length;
+      entry.changed = upgradeAll(records).filter((r, i) => JSON.stringify(r) !== JSON.stringify(records[i])).length;
+    } else {
+      await store.mutate(collection, records => {
+        entry.records = records.length;
+        if (records.length > 0) {
+          // Back up the at-rest form so encrypted fields stay encrypted
+          entry.backup = writeBackup(backupDir, collection, current, store.encode(collection, records));
+        }
+        const upgraded = upgradeAll(records);
+        entry.changed = upgraded.filter((r, i) => JSON.stringify(r) !== JSON.stringify(records[i])).length;
+        return upgraded;
+      });
+      await store.updateDocument('schema', (doc) => {
+        doc[collection] = target;
+      });
+      logger.info(entry, 'Migrated collection schema');
+    }
+
+    report.push(entry);
+  }
+
+  return report;
+}
+
+module.exports = { runMigrations, SCHEMA_VERSIONS, MIGRATIONS };
@@ -0,0 +1,199 @@
+const fs = require('fs');
+const path = require('path');
+const { isValidEmail, unescapeHtml, UNHANDLED_STATUSES } = require('./validation');
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, '..', 'config', 'notifications.json');
+const DEFAULT_TEMPLATE_DIR = path.join(__dirname, '..', 'config', 'email');
+const HOUR_MS = 60 * 60 * 1000;
+const DIGEST_CHECK_MS = 15 * 60 * 1000;
+
+// Collections that raise alerts, and the record field that picks the route
+const ROUTING = {
+  contacts: { field: 'subject', key: 'bySubject' },
+  investors: { field: 'inquiryType', key: 'byInquiryType' }
+};
+
+const TEMPLATE_NAMES = ['contact-alert', 'investor-alert', 'contact-ack', 'investor-ack', 'lead-confirm', 'daily-digest'];
+
+function checkAddresses(list, where, errors) {
+  if (!Array.isArray(list) || list.some(address => !isValidEmail(address))) {
+    errors.push(`${where} must be a list of email addresses`);
+  }
+}
+
+// Read and check the notification settings (NOTIFICATIONS_CONFIG or
+// config/notifications.json): alert recipients per collection with optional
+// per-subject / per-inquiryType routes, which submitters get an automatic
+// acknowledgement, and who receives the daily digest (hourUtc, 0-23).
+function loadNotificationConfig(file = process.env.NOTIFICATIONS_CONFIG || DEFAULT_CONFIG_FILE) {
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const errors = [];
+
+  Object.entries(config.alerts || {}).forEach(([collection, alert]) => {
+    const routing = ROUTING[collection];
+    if (!routing) {
+      errors.push(`alerts.${collection} is not supported (${Object.keys(ROUTING).join(', ')})`);
+      return;
+    }
+    if (alert.default !== undefined) checkAddresses(alert.default, `alerts.${collection}.default`, errors);
+    Object.entries(alert[routing.key] || {}).forEach(([value, list]) => {
+      checkAddresses(list, `alerts.${collection}.${routing.key}.${value}`, errors);
+    });
+  });
+  Object.entries(config.acknowledge || {}).forEach(([collection, enabled]) => {
+    if (!ROUTING[collection]) errors.push(`acknowledge.${collection} is not supported`);
+    else if (typeof enabled !== 'boolean') errors.push(`acknowledge.${collection} must be true or false`);
+  });
+  if (config.digest) {
+    checkAddresses(config.digest.to, 'digest.to', errors);
+    const hour = config.digest.hourUtc;
+    if (hour !== undefined && !(Number.isInteger(hour) && hour >= 0 && hour <= 23)) {
+      errors.push('digest.hourUtc must be an hour from 0 to 23');
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid notification config ${file}: ${errors.join('; ')}`);
+  }
+  return {
+    alerts: config.alerts || {},
+    acknowledge: config.acknowledge || {},
+    digest: { to: [], hourUtc: 8, ...config.digest }
+  };
+}
+
+// Templates are plain-text files: a "Subject: ..." line, a blank line, then
+// the body. {{name}} placeholders are filled in from the values passed to
+// render(); unknown placeholders render empty.
+function loadTemplates(dir = DEFAULT_TEMPLATE_DIR) {
+  return Object.fromEntries(TEMPLATE_NAMES.map(name => {
+    const source = fs.readFileSync(path.join(dir, `${name}.txt`), 'utf8');
+    const match = source.match(/^Subject: (.*)\r?\n\r?\n([\s\S]*)$/);
+    if (!match) {
+      throw new Error(`Email template ${name}.txt must start with a "Subject:" line followed by a blank line`);
+    }
+    return [name, { subject: match[1], body: match[2] }];
+  }));
+}
+
+// Submitted values are stored HTML-escaped (validation.sanitize); the
+// emails are plain text, so they get the characters back (O'Brien, not
+// O&#x27;Brien)
+function fill(text, values) {
+  return text.replace(/\{\{(\w+)\}\}/g, (_, key) => (values[key] === undefined || values[key] === null ? '' : unescapeHtml(values[key])));
+}
+
+function render(template, values) {
+  return {
+    // Submitted text must not be able to break out of the subject header
+    subject: fill(template.subject, values).replace(/[\r\n]+/g, ' ').slice(0, 200),
+    text: fill(template.body, values)
+  };
+}
+
+// Email notifications for new submissions: instant alerts to the team,
+// acknowledgements to submitters and a daily digest. Everything goes through
+// the outbox, so a mail server outage delays messages rather than losing them.
+function createNotifications({ store, outbox, logger, config, templates, publicUrl, now = Date.now }) {
+  const adminUrl = `${publicUrl}/admin.html`;
+  let timer = null;
+
+  function queue(name, to, values) {
+    const message = render(templates[name], { adminUrl, ...values });
+    return outbox.enqueue({ to, template: name, ...message });
+  }
+
+  // Recipients for a new record: the route for its subject/inquiryType if
+  // one is configured, otherwise the collection default
+  function alertRecipients(collection, record) {
+    const alert = config.alerts[collection];
+    if (!alert) return [];
+    const { field, key } = ROUTING[collection];
+    const routes = alert[key] || {};
+    return routes[record[field]] || alert.default || [];
+  }
+
+  async function sendDigest(since, until) {
+    const isNew = r => r.timestamp > since && r.timestamp <= until;
+    const [leads, contacts, investors] = await Promise.all(
+      ['leads', 'contacts', 'investors'].map(c => store.list(c))
+    );
+    const fresh = { leads: leads.filter(isNew), contacts: contacts.filter(isNew), investors: investors.filter(isNew) };
+    const total = fresh.leads.length + fresh.contacts.length + fresh.investors.length;
+    if (total === 0) return null;
+
+    const details = [
+      ...fresh.contacts.map(c => `  - Message from ${c.name}: ${c.subject}`),
+      ...fresh.investors.map(i => `  - Inquiry from ${i.name}${i.company ? ` (${i.company})` : ''}: ${i.inquiryType}`)
+    ];
+    return queue('daily-digest', config.digest.to.join(', '), {
+      since,
+      total,
+      leadCount: fresh.leads.length,
+      contactCount: fresh.contacts.length,
+      investorCount: fresh.investors.length,
+      unhandledContacts: contacts.filter(c => UNHANDLED_STATUSES.includes(c.status)).length,
+      unhandledInvestors: investors.filter(i => UNHANDLED_STATUSES.includes(i.status)).length,
+      details: details.length > 0 ? `\n${details.join('\n')}\n` : ''
+    });
+  }
+
+  // Send the digest once a day after hourUtc. The last run is kept in the
+  // 'notifications' document so a restart neither skips nor repeats one.
+  async function runDigestIfDue() {
+    if (config.digest.to.length === 0) return null;
+    const time = now();
+    const today = new Date(time);
+    const scheduled = Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate(), config.digest.hourUtc);
+    if (time < scheduled) return null;
+
+    const { lastDigestAt } = await store.getDocument('notifications');
+    if (lastDigestAt && new Date(lastDigestAt).getTime() >= scheduled) return null;
+
+    const since = lastDigestAt || new Date(time - 24 * HOUR_MS).toISOString();
+    const until = new Date(time).toISOString();
+    const message = await sendDigest(since, until);
+    await store.updateDocument('notifications', doc => { doc.lastDigestAt = until; });
+    logger.info({ since, queued: Boolean(message) }, 'Daily digest run');
+    return message;
+  }
+
+  return {
+    // Alert the team about a new contact message or investor inquiry and,
+    // if enabled, acknowledge it to the submitter
+    async submitted(collection, record) {
+      const name = collection === 'contacts' ? 'contact' : 'investor';
+      const recipients = alertRecipients(collection, record);
+      if (recipients.length > 0) {
+        await queue(`${name}-alert`, recipients.join(', '), record);
+      }
+      // The acknowledgement is fixed text: it goes to whatever address was
+      // typed, so echoing anything submitted would let the form mail
+      // arbitrary content to strangers
+      if (config.acknowledge[collection]) {
+        await queue(`${name}-ack`, record.email, {});
+      }
+    },
+
+    // Double opt-in link for a new lead. Like the acknowledgements it goes to
+    // an unverified address, so nothing the visitor typed is echoed.
+    leadConfirmation(lead, { link, hours, referralLink }) {
+      return queue('lead-confirm', lead.email, { link, hours, referralLink });
+    },
+
+    runDigestIfDue,
+
+    start() {
+      const tick = () => runDigestIfDue().catch(err => logger.error({ err }, 'Daily digest failed'));
+      tick();
+      timer = setInterval(tick, DIGEST_CHECK_MS);
+      timer.unref();
+    },
+
+    stop() {
+      clearInterval(timer);
+    }
+  };
+}
+
+module.exports = { loadNotificationConfig, loadTemplates, createNotifications };
@@ -0,0 +1,124 @@
+const { generateId } = require('./ids');
+
+// Durable queue in front of the mailer. Messages are written to the
+// 'outbox' collection before any delivery attempt, so queued mail survives
+// a restart; failed sends are retried with exponential backoff until
+// maxAttempts, then left as 'failed' for an operator to look at. Once a
+// message is sent its body is dropped: bodies carry live links (lead
+// confirmation tokens) and copies of submissions, and a sent record only
+// needs to show who was mailed what and when.
+//
+// Record states: queued -> sent | failed
+function createOutbox({
+  store,
+  mailer,
+  logger,
+  maxAttempts = 8,
+  baseDelayMs = 60 * 1000,
+  maxDelayMs = 6 * 60 * 60 * 1000,
+  intervalMs = 30 * 1000,
+  now = Date.now
+}) {
+  let timer = null;
+  let queue = Promise.resolve();
+  let flushQueued = false;
+
+  function retryDelay(attempts) {
+    return Math.min(baseDelayMs * 2 ** (attempts - 1), maxDelayMs);
+  }
+
+  async function deliver(message) {
+    const attempts = (message.attempts || 0) + 1;
+    try {
+      await mailer.send({ to: message.to, subject: message.subject, text: message.text });
+      await store.update('outbox', message.id, {
+        status: 'sent',
+        text: null,
+        attempts,
+        lastError: null,
+        sentAt: new Date(now()).toISOString()
+      });
+      return true;
+    } catch (err) {
+      const failed = attempts >= maxAttempts;
+      await store.update('outbox', message.id, {
+        status: failed ? 'failed' : 'queued',
+        attempts,
+        lastError: String(err.message || err).slice(0, 500),
+        nextAttemptAt: new Date(now() + retryDelay(attempts)).toISOString()
+      });
+      if (failed) {
+        logger.error({ err, messageId: message.id, template: message.template, attempts }, 'Email delivery failed permanently');
+      } else {
+        logger.warn({ err: err.message, messageId: message.id, template: message.template, attempts }, 'Email delivery failed, will retry');
+      }
+      return false;
+    }
+  }
+
+  async function flushOnce() {
+    flushQueued = false;
+    const time = now();
+    const due = (await store.list('outbox'))
+      .filter(m => m.status === 'queued' && new Date(m.nextAttemptAt).getTime() <= time);
+
+    let sent = 0;
+    for (const message of due) {
+      if (await deliver(message)) sent++;
+    }
+    return { attempted: due.length, sent };
+  }
+
+  // Flushes are serialized; calls made while one is waiting share it
+  function flush() {
+    if (flushQueued) return queue;
+    flushQueued = true;
+    const result = queue.then(flushOnce);
+    queue = result.catch(err => logger.error({ err }, 'Outbox flush failed'));
+    return result;
+  }
+
+  return {
+    // Queue a message ({ to, subject, text, template }) and try it straight away
+    async enqueue({ to, subject, text, template = null }) {
+      const message = {
+        id: generateId(),
+        to,
+        subject,
+        text,
+        template,
+        status: 'queued',
+        attempts: 0,
+        lastError: null,
+        createdAt: new Date(now()).toISOString(),
+        nextAttemptAt: new Date(now()).toISOString(),
+        sentAt: null
+      };
+      await store.insert('outbox', message);
+      flush().catch(() => {});
+      return message;
+    },
+
+    flush,
+
+    // Message counts per state
+    async stats() {
+      const counts = { queued: 0, sent: 0, failed: 0 };
+      (await store.list('outbox')).forEach(m => { counts[m.status] = (counts[m.status] || 0) + 1; });
+      return counts;
+    },
+
+    start() {
+      const tick = () => flush().catch(() => {});
+      tick();
+      timer = setInterval(tick, intervalMs);
+      timer.unref();
+    },
+
+    stop() {
+      clearInterval(timer);
+    }
+  };
+}
+
+module.exports = { createOutbox };
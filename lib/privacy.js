@@ -0,0 +1,254 @@
+const crypto = require('crypto');
+const { COLLECTIONS, PII_FIELDS } = require('./storage');
+const { generateId } = require('./ids');
+const { normalizeEmail } = require('./validation');
+
+const REQUEST_TYPES = ['access', 'erasure'];
+const ERASE_MODES = ['delete', 'pseudonymize'];
+
+// Self-service requests must be confirmed from the inbox within this window
+const VERIFY_TTL_MS = 24 * 60 * 60 * 1000;
+
+function hashValue(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// Collections besides the submissions that hold copies of someone's data:
+// emails to or about them, webhook payloads and held spam. Erasure removes
+// matching entries in either mode; they are logs, not records to keep.
+const COPY_COLLECTIONS = ['outbox', 'webhook_deliveries', 'quarantine'];
+
+// True if any of the addresses appears in the text (case-insensitive)
+function mentions(text, addresses) {
+  const haystack = String(text || '').toLowerCase();
+  return addresses.some(address => haystack.includes(address));
+}
+
+// Replace personal fields with stable placeholders; the record keeps its
+// non-identifying fields (interest, subject, status, timestamps) for stats
+function pseudonymizeRecord(collection, record) {
+  const tag = hashValue(normalizeEmail(record.email)).slice(0, 12);
+  const changes = {};
+  PII_FIELDS[collection].forEach(field => {
+    if (field === 'email') changes.email = `redacted-${tag}@invalid`;
+    else if (field === 'name') changes.name = 'Redacted';
+    else if (record[field]) changes[field] = '[redacted]';
+  });
+  return changes;
+}
+
+// Data subject requests (GDPR/CCPA access and erasure). Every request,
+// whether submitted through the public form or run by an admin, is kept in
+// the 'privacy_requests' collection. Once a request is closed the address is
+// replaced by a hash and a masked form and the requester IP is dropped, so
+// the log itself holds no PII.
+function createPrivacy({ store, searchIndex, outbox, logger, maskEmail, publicUrl, now = Date.now }) {
+  async function findByEmail(email) {
+    const target = normalizeEmail(email);
+    const data = {};
+    for (const collection of COLLECTIONS) {
+      const records = await store.list(collection);
+      data[collection] = records.filter(r => normalizeEmail(r.email) === target);
+    }
+    return data;
+  }
+
+  // Entries in COPY_COLLECTIONS for the person behind `data`. Emails and
+  // webhook payloads are searched for every address their records were
+  // submitted under, since those copies aren't normalized.
+  async function findCopies(email, data) {
+    const target = normalizeEmail(email);
+    const addresses = [...new Set([email, ...COLLECTIONS.flatMap(c => data[c].map(r => r.email))]
+      .filter(Boolean)
+      .map(address => String(address).trim().toLowerCase()))];
+
+    const outboxMessages = await store.list('outbox');
+    const deliveries = await store.list('webhook_deliveries');
+    const held = await store.list('quarantine');
+    return {
+      outbox: outboxMessages.filter(m => mentions(`${m.to}\n${m.subject}\n${m.text}`, addresses)),
+      webhook_deliveries: deliveries.filter(d => mentions(JSON.stringify(d.payload), addresses)),
+      quarantine: held.filter(h => h.record && normalizeEmail(h.record.email) === target)
+    };
+  }
+
+  function exportData(email, data) {
+    return {
+      email: normalizeEmail(email),
+      generatedAt: new Date(now()).toISOString(),
+      records: data
+    };
+  }
+
+  async function erase(email, mode) {
+    const data = await findByEmail(email);
+    const copies = await findCopies(email, data);
+    const affected = {};
+    for (const collection of COPY_COLLECTIONS) {
+      affected[collection] = copies[collection].map(entry => entry.id);
+      for (const entry of copies[collection]) {
+        await store.remove(collection, entry.id);
+      }
+    }
+    for (const collection of COLLECTIONS) {
+      affected[collection] = data[collection].map(r => r.id);
+      for (const record of data[collection]) {
+        searchIndex.remove(collection, record.id);
+        if (mode === 'delete') {
+          await store.remove(collection, record.id);
+        } else {
+          const updated = await store.update(collection, record.id, {
+            ...pseudonymizeRecord(collection, record),
+            pseudonymizedAt: new Date(now()).toISOString()
+          });
+          if (updated) searchIndex.add(collection, updated);
+        }
+      }
+    }
+    return affected;
+  }
+
+  function countRecords(byCollection) {
+    return COLLECTIONS.reduce((sum, c) => sum + byCollection[c].length, 0);
+  }
+
+  // Close a request and strip the plain address from the log entry
+  async function closeRequest(id, fields) {
+    const request = await store.get('privacy_requests', id);
+    return store.update('privacy_requests', id, {
+      ...fields,
+      email: null,
+      ip: null,
+      emailHash: hashValue(normalizeEmail(request.email)),
+      emailMasked: maskEmail(request.email),
+      completedAt: new Date(now()).toISOString()
+    });
+  }
+
+  async function logRequest(fields) {
+    const request = {
+      id: generateId(),
+      requestedAt: new Date(now()).toISOString(),
+      ...fields
+    };
+    await store.insert('privacy_requests', request);
+    return request;
+  }
+
+  return {
+    findByEmail,
+
+    // Admin-initiated export; logged as a completed access request
+    async adminExport(email, admin) {
+      const data = await findByEmail(email);
+      const request = await logRequest({ type: 'access', source: 'admin', email: normalizeEmail(email), status: 'open' });
+      await closeRequest(request.id, { status: 'completed', handledBy: admin, recordCount: countRecords(data) });
+      logger.info({ requestId: request.id, admin, email: maskEmail(email) }, 'Data subject export');
+      return exportData(email, data);
+    },
+
+    // Admin-initiated erasure; logged as a completed erasure request
+    async adminErase(email, mode, admin) {
+      const request = await logRequest({ type: 'erasure', source: 'admin', email: normalizeEmail(email), mode, status: 'open' });
+      const affected = await erase(email, mode);
+      await closeRequest(request.id, { status: 'completed', handledBy: admin, recordCount: countRecords(affected) });
+      logger.info({ requestId: request.id, admin, mode, email: maskEmail(email) }, 'Data subject erasure');
+      return affected;
+    },
+
+    // Public form: queue a request and mail a confirmation link
+    async submitRequest({ email, type, ip }) {
+      const token = crypto.randomBytes(32).toString('base64url');
+      const request = await logRequest({
+        type,
+        source: 'self-service',
+        email: normalizeEmail(email),
+        status: 'unverified',
+        ip,
+        verifyTokenHash: hashValue(token),
+        verifyExpiresAt: new Date(now() + VERIFY_TTL_MS).toISOString()
+      });
+
+      const link = `${publicUrl}/api/privacy/verify?token=${token}`;
+      const action = type === 'access' ? 'a copy of the data we hold about you' : 'deletion of your data';
+      await outbox.enqueue({
+        to: request.email,
+        template: 'privacy-confirm',
+        subject: 'Confirm your Tsono privacy request',
+        text: `We received a request for ${action}.\n\n` +
+          `Confirm it within 24 hours by opening this link:\n${link}\n\n` +
+          'If you did not make this request you can ignore this email.'
+      });
+      logger.info({ requestId: request.id, type, email: maskEmail(email) }, 'Privacy request submitted');
+      return request;
+    },
+
+    // Confirm a request from the emailed link; it then waits for an admin
+    async verifyRequest(token) {
+      const tokenHash = hashValue(String(token || ''));
+      const requests = await store.list('privacy_requests');
+      const request = requests.find(r => r.verifyTokenHash === tokenHash);
+      if (!request || request.status !== 'unverified') return null;
+      if (new Date(request.verifyExpiresAt).getTime() <= now()) return null;
+
+      const updated = await store.update('privacy_requests', request.id, {
+        status: 'pending',
+        verifyTokenHash: null,
+        verifiedAt: new Date(now()).toISOString()
+      });
+      logger.info({ requestId: request.id }, 'Privacy request verified');
+      return updated;
+    },
+
+    async listRequests() {
+      const requests = await store.list('privacy_requests');
+      return requests
+        .map(({ verifyTokenHash, ...request }) => request)
+        .sort((a, b) => b.requestedAt.localeCompare(a.requestedAt));
+    },
+
+    // Carry out a verified request. Access requests mail the export to the
+    // confirmed address; erasure requests apply `mode` and mail a receipt.
+    async approveRequest(id, { admin, mode = 'delete' }) {
+      const request = await store.get('privacy_requests', id);
+      if (!request || request.status !== 'pending') return null;
+
+      let recordCount;
+      if (request.type === 'access') {
+        const data = await findByEmail(request.email);
+        recordCount = countRecords(data);
+        await outbox.enqueue({
+          to: request.email,
+          template: 'privacy-export',
+          subject: 'Your Tsono data export',
+          text: 'Here is a copy of the personal data we hold about you:\n\n' +
+            JSON.stringify(exportData(request.email, data), null, 2)
+        });
+      } else {
+        recordCount = countRecords(await erase(request.email, mode));
+        await outbox.enqueue({
+          to: request.email,
+          template: 'privacy-erased',
+          subject: 'Your Tsono data has been erased',
+          text: mode === 'delete'
+            ? `We deleted ${recordCount} record(s) associated with this address.`
+            : `We removed your personal details from ${recordCount} record(s) associated with this address.`
+        });
+      }
+
+      logger.info({ requestId: id, type: request.type, admin, recordCount }, 'Privacy request completed');
+      const fields = { status: 'completed', handledBy: admin, recordCount };
+      if (request.type === 'erasure') fields.mode = mode;
+      return closeRequest(id, fields);
+    },
+
+    async rejectRequest(id, { admin, reason }) {
+      const request = await store.get('privacy_requests', id);
+      if (!request || !['unverified', 'pending'].includes(request.status)) return null;
+      logger.info({ requestId: id, admin }, 'Privacy request rejected');
+      return closeRequest(id, { status: 'rejected', handledBy: admin, reason: reason || '', verifyTokenHash: null });
+    }
+  };
+}
+
+module.exports = { createPrivacy, REQUEST_TYPES, ERASE_MODES };
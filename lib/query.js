@@ -0,0 +1,133 @@
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Per-collection query options for the admin list endpoints
+const LIST_OPTIONS = {
+  leads: {
+    sortFields: ['timestamp', 'name', 'email', 'interest', 'status'],
+    filterFields: ['interest', 'status']
+  },
+  contacts: {
+    sortFields: ['timestamp', 'name', 'email', 'subject', 'status'],
+    filterFields: ['subject', 'status', 'assignee']
+  },
+  investors: {
+    sortFields: ['timestamp', 'name', 'email', 'company', 'inquiryType', 'status'],
+    filterFields: ['inquiryType', 'status', 'assignee']
+  },
+  audit: {
+    sortFields: ['timestamp', 'seq'],
+    filterFields: ['actor', 'action', 'method', 'status', 'ip']
+  }
+};
+
+class QueryError extends Error {}
+
+function encodeCursor(value, id) {
+  return Buffer.from(JSON.stringify([value, String(id)])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (Array.isArray(parsed) && parsed.length === 2) return parsed;
+  } catch (err) {
+    // fall through
+  }
+  throw new QueryError('Invalid cursor');
+}
+
+function parseDate(value, name, endOfDay) {
+  if (value === undefined || value === '') return null;
+  const str = String(value);
+  const date = new Date(DATE_ONLY.test(str) && endOfDay ? `${str}T23:59:59.999Z` : str);
+  if (Number.isNaN(date.getTime())) {
+    throw new QueryError(`Invalid ${name} date`);
+  }
+  return date.getTime();
+}
+
+// Parse and validate list query params. Throws QueryError on bad input.
+function parseListQuery(collection, query) {
+  const options = LIST_OPTIONS[collection];
+
+  let limit = DEFAULT_LIMIT;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 0 || limit > MAX_LIMIT) {
+      throw new QueryError(`limit must be an integer between 0 and ${MAX_LIMIT}`);
+    }
+  }
+
+  const sortParam = String(query.sort || '-timestamp');
+  const descending = sortParam.startsWith('-');
+  const sortField = descending ? sortParam.slice(1) : sortParam;
+  if (!options.sortFields.includes(sortField)) {
+    throw new QueryError(`sort must be one of: ${options.sortFields.join(', ')} (prefix with - for descending)`);
+  }
+
+  // Field filters accept comma-separated values, e.g. status=new,in-progress
+  const filters = {};
+  options.filterFields.forEach(field => {
+    if (query[field] !== undefined && query[field] !== '') {
+      filters[field] = String(query[field]).split(',').map(v => v.trim());
+    }
+  });
+
+  return {
+    limit,
+    sortField,
+    descending,
+    filters,
+    from: parseDate(query.from, 'from', false),
+    to: parseDate(query.to, 'to', true),
+    cursor: query.cursor ? decodeCursor(query.cursor) : null
+  };
+}
+
+function compareValues(a, b) {
+  const x = a === undefined || a === null ? '' : a;
+  const y = b === undefined || b === null ? '' : b;
+  if (typeof x === 'number' && typeof y === 'number') return x - y;
+  return String(x).localeCompare(String(y));
+}
+
+// Filter, sort and page an array of records. Pages are keyset-based: the
+// cursor holds the sort value and id of the last record returned, so new
+// submissions arriving between requests don't shift later pages.
+function applyListQuery(records, parsed) {
+  const { limit, sortField, descending, filters, from, to, cursor } = parsed;
+  const direction = descending ? -1 : 1;
+
+  const matching = records.filter(record => {
+    const time = new Date(record.timestamp).getTime();
+    if (from !== null && !(time >= from)) return false;
+    if (to !== null && !(time <= to)) return false;
+    return Object.entries(filters).every(([field, values]) => values.includes(String(record[field] ?? '')));
+  });
+
+  const compare = (a, b) => (
+    direction * (compareValues(a[sortField], b[sortField]) || compareValues(String(a.id), String(b.id)))
+  );
+  matching.sort(compare);
+
+  let start = 0;
+  if (cursor) {
+    const marker = { [sortField]: cursor[0], id: cursor[1] };
+    start = matching.findIndex(record => compare(record, marker) > 0);
+    if (start === -1) start = matching.length;
+  }
+
+  const page = matching.slice(start, start + limit);
+  const last = page[page.length - 1];
+  const hasMore = start + limit < matching.length;
+
+  return {
+    total: matching.length,
+    data: page,
+    nextCursor: hasMore && last ? encodeCursor(last[sortField] ?? null, last.id) : null
+  };
+}
+
+module.exports = { parseListQuery, applyListQuery, LIST_OPTIONS, DEFAULT_LIMIT, MAX_LIMIT };
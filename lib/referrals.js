@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const { normalizeEmail } = require('./validation');
+
+// Unambiguous characters (no 0/O, 1/I/L) so codes survive being read aloud
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+const CODE_PATTERN = new RegExp(`^[${CODE_ALPHABET}]{${CODE_LENGTH}}$`);
+
+// Waitlist spots a referrer moves up for each confirmed referral
+const DEFAULT_BOOST = 5;
+
+function generateReferralCode(taken = new Set()) {
+  let code;
+  do {
+    code = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('');
+  } while (taken.has(code));
+  return code;
+}
+
+// Codes for leads that predate referrals (migration leads v3): derived from
+// the lead id, so a dry run and the real run agree, and skipping any code in
+// `taken`. Returns a Map of lead id to code for leads without one.
+function deriveReferralCodes(leads) {
+  const taken = new Set(leads.map(lead => lead.referralCode).filter(Boolean));
+  const codes = new Map();
+  leads.filter(lead => !lead.referralCode).forEach(lead => {
+    let code;
+    for (let attempt = 0; !code || taken.has(code); attempt++) {
+      const digest = crypto.createHash('sha256').update(`${lead.id}:${attempt}`).digest();
+      code = Array.from(digest.subarray(0, CODE_LENGTH), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+    }
+    taken.add(code);
+    codes.set(lead.id, code);
+  });
+  return codes;
+}
+
+function normalizeCode(code) {
+  const value = String(code || '').trim().toUpperCase();
+  return CODE_PATTERN.test(value) ? value : null;
+}
+
+function sameEmail(a, b) {
+  return normalizeEmail(a) === normalizeEmail(b);
+}
+
+// Confirmed referrals per referrer id. Pending signups don't count, so
+// made-up addresses can't be used to climb the list.
+function countReferrals(leads) {
+  const counts = new Map();
+  leads.forEach(lead => {
+    if (lead.referredBy && lead.status === 'confirmed') {
+      counts.set(lead.referredBy, (counts.get(lead.referredBy) || 0) + 1);
+    }
+  });
+  return counts;
+}
+
+// Waitlist referrals. Every lead gets a referralCode; a signup that arrives
+// with ?ref=<code> stores the referrer's id in referredBy. Position is the
+// lead's place in signup order, moved up `boost` spots per confirmed referral.
+function createReferrals({ store, publicUrl, boost = DEFAULT_BOOST }) {
+  function link(code) {
+    return `${publicUrl}/?ref=${encodeURIComponent(code)}#try-demo`;
+  }
+
+  function rank(leads) {
+    const credits = countReferrals(leads);
+    return leads
+      .map((lead, index) => ({ lead, index, referrals: credits.get(lead.id) || 0 }))
+      .map(entry => ({ ...entry, score: entry.index - entry.referrals * boost }))
+      .sort((a, b) => a.score - b.score || a.index - b.index);
+  }
+
+  return {
+    // Fresh code not used by any existing lead
+    async newCode() {
+      const leads = await store.list('leads');
+      return generateReferralCode(new Set(leads.map(l => l.referralCode)));
+    },
+
+    link,
+
+    // Work out who to credit for a signup. Returns { referredBy } with the
+    // referrer's id, or { referredBy: null, rejected } when the code is
+    // unknown, the person referred themselves, or the address is already on
+    // the list (repeat signups would otherwise farm credit).
+    async resolve(ref, email) {
+      const code = normalizeCode(ref);
+      if (!code) return { referredBy: null, rejected: ref ? 'invalid-code' : null };
+
+      const leads = await store.list('leads');
+      const referrer = leads.find(l => l.referralCode === code);
+      if (!referrer) return { referredBy: null, rejected: 'unknown-code' };
+      if (sameEmail(referrer.email, email)) return { referredBy: null, rejected: 'self-referral' };
+      if (leads.some(l => sameEmail(l.email, email))) return { referredBy: null, rejected: 'duplicate-email' };
+      return { referredBy: referrer.id };
+    },
+
+    // Public waitlist standing for a referral code, or null if unknown
+    async position(code) {
+      const normalized = normalizeCode(code);
+      if (!normalized) return null;
+      const ranked = rank(await store.list('leads'));
+      const index = ranked.findIndex(entry => entry.lead.referralCode === normalized);
+      if (index === -1) return null;
+      return {
+        position: index + 1,
+        total: ranked.length,
+        referrals: ranked[index].referrals,
+        confirmed: ranked[index].lead.status === 'confirmed',
+        referralLink: link(normalized)
+      };
+    },
+
+    // Top referrers by confirmed referrals, with pending ones alongside
+    async leaderboard(limit = 20) {
+      const leads = await store.list('leads');
+      const confirmed = countReferrals(leads);
+      const pending = new Map();
+      leads.forEach(lead => {
+        if (lead.referredBy && lead.status !== 'confirmed') {
+          pending.set(lead.referredBy, (pending.get(lead.referredBy) || 0) + 1);
+        }
+      });
+      const positions = new Map(rank(leads).map((entry, i) => [entry.lead.id, i + 1]));
+
+      return leads
+        .filter(lead => confirmed.has(lead.id) || pending.has(lead.id))
+        .map(lead => ({
+          id: lead.id,
+          name: lead.name,
+          email: lead.email,
+          referralCode: lead.referralCode,
+          referrals: confirmed.get(lead.id) || 0,
+          pendingReferrals: pending.get(lead.id) || 0,
+          position: positions.get(lead.id)
+        }))
+        .sort((a, b) => b.referrals - a.referrals || b.pendingReferrals - a.pendingReferrals || a.position - b.position)
+        .slice(0, limit);
+    }
+  };
+}
+
+module.exports = { createReferrals, deriveReferralCodes };
@@ -0,0 +1,131 @@
+const fs = require('fs');
+const path = require('path');
+const { COLLECTIONS } = require('./storage');
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, '..', 'config', 'retention.json');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Collections a policy may target. The audit trail is deliberately left out:
+// removing entries would break its hash chain.
+const RETAINABLE = [...COLLECTIONS, 'privacy_requests', 'outbox', 'webhook_deliveries', 'quarantine', 'idempotency'];
+const ANALYTICS_LIMITS = ['eventDays', 'pageViewDays', 'referrerDays'];
+
+function isNonNegative(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+// Read and check the retention policy file (RETENTION_CONFIG or
+// config/retention.json). Rules look like:
+//   { "where": { "status": "archived" }, "olderThanDays": 180, "dateField": "updatedAt" }
+// `where` values may be a single value or a list; `dateField` defaults to
+// timestamp and falls back to it when a record lacks the field.
+function loadRetentionConfig(file = process.env.RETENTION_CONFIG || DEFAULT_CONFIG_FILE) {
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const errors = [];
+
+  if (config.intervalHours !== undefined && !(isNonNegative(config.intervalHours) && config.intervalHours > 0)) {
+    errors.push('intervalHours must be a positive number');
+  }
+  Object.entries(config.collections || {}).forEach(([collection, rules]) => {
+    if (!RETAINABLE.includes(collection)) {
+      errors.push(`collections.${collection} is not a retainable collection (${RETAINABLE.join(', ')})`);
+      return;
+    }
+    if (!Array.isArray(rules)) {
+      errors.push(`collections.${collection} must be a list of rules`);
+      return;
+    }
+    rules.forEach((rule, i) => {
+      if (!isNonNegative(rule.olderThanDays)) errors.push(`collections.${collection}[${i}].olderThanDays must be a number of days`);
+      if (rule.where !== undefined && (typeof rule.where !== 'object' || rule.where === null)) errors.push(`collections.${collection}[${i}].where must be an object`);
+      if (rule.dateField !== undefined && typeof rule.dateField !== 'string') errors.push(`collections.${collection}[${i}].dateField must be a field name`);
+    });
+  });
+  Object.entries(config.analytics || {}).forEach(([key, value]) => {
+    if (!ANALYTICS_LIMITS.includes(key)) errors.push(`analytics.${key} is not a known limit (${ANALYTICS_LIMITS.join(', ')})`);
+    else if (!isNonNegative(value)) errors.push(`analytics.${key} must be a number of days`);
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid retention config ${file}: ${errors.join('; ')}`);
+  }
+  return { intervalHours: 24, collections: {}, analytics: {}, ...config };
+}
+
+function ruleMatches(rule, record, time) {
+  const where = rule.where || {};
+  const fieldsMatch = Object.entries(where).every(([field, expected]) => {
+    const allowed = Array.isArray(expected) ? expected : [expected];
+    return allowed.map(String).includes(String(record[field] ?? ''));
+  });
+  if (!fieldsMatch) return false;
+
+  const date = Date.parse(record[rule.dateField || 'timestamp'] || record.timestamp);
+  return Number.isFinite(date) && time - date > rule.olderThanDays * DAY_MS;
+}
+
+// Scheduled purge of records past their retention period. run() returns a
+// report of what was removed (or, with dryRun, what would be) and writes a
+// summary to the logs.
+function createRetention({ store, analytics, searchIndex, logger, config, now = Date.now }) {
+  let timer = null;
+  let queue = Promise.resolve();
+
+  async function purgeCollection(collection, rules, time, dryRun) {
+    const expired = record => rules.some(rule => ruleMatches(rule, record, time));
+    let ids = [];
+    if (dryRun) {
+      ids = (await store.list(collection)).filter(expired).map(r => r.id);
+    } else {
+      await store.mutate(collection, records => {
+        ids = records.filter(expired).map(r => r.id);
+        return records.filter(r => !expired(r));
+      });
+      if (COLLECTIONS.includes(collection)) {
+        ids.forEach(id => searchIndex.remove(collection, id));
+      }
+    }
+    return { purged: ids.length, ids };
+  }
+
+  async function runOnce({ dryRun = false } = {}) {
+    const time = now();
+    const report = { dryRun, ranAt: new Date(time).toISOString(), collections: {}, analytics: null };
+
+    for (const [collection, rules] of Object.entries(config.collections)) {
+      if (rules.length === 0) continue;
+      report.collections[collection] = await purgeCollection(collection, rules, time, dryRun);
+    }
+    if (Object.keys(config.analytics).length > 0) {
+      report.analytics = await analytics.purge(config.analytics, { dryRun, now: time });
+    }
+
+    const summary = Object.fromEntries(Object.entries(report.collections).map(([c, r]) => [c, r.purged]));
+    logger.info({ dryRun, collections: summary, analytics: report.analytics }, dryRun ? 'Retention dry run' : 'Retention purge complete');
+    return report;
+  }
+
+  // Runs are serialized; a call arriving mid-run waits for the current one
+  function run(options) {
+    const result = queue.then(() => runOnce(options));
+    queue = result.catch(() => {});
+    return result;
+  }
+
+  return {
+    run,
+
+    start() {
+      const tick = () => run().catch(err => logger.error({ err }, 'Retention purge failed'));
+      tick();
+      timer = setInterval(tick, config.intervalHours * 60 * 60 * 1000);
+      timer.unref();
+    },
+
+    stop() {
+      clearInterval(timer);
+    }
+  };
+}
+
+module.exports = { loadRetentionConfig, createRetention, RETAINABLE };
@@ -0,0 +1,57 @@
+const { INTERESTS, CONTACT_SUBJECTS, INQUIRY_TYPES } = require('./validation');
+const { REQUEST_TYPES } = require('./privacy');
+
+// Request body schemas for the public POST endpoints, checked with
+// validateBody (rules are described above checkField in ./validation.js).
+// Enum values match the <select> options on the pages that post them.
+
+const NAME = { label: 'Name', required: true, maxLength: 100 };
+const EMAIL = { label: 'Email', required: true, maxLength: 254, email: true };
+
+// Sent by every public form besides its own fields: the spam filter's
+// honeypot and proof-of-work answer (./spam.js), and keepEmail to accept an
+// address despite a typo suggestion (./email.js)
+const SUBMISSION_FIELDS = {
+  website: { maxLength: 2000, raw: true },
+  challenge: { maxLength: 1000, raw: true },
+  nonce: { maxLength: 20, raw: true },
+  keepEmail: { type: 'boolean' }
+};
+
+const SCHEMAS = {
+  // POST /api/leads (index.html)
+  lead: {
+    name: NAME,
+    email: EMAIL,
+    interest: { label: 'Interest', required: true, values: INTERESTS },
+    ref: { label: 'Referral code', maxLength: 100, raw: true },
+    ...SUBMISSION_FIELDS
+  },
+
+  // POST /api/contact (contact.html)
+  contact: {
+    name: NAME,
+    email: EMAIL,
+    subject: { label: 'Subject', required: true, values: CONTACT_SUBJECTS },
+    message: { label: 'Message', required: true, maxLength: 5000 },
+    ...SUBMISSION_FIELDS
+  },
+
+  // POST /api/investors (careers.html)
+  investor: {
+    name: NAME,
+    email: EMAIL,
+    company: { label: 'Company', maxLength: 100 },
+    type: { label: 'Inquiry type', values: INQUIRY_TYPES, default: 'general' },
+    message: { label: 'Message', maxLength: 5000 },
+    ...SUBMISSION_FIELDS
+  },
+
+  // POST /api/privacy/requests (privacy.html)
+  privacyRequest: {
+    email: EMAIL,
+    type: { label: 'Request type', required: true, values: REQUEST_TYPES }
+  }
+};
+
+module.exports = { SCHEMAS };
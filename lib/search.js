@@ -0,0 +1,109 @@
+const { COLLECTIONS } = require('./storage');
+const { unescapeHtml } = require('./validation');
+
+// Fields indexed for admin search
+const SEARCH_FIELDS = ['name', 'email', 'company', 'subject', 'message'];
+const MIN_TERM_LENGTH = 2;
+
+// Stored values are HTML-escaped by sanitize(); undo that so "&#x27;" doesn't
+// produce junk tokens
+function tokenize(text) {
+  return unescapeHtml(text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(token => token.length >= MIN_TERM_LENGTH);
+}
+
+function recordTokens(record) {
+  const tokens = new Set();
+  SEARCH_FIELDS.forEach(field => {
+    if (!record[field]) return;
+    tokenize(record[field]).forEach(token => tokens.add(token));
+  });
+  // Whole email address so exact lookups hit a single posting list
+  if (record.email) tokens.add(String(record.email).toLowerCase());
+  return tokens;
+}
+
+// In-process inverted index over submissions. Postings map a token to the set
+// of document keys ("collection:id") containing it; queries AND their terms
+// together and treat each term as a prefix.
+function createSearchIndex() {
+  const postings = new Map();
+  const documents = new Map();
+
+  const keyOf = (collection, id) => `${collection}:${id}`;
+
+  function remove(collection, id) {
+    const key = keyOf(collection, id);
+    const doc = documents.get(key);
+    if (!doc) return;
+    doc.tokens.forEach(token => {
+      const set = postings.get(token);
+      set.delete(key);
+      if (set.size === 0) postings.delete(token);
+    });
+    documents.delete(key);
+  }
+
+  function add(collection, record) {
+    const key = keyOf(collection, record.id);
+    remove(collection, record.id);
+    const tokens = recordTokens(record);
+    tokens.forEach(token => {
+      if (!postings.has(token)) postings.set(token, new Set());
+      postings.get(token).add(key);
+    });
+    documents.set(key, { collection, record, tokens });
+  }
+
+  function matchTerm(term) {
+    const keys = new Set();
+    postings.forEach((set, token) => {
+      if (token.startsWith(term)) set.forEach(key => keys.add(key));
+    });
+    return keys;
+  }
+
+  return {
+    add,
+
+    remove,
+
+    // Rebuild from the store (used at startup)
+    async build(store) {
+      postings.clear();
+      documents.clear();
+      for (const collection of COLLECTIONS) {
+        (await store.list(collection)).forEach(record => add(collection, record));
+      }
+      return documents.size;
+    },
+
+    // Returns { total, results: { leads: [], contacts: [], investors: [] } },
+    // newest first, capped at limit per collection
+    search(query, { limit = 20 } = {}) {
+      const results = Object.fromEntries(COLLECTIONS.map(c => [c, []]));
+      const terms = [...new Set(tokenize(query))];
+      const email = String(query || '').trim().toLowerCase();
+      if (email.includes('@')) terms.push(email);
+      if (terms.length === 0) return { total: 0, results };
+
+      // Intersect starting from the rarest term
+      const matches = terms.map(matchTerm).sort((a, b) => a.size - b.size);
+      const keys = [...matches[0]].filter(key => matches.every(set => set.has(key)));
+
+      keys
+        .map(key => documents.get(key))
+        .sort((a, b) => String(b.record.timestamp).localeCompare(String(a.record.timestamp)))
+        .forEach(doc => results[doc.collection].push(doc.record));
+
+      COLLECTIONS.forEach(c => {
+        results[c] = results[c].slice(0, limit);
+      });
+      return { total: keys.length, results };
+    }
+  };
+}
+
+module.exports = { createSearchIndex, tokenize };
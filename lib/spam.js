@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { signToken, verifyToken } = require('./tokens');
+const { generateId } = require('./ids');
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, '..', 'config', 'spam.json');
+const CHALLENGE_TTL_MS = 30 * 60 * 1000;
+const WEIGHTS = ['honeypot', 'tooFast', 'noProof', 'link', 'linkInName', 'phrase'];
+
+// Hidden form field real visitors never see or fill in
+const HONEYPOT_FIELD = 'website';
+
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)\S+|\[url=|<a\s+href/gi;
+
+// Read and check the spam filter settings (SPAM_CONFIG or config/spam.json).
+// Each signal adds its weight to a score; submissions scoring `threshold` or
+// more are quarantined. `difficulty` is the proof-of-work cost in leading
+// zero bits (each extra bit doubles the client's work).
+function loadSpamConfig(file = process.env.SPAM_CONFIG || DEFAULT_CONFIG_FILE) {
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const errors = [];
+  const isCount = value => Number.isInteger(value) && value >= 0;
+
+  ['threshold', 'minSubmitSeconds', 'maxFreeLinks'].forEach(key => {
+    if (!isCount(config[key])) errors.push(`${key} must be a whole number`);
+  });
+  if (!(Number.isInteger(config.difficulty) && config.difficulty >= 1 && config.difficulty <= 24)) {
+    errors.push('difficulty must be from 1 to 24 bits');
+  }
+  WEIGHTS.forEach(key => {
+    if (!isCount((config.weights || {})[key])) errors.push(`weights.${key} must be a whole number`);
+  });
+  if (!Array.isArray(config.phrases) || config.phrases.some(p => typeof p !== 'string' || !p.trim())) {
+    errors.push('phrases must be a list of strings');
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid spam config ${file}: ${errors.join('; ')}`);
+  }
+  return { ...config, phrases: config.phrases.map(p => p.trim().toLowerCase()) };
+}
+
+function leadingZeroBits(buffer) {
+  let bits = 0;
+  for (const byte of buffer) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+}
+
+// Layered spam filter for the public forms: a honeypot field, a minimum
+// time between fetching a challenge and submitting, a proof-of-work answer
+// to that challenge, and content scoring for links and known spam phrases.
+//
+// Challenges are signed tokens, so nothing is stored per visitor; answered
+// ones are remembered until they expire so each can be used once. The
+// minimum time is measured from the challenge, so a script could dodge it
+// by not fetching one: noProof should be at least the threshold so a
+// missing, invalid or replayed proof is quarantined by itself. The signing
+// secret is per process; submissions in flight across a restart end up in
+// quarantine, where an admin can release them.
+function createSpamFilter({ config, now = Date.now, secret = crypto.randomBytes(32) }) {
+  const used = new Map();
+
+  function prune(time) {
+    used.forEach((exp, salt) => {
+      if (exp <= time) used.delete(salt);
+    });
+  }
+
+  // { reason } when the proof doesn't count, else { reason: null, issuedAt }
+  function checkProof(challenge, nonce, time) {
+    if (!challenge || nonce === undefined || nonce === null || nonce === '') return { reason: 'no-proof' };
+    const payload = verifyToken(challenge, secret, { now: time });
+    if (!payload || payload.purpose !== 'form-challenge') return { reason: 'invalid-proof' };
+
+    const digest = crypto.createHash('sha256').update(`${challenge}:${String(nonce).slice(0, 20)}`).digest();
+    if (leadingZeroBits(digest) < payload.difficulty) return { reason: 'invalid-proof' };
+
+    prune(time);
+    if (used.has(payload.salt)) return { reason: 'replayed-proof' };
+    used.set(payload.salt, payload.exp);
+    return { reason: null, issuedAt: payload.issuedAt };
+  }
+
+  function countLinks(text) {
+    return (text.match(URL_PATTERN) || []).length;
+  }
+
+  return {
+    // New proof-of-work challenge: find a nonce such that
+    // SHA-256("<challenge>:<nonce>") starts with `difficulty` zero bits
+    issueChallenge() {
+      const time = now();
+      const challenge = signToken({
+        purpose: 'form-challenge',
+        salt: crypto.randomBytes(12).toString('base64url'),
+        difficulty: config.difficulty,
+        issuedAt: time
+      }, secret, { ttlMs: CHALLENGE_TTL_MS, now: time });
+      return { challenge, difficulty: config.difficulty };
+    },
+
+    // Score a submission. `body` is the raw request body (honeypot and
+    // challenge fields); `name` and `text` are the cleaned values to scan.
+    // Returns { score, reasons, flagged }.
+    check(body, { name = '', text = [] }) {
+      const { weights } = config;
+      const time = now();
+      const reasons = [];
+      let score = 0;
+      const add = (weight, reason) => {
+        score += weight;
+        reasons.push(reason);
+      };
+
+      if (String(body[HONEYPOT_FIELD] || '').trim()) add(weights.honeypot, 'honeypot');
+
+      const proof = checkProof(body.challenge, body.nonce, time);
+      if (proof.reason) {
+        add(weights.noProof, proof.reason);
+      } else if (time - proof.issuedAt < config.minSubmitSeconds * 1000) {
+        add(weights.tooFast, 'too-fast');
+      }
+
+      if (countLinks(name) > 0) add(weights.linkInName, 'link-in-name');
+      const content = text.filter(Boolean).join('\n');
+      const links = countLinks(content);
+      if (links > config.maxFreeLinks) add(weights.link * (links - config.maxFreeLinks), `links:${links}`);
+
+      const lower = `${name}\n${content}`.toLowerCase();
+      config.phrases.filter(phrase => lower.includes(phrase)).forEach(phrase => add(weights.phrase, `phrase:${phrase}`));
+
+      return { score, reasons, flagged: score >= config.threshold };
+    }
+  };
+}
+
+// Held submissions in 'quarantine', waiting for an admin to release them
+// into their collection or discard them. `extra` keeps request details the
+// record itself doesn't store (e.g. a lead's referral code).
+function createQuarantine({ store, now = Date.now }) {
+  return {
+    hold(collection, record, verdict, extra = {}) {
+      return store.insert('quarantine', {
+        id: generateId(),
+        collection,
+        record,
+        extra,
+        score: verdict.score,
+        reasons: verdict.reasons,
+        timestamp: new Date(now()).toISOString()
+      });
+    },
+
+    // Newest first
+    async list() {
+      return (await store.list('quarantine')).reverse();
+    },
+
+    // Remove a held submission and return it, or null if it is gone
+    // (possibly taken by a concurrent request)
+    async take(id) {
+      const entry = await store.get('quarantine', id);
+      if (!entry || !(await store.remove('quarantine', id))) return null;
+      return entry;
+    }
+  };
+}
+
+module.exports = { loadSpamConfig, createSpamFilter, createQuarantine };
@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Field-level encryption at rest (AES-256-GCM). Encrypted values are strings
+//   enc:1:<keyId>:<iv>.<tag>.<ciphertext>   (base64url parts)
+// authenticated against "<collection>.<field>" so a value can't be moved to
+// another field unnoticed. Values without the prefix are treated as legacy
+// plaintext, so encryption can be switched on over existing data and
+// `npm run keys:rotate` brings every record up to the current key.
+
+const PREFIX = 'enc:1:';
+const KEY_BYTES = 32;
+
+// Keyring text is a list of "<keyId>:<base64 key>" entries separated by commas
+// or newlines; the first entry is the current key used for new writes.
+function parseKeyring(text) {
+  const entries = String(text)
+    .split(/[\n,]/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+
+  const keys = new Map();
+  entries.forEach(entry => {
+    const sep = entry.indexOf(':');
+    const id = entry.slice(0, sep);
+    const key = Buffer.from(entry.slice(sep + 1), 'base64');
+    if (sep < 1 || !/^[A-Za-z0-9_-]+$/.test(id)) {
+      throw new Error('Encryption keys must be written as <keyId>:<base64 key>');
+    }
+    if (key.length !== KEY_BYTES) {
+      throw new Error(`Encryption key "${id}" must be ${KEY_BYTES} bytes (base64 encoded)`);
+    }
+    if (keys.has(id)) {
+      throw new Error(`Encryption key id "${id}" is listed twice`);
+    }
+    keys.set(id, key);
+  });
+
+  if (keys.size === 0) throw new Error('No encryption keys found');
+  return { currentKeyId: entries[0].slice(0, entries[0].indexOf(':')), keys };
+}
+
+// Keys come from PII_ENCRYPTION_KEYS or the file named by PII_KEY_FILE.
+// Returns null when neither is set (records are then stored in plaintext).
+function loadKeyring(env = process.env) {
+  if (env.PII_ENCRYPTION_KEYS) return parseKeyring(env.PII_ENCRYPTION_KEYS);
+  if (env.PII_KEY_FILE) return parseKeyring(fs.readFileSync(env.PII_KEY_FILE, 'utf8'));
+  return null;
+}
+
+function generateKey(id) {
+  return `${id}:${crypto.randomBytes(KEY_BYTES).toString('base64')}`;
+}
+
+function createCipher({ currentKeyId, keys }) {
+  return {
+    currentKeyId,
+
+    encrypt(value, context) {
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv('aes-256-gcm', keys.get(currentKeyId), iv);
+      cipher.setAAD(Buffer.from(context));
+      const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+      const parts = [iv, cipher.getAuthTag(), ciphertext].map(b => b.toString('base64url'));
+      return `${PREFIX}${currentKeyId}:${parts.join('.')}`;
+    },
+
+    decrypt(value, context) {
+      if (!isEncrypted(value)) return value;
+      const rest = value.slice(PREFIX.length);
+      const keyId = rest.slice(0, rest.indexOf(':'));
+      const key = keys.get(keyId);
+      if (!key) throw new Error(`No encryption key "${keyId}" to decrypt ${context}`);
+      const [iv, tag, ciphertext] = rest.slice(keyId.length + 1).split('.').map(p => Buffer.from(p, 'base64url'));
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+      decipher.setAAD(Buffer.from(context));
+      decipher.setAuthTag(tag);
+      return JSON.parse(Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8'));
+    },
+
+    // True if a stored value needs re-encrypting under the current key
+    isStale(value) {
+      return !isEncrypted(value) || !value.startsWith(`${PREFIX}${currentKeyId}:`);
+    }
+  };
+}
+
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+// Wrap a store so the configured fields are encrypted on the way in and
+// decrypted on the way out. Callers see plaintext records as before.
+function createEncryptedStore(store, { keyring, fields }) {
+  const cipher = createCipher(keyring);
+
+  function transform(collection, record, fn) {
+    const names = fields[collection];
+    if (!names || !record) return record;
+    const out = { ...record };
+    names.forEach(field => {
+      if (out[field] !== undefined && out[field] !== null && out[field] !== '') {
+        out[field] = fn(out[field], `${collection}.${field}`);
+      }
+    });
+    return out;
+  }
+
+  const seal = (collection, record) => transform(collection, record, (v, ctx) => cipher.encrypt(v, ctx));
+  const open = (collection, record) => transform(collection, record, (v, ctx) => cipher.decrypt(v, ctx));
+
+  return {
+    ...store,
+    encrypted: true,
+
+    async list(collection) {
+      return (await store.list(collection)).map(r => open(collection, r));
+    },
+
+    async get(collection, id) {
+      return open(collection, await store.get(collection, id));
+    },
+
+    async insert(collection, record) {
+      await store.insert(collection, seal(collection, record));
+      return record;
+    },
+
+    async update(collection, id, changes) {
+      return open(collection, await store.update(collection, id, seal(collection, changes)));
+    },
+
+    async replace(collection, records) {
+      return store.replace(collection, records.map(r => seal(collection, r)));
+    },
+
+    encode(collection, records) {
+      return records.map(r => seal(collection, r));
+    },
+
+    async mutate(collection, fn) {
+      const result = await store.mutate(collection, records => {
+        const updated = fn(records.map(r => open(collection, r)));
+        return updated.map(r => seal(collection, r));
+      });
+      return result.map(r => open(collection, r));
+    },
+
+    // Re-encrypt every configured field under the current key (key rotation,
+    // or encrypting data written before a key was configured)
+    async reencryptAll() {
+      const counts = {};
+      for (const collection of Object.keys(fields)) {
+        let changed = 0;
+        await store.mutate(collection, records => records.map(record => {
+          const stale = fields[collection].some(f => record[f] && cipher.isStale(record[f]));
+          if (!stale) return record;
+          changed++;
+          return seal(collection, open(collection, record));
+        }));
+        counts[collection] = changed;
+      }
+      return counts;
+    }
+  };
+}
+
+// Refuse to start without keys once data has been encrypted; otherwise
+// ciphertext would be served (and re-saved) as if it were the real value
+async function assertKeysAvailable(store, fields) {
+  if (store.encrypted) return;
+  for (const [collection, names] of Object.entries(fields)) {
+    const records = await store.list(collection);
+    if (records.some(r => names.some(field => isEncrypted(r[field])))) {
+      throw new Error(`${collection} holds encrypted data but no keys are configured (PII_ENCRYPTION_KEYS or PII_KEY_FILE)`);
+    }
+  }
+}
+
+module.exports = { loadKeyring, parseKeyring, generateKey, createEncryptedStore, assertKeysAvailable };
@@ -0,0 +1,63 @@
+const path = require('path');
+const { createJsonStore } = require('./json-store');
+const { createSqliteStore } = require('./sqlite-store');
+const { loadKeyring, createEncryptedStore, assertKeysAvailable } = require('./encryption');
+
+// Submission collections shown in the admin dashboard
+const COLLECTIONS = ['leads', 'contacts', 'investors'];
+
+// Fields holding personal data in each submission collection
+const PII_FIELDS = {
+  leads: ['name', 'email'],
+  contacts: ['name', 'email', 'message', 'notes'],
+  investors: ['name', 'email', 'company', 'message', 'notes']
+};
+
+// Fields encrypted at rest when keys are configured (PII_ENCRYPTION_KEYS or
+// PII_KEY_FILE); see ./encryption.js
+const ENCRYPTED_FIELDS = {
+  ...PII_FIELDS,
+  privacy_requests: ['email'],
+  outbox: ['to', 'subject', 'text'],
+  webhooks: ['secret'],
+  webhook_deliveries: ['payload'],
+  quarantine: ['record', 'extra']
+};
+
+// Storage adapter interface (all methods return promises):
+//   list(collection)                 -> records in insertion order
+//   get(collection, id)              -> record or null
+//   insert(collection, record)       -> record
+//   update(collection, id, changes)  -> merged record or null
+//   remove(collection, id)           -> true if a record was deleted
+//   replace(collection, records)     -> overwrite a whole collection
+//   mutate(collection, fn)           -> atomic fn(records) => records
+//   encode(collection, records)      -> records in their at-rest form (sync)
+//   getDocument(name)                -> single object (e.g. analytics)
+//   updateDocument(name, fn)         -> atomic fn(doc) => doc
+//   close()
+//
+// The backend is chosen with STORAGE_DRIVER (json | sqlite), defaulting to json.
+function createBackend(dataDir, driver) {
+  switch (driver.toLowerCase()) {
+    case 'json':
+      return createJsonStore({ dir: dataDir });
+    case 'sqlite':
+      return createSqliteStore({ file: process.env.SQLITE_PATH || path.join(dataDir, 'tsono.db') });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}". Use: json or sqlite`);
+  }
+}
+
+// With a keyring configured, the store encrypts ENCRYPTED_FIELDS transparently
+function createStore({ dataDir, driver = process.env.STORAGE_DRIVER || 'json', keyring = loadKeyring() } = {}) {
+  const store = createBackend(dataDir, driver);
+  return keyring ? createEncryptedStore(store, { keyring, fields: ENCRYPTED_FIELDS }) : store;
+}
+
+// Fail fast if stored data is encrypted but this process has no keys
+function checkEncryptionKeys(store) {
+  return assertKeysAvailable(store, ENCRYPTED_FIELDS);
+}
+
+module.exports = { createStore, checkEncryptionKeys, COLLECTIONS, PII_FIELDS, ENCRYPTED_FIELDS };
@@ -0,0 +1,149 @@
+const fs = require('fs');
+const path = require('path');
+const lockfile = require('proper-lockfile');
+
+const LOCK_OPTIONS = { retries: { retries: 3, minTimeout: 100, maxTimeout: 1000 } };
+
+// JSON file backend - one file per collection/document in the data directory.
+// Every write happens under a proper-lockfile lock and re-reads the file inside
+// the lock, so concurrent read-modify-write cycles don't clobber each other.
+// Writes from this process are also queued per file: the lock only retries a
+// few times, which a burst of submissions would exhaust.
+function createJsonStore({ dir }) {
+  fs.mkdirSync(dir, { recursive: true });
+  const writeQueues = new Map();
+
+  function fileFor(name) {
+    return path.join(dir, `${name}.json`);
+  }
+
+  function readFile(file, fallback) {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      return fallback;
+    }
+  }
+
+  // Write to a temp file and rename so readers never see a half-written file
+  function writeFile(file, data) {
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2), 'utf8');
+    fs.renameSync(tmp, file);
+  }
+
+  async function lockAndRun(file, initial, fn) {
+    if (!fs.existsSync(file)) {
+      fs.writeFileSync(file, initial, 'utf8');
+    }
+    const release = await lockfile.lock(file, LOCK_OPTIONS);
+    try {
+      return fn();
+    } finally {
+      await release();
+    }
+  }
+
+  function withLock(file, initial, fn) {
+    const previous = writeQueues.get(file) || Promise.resolve();
+    const result = previous.then(() => lockAndRun(file, initial, fn));
+    const settled = result.catch(() => {});
+    writeQueues.set(file, settled);
+    settled.then(() => {
+      if (writeQueues.get(file) === settled) writeQueues.delete(file);
+    });
+    return result;
+  }
+
+  function readCollection(collection) {
+    const data = readFile(fileFor(collection), []);
+    return Array.isArray(data) ? data : [];
+  }
+
+  function readDocument(name) {
+    const data = readFile(fileFor(name), {});
+    // Documents must be plain objects (old analytics files were sometimes arrays)
+    return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+  }
+
+  // Apply fn(records) => records to a collection atomically
+  function mutate(collection, fn) {
+    const file = fileFor(collection);
+    return withLock(file, '[]', () => {
+      const records = readCollection(collection);
+      const result = fn(records);
+      writeFile(file, result);
+      return result;
+    });
+  }
+
+  return {
+    driver: 'json',
+
+    async list(collection) {
+      return readCollection(collection);
+    },
+
+    async get(collection, id) {
+      return readCollection(collection).find(r => String(r.id) === String(id)) || null;
+    },
+
+    async insert(collection, record) {
+      await mutate(collection, records => {
+        records.push(record);
+        return records;
+      });
+      return record;
+    },
+
+    async update(collection, id, changes) {
+      let updated = null;
+      await mutate(collection, records => records.map(r => {
+        if (String(r.id) !== String(id)) return r;
+        updated = { ...r, ...changes, id: r.id };
+        return updated;
+      }));
+      return updated;
+    },
+
+    async remove(collection, id) {
+      let removed = false;
+      await mutate(collection, records => records.filter(r => {
+        if (String(r.id) !== String(id)) return true;
+        removed = true;
+        return false;
+      }));
+      return removed;
+    },
+
+    async replace(collection, records) {
+      await mutate(collection, () => records);
+    },
+
+    mutate,
+
+    // Records as they are written at rest (plain for this backend)
+    encode(collection, records) {
+      return records;
+    },
+
+    async getDocument(name) {
+      return readDocument(name);
+    },
+
+    // fn(doc) may mutate doc in place or return a replacement
+    async updateDocument(name, fn) {
+      const file = fileFor(name);
+      return withLock(file, '{}', () => {
+        const doc = readDocument(name);
+        const result = fn(doc) || doc;
+        writeFile(file, result);
+        return result;
+      });
+    },
+
+    async close() {}
+  };
+}
+
+module.exports = { createJsonStore };
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+
+// Embedded SQLite backend. Records are stored as JSON blobs keyed by
+// (collection, id); insertion order is preserved through the seq column.
+// better-sqlite3 is an optional dependency so the JSON backend works without
+// a native build.
+function createSqliteStore({ file }) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (err) {
+    throw new Error('STORAGE_DRIVER=sqlite requires the better-sqlite3 package (npm install better-sqlite3)');
+  }
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS records (
+      seq INTEGER PRIMARY KEY AUTOINCREMENT,
+      collection TEXT NOT NULL,
+      id TEXT NOT NULL,
+      data TEXT NOT NULL,
+      UNIQUE (collection, id)
+    );
+    CREATE TABLE IF NOT EXISTS documents (
+      name TEXT PRIMARY KEY,
+      data TEXT NOT NULL
+    );
+  `);
+
+  const stmts = {
+    list: db.prepare('SELECT data FROM records WHERE collection = ? ORDER BY seq'),
+    get: db.prepare('SELECT data FROM records WHERE collection = ? AND id = ?'),
+    insert: db.prepare('INSERT INTO records (collection, id, data) VALUES (?, ?, ?)'),
+    update: db.prepare('UPDATE records SET data = ? WHERE collection = ? AND id = ?'),
+    remove: db.prepare('DELETE FROM records WHERE collection = ? AND id = ?'),
+    clear: db.prepare('DELETE FROM records WHERE collection = ?'),
+    getDocument: db.prepare('SELECT data FROM documents WHERE name = ?'),
+    setDocument: db.prepare('INSERT INTO documents (name, data) VALUES (?, ?) ON CONFLICT(name) DO UPDATE SET data = excluded.data')
+  };
+
+  function list(collection) {
+    return stmts.list.all(collection).map(row => JSON.parse(row.data));
+  }
+
+  function get(collection, id) {
+    const row = stmts.get.get(collection, String(id));
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  function getDocument(name) {
+    const row = stmts.getDocument.get(name);
+    return row ? JSON.parse(row.data) : {};
+  }
+
+  const replaceTx = db.transaction((collection, records) => {
+    stmts.clear.run(collection);
+    records.forEach(r => stmts.insert.run(collection, String(r.id), JSON.stringify(r)));
+  });
+
+  const updateTx = db.transaction((collection, id, changes) => {
+    const existing = get(collection, id);
+    if (!existing) return null;
+    const updated = { ...existing, ...changes, id: existing.id };
+    stmts.update.run(JSON.stringify(updated), collection, String(id));
+    return updated;
+  });
+
+  const mutateTx = db.transaction((collection, fn) => {
+    const result = fn(list(collection));
+    replaceTx(collection, result);
+    return result;
+  });
+
+  const updateDocumentTx = db.transaction((name, fn) => {
+    const doc = getDocument(name);
+    const result = fn(doc) || doc;
+    stmts.setDocument.run(name, JSON.stringify(result));
+    return result;
+  });
+
+  return {
+    driver: 'sqlite',
+
+    async list(collection) {
+      return list(collection);
+    },
+
+    async get(collection, id) {
+      return get(collection, id);
+    },
+
+    async insert(collection, record) {
+      stmts.insert.run(collection, String(record.id), JSON.stringify(record));
+      return record;
+    },
+
+    async update(collection, id, changes) {
+      return updateTx(collection, id, changes);
+    },
+
+    async remove(collection, id) {
+      return stmts.remove.run(collection, String(id)).changes > 0;
+    },
+
+    async replace(collection, records) {
+      replaceTx(collection, records);
+    },
+
+    async mutate(collection, fn) {
+      return mutateTx(collection, fn);
+    },
+
+    // Records as they are written at rest (plain for this backend)
+    encode(collection, records) {
+      return records;
+    },
+
+    async getDocument(name) {
+      return getDocument(name);
+    },
+
+    async updateDocument(name, fn) {
+      return updateDocumentTx(name, fn);
+    },
+
+    async close() {
+      db.close();
+    }
+  };
+}
+
+module.exports = { createSqliteStore };
@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+
+// Compact signed tokens for links sent by email:
+//   base64url(JSON payload).base64url(HMAC-SHA256 signature)
+// The payload carries its own expiry (exp, ms since epoch), so nothing needs
+// to be stored server-side to check a token.
+
+function sign(data, secret) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+function signToken(payload, secret, { ttlMs, now = Date.now() }) {
+  const data = Buffer.from(JSON.stringify({ ...payload, exp: now + ttlMs })).toString('base64url');
+  return `${data}.${sign(data, secret)}`;
+}
+
+// Returns the payload, or null if the token is malformed, forged or expired
+function verifyToken(token, secret, { now = Date.now() } = {}) {
+  const [data, signature] = String(token || '').split('.');
+  if (!data || !signature) return null;
+
+  const expected = Buffer.from(sign(data, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+  } catch (err) {
+    return null;
+  }
+  if (typeof payload.exp !== 'number' || payload.exp <= now) return null;
+  return payload;
+}
+
+module.exports = { signToken, verifyToken };
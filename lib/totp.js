@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+
+// RFC 4648 base32, the encoding authenticator apps expect for secrets
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const DEFAULTS = { step: 30, digits: 6, window: 1 };
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let out = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(str) {
+  const clean = String(str).toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// 160-bit secret as recommended by RFC 4226
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+// RFC 4226 HOTP value for a counter
+function hotp(secret, counter, digits = DEFAULTS.digits) {
+  const buf = Buffer.alloc(8);
+  buf.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buf).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** digits;
+  return String(code).padStart(digits, '0');
+}
+
+function counterAt(now, step = DEFAULTS.step) {
+  return Math.floor(now / 1000 / step);
+}
+
+// RFC 6238 TOTP code at a given time (ms). Pass `now` to test with a fake clock.
+function generateTotp(secret, { now = Date.now(), step = DEFAULTS.step, digits = DEFAULTS.digits } = {}) {
+  return hotp(secret, counterAt(now, step), digits);
+}
+
+// Check a code within +/- window steps of `now`. Returns the matching counter
+// (store it and reject codes at or below it to stop replays) or null.
+function verifyTotp(secret, code, { now = Date.now(), step = DEFAULTS.step, digits = DEFAULTS.digits, window = DEFAULTS.window, lastCounter = -1 } = {}) {
+  const candidate = String(code || '').replace(/\s+/g, '');
+  if (!/^\d+$/.test(candidate) || candidate.length !== digits) return null;
+
+  const current = counterAt(now, step);
+  for (let counter = current - window; counter <= current + window; counter++) {
+    if (counter <= lastCounter) continue;
+    const expected = hotp(secret, counter, digits);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return counter;
+    }
+  }
+  return null;
+}
+
+// otpauth:// URI that authenticator apps import (usually via QR code)
+function provisioningUri({ secret, account, issuer = 'Tsono' }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(DEFAULTS.digits), period: String(DEFAULTS.step) });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+// One-time recovery codes, e.g. "k3f9-2mq8"
+function generateRecoveryCodes(count = 10) {
+  const alphabet = '0123456789abcdefghjkmnpqrstvwxyz';
+  return Array.from({ length: count }, () => {
+    const chars = Array.from(crypto.randomBytes(8), b => alphabet[b % alphabet.length]).join('');
+    return `${chars.slice(0, 4)}-${chars.slice(4)}`;
+  });
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(String(code).trim().toLowerCase()).digest('hex');
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  provisioningUri,
+  generateRecoveryCodes,
+  hashRecoveryCode
+};
@@ -0,0 +1,206 @@
+// Validate email format: a dot-atom local part and a domain of valid
+// hostname labels ending in an alphabetic (or punycode) TLD, within the
+// RFC 5321 length limits. Deliverability is checked in ./email.js.
+const LOCAL_PART = /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(?:\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*$/i;
+const DOMAIN_LABEL = /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/i;
+const TOP_LEVEL_DOMAIN = /^(?:[a-z]{2,63}|xn--[a-z0-9-]{1,59})$/i;
+
+function isValidEmail(email) {
+  if (typeof email !== 'string' || email.length > 254) return false;
+  const at = email.lastIndexOf('@');
+  if (at < 1) return false;
+  const local = email.slice(0, at);
+  const labels = email.slice(at + 1).split('.');
+  return local.length <= 64 &&
+    LOCAL_PART.test(local) &&
+    labels.length >= 2 &&
+    labels.every(label => DOMAIN_LABEL.test(label)) &&
+    TOP_LEVEL_DOMAIN.test(labels[labels.length - 1]);
+}
+
+// Mailbox identity used to spot duplicates: case and surrounding whitespace
+// are ignored, and for Gmail so are dots and +tags in the local part
+// (J.Doe+news@googlemail.com and jdoe@gmail.com reach the same inbox)
+const GMAIL_DOMAINS = ['gmail.com', 'googlemail.com'];
+
+function normalizeEmail(email) {
+  const value = String(email || '').trim().toLowerCase();
+  const at = value.lastIndexOf('@');
+  if (at < 1) return value;
+  const domain = value.slice(at + 1);
+  if (!GMAIL_DOMAINS.includes(domain)) return value;
+  const local = value.slice(0, at).split('+')[0].replace(/\./g, '');
+  return `${local}@gmail.com`;
+}
+
+// Sanitize input - strip HTML tags and limit length
+function sanitize(str, maxLength = 1000) {
+  if (!str) return '';
+  return String(str)
+    .replace(/<[^>]*>/g, '') // Strip HTML tags
+    .replace(/[<>"'&]/g, (char) => { // Escape special chars
+      const entities = { '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#x27;', '&': '&amp;' };
+      return entities[char];
+    })
+    .trim()
+    .slice(0, maxLength);
+}
+
+const ENTITIES = { '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#x27;': "'", '&amp;': '&' };
+
+// Undo sanitize()'s escaping, for plain-text output such as emails
+function unescapeHtml(str) {
+  return String(str).replace(/&(lt|gt|quot|#x27|amp);/g, entity => ENTITIES[entity]);
+}
+
+// Triage states for contact messages and investor inquiries
+const RECORD_STATUSES = ['new', 'in-progress', 'replied', 'archived'];
+
+// States that still need someone to act on them
+const UNHANDLED_STATUSES = ['new', 'in-progress'];
+
+// Double opt-in: a lead counts once its address has been confirmed
+const LEAD_STATUSES = ['pending', 'confirmed'];
+
+// Options of the public form <select>s (index.html, contact.html, careers.html)
+const INTERESTS = ['group-tracking', 'signals', 'no-download', 'organizing', 'all'];
+const CONTACT_SUBJECTS = ['general', 'support', 'feedback', 'partnership', 'press'];
+const INQUIRY_TYPES = ['general', 'seed', 'angel', 'partnership', 'marketing'];
+
+// Field rules, shared by EDITABLE_FIELDS and the request schemas in
+// ./schemas.js:
+//   type       'string' (default) or 'boolean'
+//   label      name used in messages
+//   required   must be present and not blank
+//   maxLength  longest accepted value
+//   email      must be a valid address; stored lowercased
+//   values     allowed values (an enum)
+//   default    used when an optional field is missing or blank
+//   raw        kept as sent: opaque tokens (challenge, referral code) and
+//              admin-entered text the dashboard escapes when it renders it
+// Returns { value } with the cleaned value, or { error }.
+function checkField(field, rule, value) {
+  const label = rule.label || field;
+  if (rule.type === 'boolean') {
+    if (value === undefined) return { value: rule.default === undefined ? false : rule.default };
+    return typeof value === 'boolean' ? { value } : { error: 'Must be true or false' };
+  }
+
+  const text = value === undefined ? '' : value;
+  if (typeof text !== 'string') return { error: 'Must be a string' };
+  if (!text.trim()) {
+    if (rule.default !== undefined) return { value: rule.default };
+    if (rule.email) return { error: 'Valid email is required' };
+    if (rule.values) return { error: `${label} must be one of: ${rule.values.join(', ')}` };
+    if (rule.required) return { error: `${label} is required` };
+    return { value: '' };
+  }
+  if (rule.maxLength && text.length > rule.maxLength) {
+    return { error: `${label} must be at most ${rule.maxLength} characters` };
+  }
+  if (rule.values) {
+    return rule.values.includes(text) ? { value: text } : { error: `${label} must be one of: ${rule.values.join(', ')}` };
+  }
+  if (rule.email) {
+    return isValidEmail(text) ? { value: sanitize(text, rule.maxLength).toLowerCase() } : { error: 'Valid email is required' };
+  }
+  return { value: rule.raw ? text : sanitize(text, rule.maxLength) };
+}
+
+function isObject(body) {
+  return Boolean(body) && typeof body === 'object' && !Array.isArray(body);
+}
+
+// Validate a whole request body against a schema ({ field: rule }). Fields
+// not in the schema are refused. Returns { values, errors } where errors
+// maps field names to messages; values holds every schema field, cleaned.
+function validateBody(schema, body) {
+  const values = {};
+  const errors = {};
+  if (!isObject(body)) {
+    return { values, errors: { _body: 'Expected a JSON object' } };
+  }
+
+  Object.keys(body).filter(field => !schema[field]).forEach(field => {
+    errors[field] = 'Unknown field';
+  });
+  Object.entries(schema).forEach(([field, rule]) => {
+    const result = checkField(field, rule, body[field]);
+    if (result.error) errors[field] = result.error;
+    else values[field] = result.value;
+  });
+  return { values, errors };
+}
+
+// Fields an admin may edit on each collection
+const EDITABLE_FIELDS = {
+  leads: {
+    name: { label: 'Name', maxLength: 100, required: true },
+    email: { maxLength: 254, email: true },
+    interest: { label: 'Interest', maxLength: 50 }
+  },
+  contacts: {
+    name: { label: 'Name', maxLength: 100, required: true },
+    email: { maxLength: 254, email: true },
+    subject: { label: 'Subject', maxLength: 100 },
+    message: { label: 'Message', maxLength: 5000 },
+    status: { label: 'Status', values: RECORD_STATUSES },
+    assignee: { label: 'Assignee', maxLength: 100, raw: true },
+    notes: { label: 'Notes', maxLength: 5000, raw: true }
+  },
+  investors: {
+    name: { label: 'Name', maxLength: 100, required: true },
+    email: { maxLength: 254, email: true },
+    company: { label: 'Company', maxLength: 100 },
+    inquiryType: { label: 'Inquiry type', maxLength: 50 },
+    message: { label: 'Message', maxLength: 5000 },
+    status: { label: 'Status', values: RECORD_STATUSES },
+    assignee: { label: 'Assignee', maxLength: 100, raw: true },
+    notes: { label: 'Notes', maxLength: 5000, raw: true }
+  }
+};
+
+// Validate a partial admin update: only the fields sent are checked.
+// Returns { changes, errors } like validateBody.
+function validateRecordUpdate(collection, body) {
+  const fields = EDITABLE_FIELDS[collection];
+  const changes = {};
+  const errors = {};
+
+  if (!isObject(body)) {
+    return { changes, errors: { _body: 'Expected a JSON object' } };
+  }
+
+  Object.entries(body).forEach(([field, value]) => {
+    const rule = fields[field];
+    if (!rule) {
+      errors[field] = 'Field cannot be edited';
+      return;
+    }
+    const result = value === undefined || value === null ? { error: 'Must be a string' } : checkField(field, rule, value);
+    if (result.error) errors[field] = result.error;
+    else changes[field] = result.value;
+  });
+
+  if (Object.keys(errors).length === 0 && Object.keys(changes).length === 0) {
+    errors._body = 'No fields to update';
+  }
+
+  return { changes, errors };
+}
+
+module.exports = {
+  isValidEmail,
+  normalizeEmail,
+  sanitize,
+  unescapeHtml,
+  validateBody,
+  validateRecordUpdate,
+  RECORD_STATUSES,
+  UNHANDLED_STATUSES,
+  LEAD_STATUSES,
+  INTERESTS,
+  CONTACT_SUBJECTS,
+  INQUIRY_TYPES,
+  EDITABLE_FIELDS
+};
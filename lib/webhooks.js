@@ -0,0 +1,396 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { generateId } = require('./ids');
+
+const WEBHOOK_EVENTS = [
+  'lead.created',
+  'lead.confirmed',
+  'contact.created',
+  'contact.status_changed',
+  'investor.created',
+  'investor.status_changed'
+];
+
+const MAX_URL_LENGTH = 2000;
+const DELIVERY_LOG_LIMIT = 100;
+
+// Signature sent with every delivery:
+//   X-Tsono-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+// keyed with the subscription secret. Receivers should recompute it over the
+// raw body and reject stale timestamps to prevent replays.
+function signPayload(secret, body, timestamp) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+// Subscription secrets are stored sealed with AES-256-GCM under a key derived
+// from WEBHOOK_SECRET_KEY, whether or not PII encryption is configured:
+//   sealed:1:<iv>.<tag>.<ciphertext>   (base64url parts)
+// authenticated against the subscription id. Values without the prefix are
+// secrets saved before sealing; sealStoredSecrets() converts them.
+const SEALED_PREFIX = 'sealed:1:';
+
+function deriveSecretKey(secretKey) {
+  return Buffer.from(crypto.hkdfSync('sha256', secretKey, '', 'tsono-webhook-secrets', 32));
+}
+
+function sealSecret(key, id, secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(id));
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return SEALED_PREFIX + [iv, cipher.getAuthTag(), ciphertext].map(b => b.toString('base64url')).join('.');
+}
+
+function openSecret(key, id, value) {
+  if (!isSealed(value)) return value;
+  const [iv, tag, ciphertext] = value.slice(SEALED_PREFIX.length).split('.').map(p => Buffer.from(p, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAAD(Buffer.from(id));
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+function isSealed(value) {
+  return typeof value === 'string' && value.startsWith(SEALED_PREFIX);
+}
+
+function secretHint(secret) {
+  return `${secret.slice(0, 10)}...`;
+}
+
+// Destinations a webhook may not reach, so a subscription can't be used to
+// probe the server's own network: unspecified, loopback, private, carrier-grade
+// NAT, link-local (cloud metadata endpoints), multicast and reserved ranges.
+// BlockList checks IPv4-mapped IPv6 addresses against the IPv4 ranges.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv6'));
+
+function isPrivateAddress(address) {
+  const type = net.isIP(address);
+  return type !== 0 && BLOCKED_ADDRESSES.check(address, type === 6 ? 'ipv6' : 'ipv4');
+}
+
+// True if the URL names a private address or a localhost name. Hostnames
+// that resolve to one are caught again at delivery time.
+function isPrivateUrl(url) {
+  const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  return host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host);
+}
+
+// Check subscription fields from an admin request. With `partial` only the
+// fields present are checked (PATCH). Returns { changes, errors } like
+// validateRecordUpdate. Private and loopback URLs are refused unless
+// `allowPrivate` (for receivers on a developer's machine).
+function validateSubscription(body, { partial = false, requireHttps = false, allowPrivate = false } = {}) {
+  const changes = {};
+  const errors = {};
+
+  if (body.url !== undefined || !partial) {
+    let url = null;
+    try {
+      url = new URL(String(body.url || ''));
+    } catch (err) {
+      // reported below
+    }
+    const protocols = requireHttps ? ['https:'] : ['https:', 'http:'];
+    if (!url || !protocols.includes(url.protocol) || String(body.url).length > MAX_URL_LENGTH) {
+      errors.url = requireHttps ? 'Must be an https:// URL' : 'Must be an http:// or https:// URL';
+    } else if (!allowPrivate && isPrivateUrl(url)) {
+      errors.url = 'Must not point at a local or private network address';
+    } else {
+      changes.url = url.toString();
+    }
+  }
+  if (body.events !== undefined || !partial) {
+    const events = Array.isArray(body.events) ? [...new Set(body.events)] : [];
+    if (events.length === 0 || events.some(e => !WEBHOOK_EVENTS.includes(e))) {
+      errors.events = `Choose one or more of: ${WEBHOOK_EVENTS.join(', ')}`;
+    } else {
+      changes.events = events;
+    }
+  }
+  if (body.description !== undefined) {
+    changes.description = String(body.description).trim().slice(0, 200);
+  }
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') errors.active = 'Must be true or false';
+    else changes.active = body.active;
+  }
+  return { changes, errors };
+}
+
+// Subscriptions never leave the server with their secret
+function publicSubscription({ secret, ...subscription }) {
+  return subscription;
+}
+
+// Outgoing webhooks. Subscriptions live in 'webhooks'; each event fans out to
+// one record per subscriber in 'webhook_deliveries', which doubles as the
+// delivery log. Failed deliveries are retried with exponential backoff and,
+// after maxAttempts, dead-lettered until an admin redelivers them.
+//
+// Delivery states: pending -> delivered | dead
+function createWebhooks({
+  store,
+  logger,
+  secretKey,
+  allowPrivate = false,
+  fetch = globalThis.fetch,
+  lookup = dns.promises.lookup,
+  maxAttempts = 8,
+  baseDelayMs = 30 * 1000,
+  maxDelayMs = 6 * 60 * 60 * 1000,
+  timeoutMs = 10 * 1000,
+  intervalMs = 15 * 1000,
+  now = Date.now
+}) {
+  if (!secretKey) throw new Error('createWebhooks requires a secretKey');
+  const key = deriveSecretKey(secretKey);
+  let timer = null;
+  let queue = Promise.resolve();
+  let flushQueued = false;
+
+  function retryDelay(attempts) {
+    return Math.min(baseDelayMs * 2 ** (attempts - 1), maxDelayMs);
+  }
+
+  // The URL was checked when saved, but its hostname may have been pointed
+  // at a private address since
+  async function checkDestination(url) {
+    if (allowPrivate) return;
+    const { hostname } = new URL(url);
+    const addresses = await lookup(hostname.replace(/^\[|\]$/g, ''), { all: true });
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+      throw new Error(`${hostname} resolves to a private network address`);
+    }
+  }
+
+  function signingSecret(subscription) {
+    try {
+      return openSecret(key, subscription.id, subscription.secret);
+    } catch (err) {
+      throw new Error('Signing secret could not be decrypted (was WEBHOOK_SECRET_KEY changed?)');
+    }
+  }
+
+  async function post(subscription, delivery) {
+    await checkDestination(subscription.url);
+    const secret = signingSecret(subscription);
+    const body = JSON.stringify({
+      id: delivery.id,
+      event: delivery.event,
+      createdAt: delivery.createdAt,
+      data: delivery.payload
+    });
+    const response = await fetch(subscription.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Tsono-Webhooks/1.0',
+        'X-Tsono-Event': delivery.event,
+        'X-Tsono-Delivery': delivery.id,
+        'X-Tsono-Signature': signPayload(secret, body, Math.floor(now() / 1000))
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    if (response.body) await response.body.cancel();
+    return response.status;
+  }
+
+  async function deliver(delivery) {
+    const attempts = (delivery.attempts || 0) + 1;
+    const attemptedAt = new Date(now()).toISOString();
+    const subscription = await store.get('webhooks', delivery.webhookId);
+    if (!subscription || !subscription.active) {
+      await store.update('webhook_deliveries', delivery.id, {
+        status: 'dead',
+        lastError: subscription ? 'Subscription is disabled' : 'Subscription was deleted'
+      });
+      return false;
+    }
+
+    let status = null;
+    let error = null;
+    try {
+      status = await post(subscription, delivery);
+      if (status < 200 || status >= 300) error = `HTTP ${status}`;
+    } catch (err) {
+      error = err.name === 'TimeoutError' ? `Timed out after ${timeoutMs}ms` : String(err.message || err);
+    }
+
+    if (!error) {
+      await store.update('webhook_deliveries', delivery.id, {
+        status: 'delivered',
+        attempts,
+        lastStatus: status,
+        lastError: null,
+        lastAttemptAt: attemptedAt,
+        deliveredAt: attemptedAt
+      });
+      return true;
+    }
+
+    const dead = attempts >= maxAttempts;
+    await store.update('webhook_deliveries', delivery.id, {
+      status: dead ? 'dead' : 'pending',
+      attempts,
+      lastStatus: status,
+      lastError: error.slice(0, 500),
+      lastAttemptAt: attemptedAt,
+      nextAttemptAt: new Date(now() + retryDelay(attempts)).toISOString()
+    });
+    const fields = { deliveryId: delivery.id, webhookId: delivery.webhookId, event: delivery.event, attempts, error };
+    if (dead) logger.error(fields, 'Webhook delivery dead-lettered');
+    else logger.warn(fields, 'Webhook delivery failed, will retry');
+    return false;
+  }
+
+  async function flushOnce() {
+    flushQueued = false;
+    const time = now();
+    const due = (await store.list('webhook_deliveries'))
+      .filter(d => d.status === 'pending' && new Date(d.nextAttemptAt).getTime() <= time);
+
+    let delivered = 0;
+    for (const delivery of due) {
+      if (await deliver(delivery)) delivered++;
+    }
+    return { attempted: due.length, delivered };
+  }
+
+  // Flushes are serialized; calls made while one is waiting share it
+  function flush() {
+    if (flushQueued) return queue;
+    flushQueued = true;
+    const result = queue.then(flushOnce);
+    queue = result.catch(err => logger.error({ err }, 'Webhook flush failed'));
+    return result;
+  }
+
+  return {
+    async listSubscriptions() {
+      return (await store.list('webhooks')).map(publicSubscription);
+    },
+
+    // Returns the subscription including its secret; this is the only time
+    // the secret is shown
+    async createSubscription(fields, admin) {
+      const id = generateId();
+      const secret = generateSecret();
+      const subscription = {
+        id,
+        description: '',
+        active: true,
+        ...fields,
+        secretHint: secretHint(secret),
+        createdBy: admin,
+        createdAt: new Date(now()).toISOString()
+      };
+      await store.insert('webhooks', { ...subscription, secret: sealSecret(key, id, secret) });
+      return { ...subscription, secret };
+    },
+
+    async updateSubscription(id, changes) {
+      const updated = await store.update('webhooks', id, { ...changes, updatedAt: new Date(now()).toISOString() });
+      return updated && publicSubscription(updated);
+    },
+
+    removeSubscription(id) {
+      return store.remove('webhooks', id);
+    },
+
+    // Queue `event` for every active subscriber and start delivering
+    async emit(event, data) {
+      const subscribers = (await store.list('webhooks')).filter(s => s.active && s.events.includes(event));
+      const createdAt = new Date(now()).toISOString();
+      for (const subscription of subscribers) {
+        await store.insert('webhook_deliveries', {
+          id: generateId(),
+          webhookId: subscription.id,
+          url: subscription.url,
+          event,
+          recordId: data.id || null,
+          payload: data,
+          status: 'pending',
+          attempts: 0,
+          lastStatus: null,
+          lastError: null,
+          createdAt,
+          lastAttemptAt: null,
+          nextAttemptAt: createdAt,
+          deliveredAt: null
+        });
+      }
+      if (subscribers.length > 0) flush().catch(() => {});
+      return subscribers.length;
+    },
+
+    // Most recent deliveries first, without payloads
+    async listDeliveries({ webhookId, status, limit = DELIVERY_LOG_LIMIT } = {}) {
+      return (await store.list('webhook_deliveries'))
+        .filter(d => (!webhookId || d.webhookId === webhookId) && (!status || d.status === status))
+        .reverse()
+        .slice(0, limit)
+        .map(({ payload, ...delivery }) => delivery);
+    },
+
+    // Send a finished (delivered or dead) delivery again with a fresh set
+    // of attempts. Returns null if it is unknown or still pending.
+    async redeliver(id) {
+      const existing = await store.get('webhook_deliveries', id);
+      if (!existing || existing.status === 'pending') return null;
+      const { payload, ...delivery } = await store.update('webhook_deliveries', id, {
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: new Date(now()).toISOString()
+      });
+      flush().catch(() => {});
+      return delivery;
+    },
+
+    // Seal secrets stored in plaintext by earlier versions. Returns how many
+    // were converted.
+    async sealStoredSecrets() {
+      let sealed = 0;
+      await store.mutate('webhooks', subscriptions => subscriptions.map(subscription => {
+        if (isSealed(subscription.secret)) return subscription;
+        sealed++;
+        return {
+          ...subscription,
+          secretHint: subscription.secretHint || secretHint(subscription.secret),
+          secret: sealSecret(key, subscription.id, subscription.secret)
+        };
+      }));
+      return sealed;
+    },
+
+    flush,
+
+    start() {
+      const tick = () => flush().catch(() => {});
+      tick();
+      timer = setInterval(tick, intervalMs);
+      timer.unref();
+    },
+
+    stop() {
+      clearInterval(timer);
+    }
+  };
+}
+
+module.exports = { createWebhooks, validateSubscription, WEBHOOK_EVENTS };
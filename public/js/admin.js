@@ -6,63 +6,170 @@
 (function() {
     'use strict';
 
+    // Inbox triage states (must match RECORD_STATUSES on the server)
+    const STATUSES = [
+        { value: 'new', label: 'New' },
+        { value: 'in-progress', label: 'In Progress' },
+        { value: 'replied', label: 'Replied' },
+        { value: 'archived', label: 'Archived' }
+    ];
+    const LEAD_STATUSES = [
+        { value: 'pending', label: 'Pending' },
+        { value: 'confirmed', label: 'Confirmed' }
+    ];
+    const COLLECTIONS = ['leads', 'contacts', 'investors'];
+    const PAGE_SIZE = 50;
+
+    // Loaded pages per collection, list query options and dashboard totals
+    const state = {
+        leads: [],
+        contacts: [],
+        investors: [],
+        audit: [],
+        pages: {
+            leads: { total: 0, nextCursor: null, loading: false },
+            contacts: { total: 0, nextCursor: null, loading: false },
+            investors: { total: 0, nextCursor: null, loading: false },
+            audit: { total: 0, nextCursor: null, loading: false }
+        },
+        query: { sort: '-timestamp', from: '', to: '' },
+        filters: { leads: 'all', contacts: 'all', investors: 'all' },
+        auditFilters: { actor: '', action: '', recordId: '' },
+        summary: null,
+        todayViews: 0,
+        drawer: null,
+        searchResults: null,
+        user: null,
+        csrfToken: null,
+        loginChallenge: null,
+        useRecoveryCode: false,
+        lockoutTimer: null
+    };
+
+    // How often owners' dashboards re-check failed login activity
+    const LOCKOUT_POLL_MS = 60 * 1000;
+
+    // Roles in ascending order of privilege (must match ROLES on the server)
+    const ROLES = ['viewer', 'triager', 'owner'];
+
+    function hasRole(role) {
+        return Boolean(state.user) && ROLES.indexOf(state.user.role) >= ROLES.indexOf(role);
+    }
+
+    // Paged lists the signed-in admin can see; the audit trail is owner-only
+    function listCollections() {
+        return hasRole('owner') ? COLLECTIONS.concat('audit') : COLLECTIONS;
+    }
+
     // ============================================
     // AUTH FUNCTIONS
     // ============================================
 
-    function getAdminKey() {
-        return sessionStorage.getItem('adminKey');
+    async function getCsrfToken(refresh) {
+        if (state.csrfToken && !refresh) return state.csrfToken;
+        try {
+            const response = await fetch('/api/csrf-token');
+            const data = await response.json();
+            state.csrfToken = data.csrfToken;
+            return state.csrfToken;
+        } catch (err) {
+            console.error('Failed to fetch CSRF token:', err);
+            return null;
+        }
+    }
+
+    // Check for an existing session cookie
+    async function fetchCurrentUser() {
+        try {
+            const response = await fetch('/api/admin/me');
+            if (!response.ok) return null;
+            const data = await response.json();
+            return data.user;
+        } catch (err) {
+            console.error('Session check error:', err);
+            return null;
+        }
     }
 
-    function setAdminKey(key) {
-        sessionStorage.setItem('adminKey', key);
+    async function login(username, password) {
+        const csrfToken = await getCsrfToken(true);
+        const response = await fetch('/api/admin/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': csrfToken },
+            body: JSON.stringify({ username, password })
+        });
+        const data = await response.json();
+        if (!response.ok) return { error: data.message };
+        return data.twoFactorRequired ? { challenge: data.challenge } : { user: data.user };
     }
 
-    function clearAuth() {
-        sessionStorage.removeItem('adminKey');
+    // Second login step for accounts with two-factor enabled
+    async function verifyLoginCode(challenge, value, isRecoveryCode) {
+        const csrfToken = await getCsrfToken();
+        const response = await fetch('/api/admin/login/verify', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': csrfToken },
+            body: JSON.stringify(isRecoveryCode ? { challenge, recoveryCode: value } : { challenge, code: value })
+        });
+        const data = await response.json();
+        return response.ok ? { user: data.user } : { error: data.message };
     }
 
-    async function validateAdminKey(key) {
+    async function logout() {
+        const csrfToken = await getCsrfToken();
         try {
-            const response = await fetch('/api/all', {
-                method: 'GET',
-                headers: {
-                    'X-Admin-Key': key
-                }
+            await fetch('/api/admin/logout', {
+                method: 'POST',
+                headers: { 'X-CSRF-Token': csrfToken }
             });
-            return response.ok;
         } catch (err) {
-            console.error('Validation error:', err);
-            return false;
+            console.error('Logout error:', err);
         }
+        state.user = null;
     }
 
     // ============================================
     // API FUNCTIONS
     // ============================================
 
-    async function fetchWithAuth(url) {
-        const key = getAdminKey();
-        if (!key) {
-            showLogin();
-            return null;
+    // Session cookie auth; mutating requests also carry the CSRF token and
+    // retry once with a fresh token if it has expired
+    async function fetchWithAuth(url, options = {}, retried) {
+        const method = options.method || 'GET';
+        const headers = {};
+        if (options.body) {
+            headers['Content-Type'] = 'application/json';
+        }
+        if (method !== 'GET') {
+            headers['X-CSRF-Token'] = await getCsrfToken();
         }
 
         try {
             const response = await fetch(url, {
-                method: 'GET',
-                headers: {
-                    'X-Admin-Key': key
-                }
+                method,
+                headers,
+                body: options.body ? JSON.stringify(options.body) : undefined
             });
 
             if (response.status === 401) {
-                clearAuth();
+                state.user = null;
                 showLogin();
                 return null;
             }
 
+            if (response.status === 403 && method !== 'GET' && !retried) {
+                const data = await response.clone().json().catch(() => ({}));
+                if (data.code === 'EBADCSRFTOKEN') {
+                    await getCsrfToken(true);
+                    return fetchWithAuth(url, options, true);
+                }
+            }
+
             if (!response.ok) {
+                // Callers that render field errors ask for the error body
+                if (options.returnErrors) {
+                    return { success: false, status: response.status, ...(await response.json().catch(() => ({}))) };
+                }
                 throw new Error('Request failed');
             }
 
@@ -73,20 +180,74 @@
         }
     }
 
-    async function loadDashboardData() {
-        const [allData, analyticsData] = await Promise.all([
-            fetchWithAuth('/api/all'),
-            fetchWithAuth('/api/analytics')
-        ]);
+    function auditUrl(cursor) {
+        // The audit trail only sorts by time; other toolbar sorts fall back to newest first
+        const sort = state.query.sort === 'timestamp' ? 'timestamp' : '-timestamp';
+        const params = new URLSearchParams({ limit: PAGE_SIZE, sort });
+        if (state.query.from) params.set('from', state.query.from);
+        if (state.query.to) params.set('to', state.query.to);
+        Object.entries(state.auditFilters).forEach(([field, value]) => {
+            if (value) params.set(field, value);
+        });
+        if (cursor) params.set('cursor', cursor);
+        return `/api/audit?${params}`;
+    }
+
+    function listUrl(collection, cursor) {
+        if (collection === 'audit') return auditUrl(cursor);
+        const params = new URLSearchParams({ limit: PAGE_SIZE, sort: state.query.sort });
+        if (state.query.from) params.set('from', state.query.from);
+        if (state.query.to) params.set('to', state.query.to);
+        if (state.filters[collection] && state.filters[collection] !== 'all') {
+            params.set('status', state.filters[collection]);
+        }
+        if (cursor) params.set('cursor', cursor);
+        return `/api/${collection}?${params}`;
+    }
+
+    // Load the first page of a collection (reset) or append the next page
+    async function loadCollection(collection, reset) {
+        const page = state.pages[collection];
+        if (page.loading || (!reset && !page.nextCursor)) return;
+
+        page.loading = true;
+        renderPageControls(collection);
+
+        const result = await fetchWithAuth(listUrl(collection, reset ? null : page.nextCursor));
+        page.loading = false;
+
+        if (result) {
+            state[collection] = reset ? result.data : state[collection].concat(result.data);
+            page.total = result.count;
+            page.nextCursor = result.nextCursor;
+            renderTable(collection);
+        }
+        renderPageControls(collection);
+    }
 
-        if (allData) {
-            renderStats(allData.summary, analyticsData?.summary?.todayViews || 0);
-            renderLeadsTable(allData.data.leads);
-            renderContactsTable(allData.data.contacts);
-            renderInvestorsTable(allData.data.investors);
+    async function loadSummary() {
+        const result = await fetchWithAuth('/api/summary');
+        if (result) {
+            state.summary = result.summary;
+            renderStats();
+            renderFilterChips('leads');
+            renderFilterChips('contacts');
+            renderFilterChips('investors');
         }
+    }
+
+    async function loadDashboardData() {
+        const [, analyticsData] = await Promise.all([
+            loadSummary(),
+            fetchWithAuth('/api/analytics'),
+            loadReferrals(),
+            hasRole('triager') ? loadQuarantine() : null,
+            ...listCollections().map(c => loadCollection(c, true))
+        ]);
 
         if (analyticsData) {
+            state.todayViews = analyticsData.summary.todayViews || 0;
+            renderStats();
             renderDailyViews(analyticsData.daily);
             renderTopPages(analyticsData.summary.topPages);
             renderReferrers(analyticsData.recentReferrers);
@@ -97,11 +258,21 @@
     // RENDER FUNCTIONS
     // ============================================
 
+    // Safe in text and in quoted attribute values (lockout keys, for one,
+    // are whatever a visitor typed as a username)
+    const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
     function escapeHtml(text) {
-        if (!text) return '';
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        if (text === null || text === undefined) return '';
+        return String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+    }
+
+    // Public form fields are stored HTML-escaped by the server; undo that
+    // where they are shown as plain text (textContent, input values)
+    const STORED_ENTITIES = { '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#x27;': "'", '&amp;': '&' };
+
+    function unescapeHtml(text) {
+        return String(text).replace(/&(lt|gt|quot|#x27|amp);/g, entity => STORED_ENTITIES[entity]);
     }
 
     function formatDate(isoString) {
@@ -125,71 +296,234 @@
         });
     }
 
-    function renderStats(summary, todayViews) {
-        document.getElementById('stat-leads').textContent = summary.leads || 0;
-        document.getElementById('stat-contacts').textContent = summary.contacts || 0;
-        document.getElementById('stat-investors').textContent = summary.investors || 0;
-        document.getElementById('stat-views').textContent = todayViews || 0;
+    async function updateRecord(collection, id, changes) {
+        const result = await fetchWithAuth(`/api/${collection}/${encodeURIComponent(id)}`, {
+            method: 'PATCH',
+            body: changes
+        });
+        if (!result) return null;
+
+        if (state.searchResults) {
+            state.searchResults[collection] = state.searchResults[collection]
+                .map(r => (String(r.id) === String(id) ? result.data : r));
+        }
+
+        // Swap the updated record into local state; drop it if it no longer
+        // matches the active status filter
+        const filter = state.filters[collection];
+        if (filter && filter !== 'all' && result.data.status !== filter) {
+            state[collection] = state[collection].filter(r => String(r.id) !== String(id));
+            state.pages[collection].total--;
+        } else {
+            state[collection] = state[collection].map(r => (String(r.id) === String(id) ? result.data : r));
+        }
+        renderTable(collection);
+        renderPageControls(collection);
+        loadSummary();
+        return result.data;
+    }
+
+    function renderStats() {
+        const summary = state.summary;
+        if (summary) {
+            document.getElementById('stat-leads').textContent = summary.leads;
+            document.getElementById('stat-leads-confirmed').textContent = `${summary.confirmedLeads} confirmed`;
+            document.getElementById('stat-contacts').textContent = summary.unhandled.contacts;
+            document.getElementById('stat-contacts-total').textContent = `${summary.contacts} total`;
+            document.getElementById('stat-investors').textContent = summary.unhandled.investors;
+            document.getElementById('stat-investors-total').textContent = `${summary.investors} total`;
+        }
+        document.getElementById('stat-views').textContent = state.todayViews || 0;
+    }
+
+    function renderPageControls(collection) {
+        const page = state.pages[collection];
+        document.getElementById(`${collection}-count`).textContent = page.total
+            ? `Showing ${state[collection].length} of ${page.total}`
+            : '';
+
+        const btn = document.querySelector(`.btn-load-more[data-collection="${collection}"]`);
+        btn.hidden = !page.nextCursor;
+        btn.disabled = page.loading;
+        btn.textContent = page.loading ? 'Loading...' : 'Load more';
+    }
+
+    function renderTable(collection) {
+        if (collection === 'leads') renderLeadsTable();
+        if (collection === 'contacts') renderContactsTable();
+        if (collection === 'investors') renderInvestorsTable();
+        if (collection === 'audit') renderAuditTable();
     }
 
-    function renderLeadsTable(leads) {
+    function renderLeadsTable() {
         const tbody = document.getElementById('leads-table-body');
+        const leads = state.leads;
 
-        if (!leads || leads.length === 0) {
-            tbody.innerHTML = '<tr><td colspan="4"><div class="empty-state">No leads yet</div></td></tr>';
+        if (leads.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5"><div class="empty-state">No leads found</div></td></tr>';
             return;
         }
 
-        // Sort by timestamp descending (newest first)
-        const sorted = [...leads].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-
-        tbody.innerHTML = sorted.map(lead => `
+        // Rows arrive already sorted by the server
+        tbody.innerHTML = leads.map(lead => `
             <tr>
                 <td>${escapeHtml(lead.name)}</td>
                 <td>${escapeHtml(lead.email)}</td>
-                <td>${escapeHtml(lead.interest || 'general')}</td>
+                <td title="${escapeHtml((lead.interestHistory || []).map(h => h.interest).join(' → '))}">${escapeHtml(lead.interest || 'general')}${lead.signupCount > 1 ? ` · ${lead.signupCount} signups` : ''}</td>
+                <td>${lead.status === 'confirmed' ? 'Confirmed' : 'Pending'}</td>
                 <td>${formatDate(lead.timestamp)}</td>
             </tr>
         `).join('');
     }
 
-    function renderContactsTable(contacts) {
-        const tbody = document.getElementById('contacts-table-body');
+    async function loadReferrals() {
+        const result = await fetchWithAuth('/api/referrals');
+        if (result) renderReferralsTable(result.data);
+    }
 
-        if (!contacts || contacts.length === 0) {
-            tbody.innerHTML = '<tr><td colspan="5"><div class="empty-state">No contact messages yet</div></td></tr>';
+    function renderReferralsTable(referrers) {
+        const tbody = document.getElementById('referrals-table-body');
+        if (referrers.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="7"><div class="empty-state">No referrals yet</div></td></tr>';
             return;
         }
 
-        const sorted = [...contacts].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-
-        tbody.innerHTML = sorted.map(contact => `
+        tbody.innerHTML = referrers.map((referrer, i) => `
             <tr>
+                <td>${i + 1}</td>
+                <td>${escapeHtml(referrer.name)}</td>
+                <td>${escapeHtml(referrer.email)}</td>
+                <td>${escapeHtml(referrer.referralCode)}</td>
+                <td>${referrer.referrals}</td>
+                <td>${referrer.pendingReferrals}</td>
+                <td>#${referrer.position}</td>
+            </tr>
+        `).join('');
+    }
+
+    const FORM_LABELS = { leads: 'Signup', contacts: 'Contact', investors: 'Investor' };
+
+    async function loadQuarantine() {
+        const result = await fetchWithAuth('/api/quarantine');
+        if (result) renderQuarantineTable(result.data);
+    }
+
+    function renderQuarantineTable(entries) {
+        const tbody = document.getElementById('quarantine-table-body');
+        document.getElementById('quarantine-status').textContent = `${entries.length} held`;
+        if (entries.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="8"><div class="empty-state">Nothing in quarantine</div></td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = entries.map(entry => {
+            const record = entry.record;
+            const content = [record.subject, record.company, record.message || record.interest].filter(Boolean).join(' · ');
+            return `
+                <tr>
+                    <td>${formatDate(entry.timestamp)}</td>
+                    <td>${FORM_LABELS[entry.collection]}</td>
+                    <td>${escapeHtml(record.name)}</td>
+                    <td>${escapeHtml(record.email)}</td>
+                    <td><div class="message-preview" title="${escapeHtml(content)}">${escapeHtml(content)}</div></td>
+                    <td>${entry.score}</td>
+                    <td>${entry.reasons.map(escapeHtml).join(', ')}</td>
+                    <td class="user-actions">
+                        <button type="button" class="btn-logout" data-action="release" data-id="${escapeHtml(entry.id)}">Release</button>
+                        <button type="button" class="btn-logout" data-action="discard" data-id="${escapeHtml(entry.id)}">Discard</button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    // Release saves the submission as if it had passed the filter (sending
+    // the usual alerts and confirmation email); discard deletes it
+    async function handleQuarantineAction(action, id) {
+        if (action === 'discard' && !confirm('Discard this submission? It cannot be recovered.')) return;
+        const result = await fetchWithAuth(action === 'release' ? `/api/quarantine/${id}/release` : `/api/quarantine/${id}`, {
+            method: action === 'release' ? 'POST' : 'DELETE',
+            returnErrors: true
+        });
+        if (!result) return;
+        if (!result.success) {
+            document.getElementById('quarantine-status').textContent = result.message || 'Action failed';
+            return;
+        }
+        if (action === 'release') loadDashboardData();
+        else loadQuarantine();
+    }
+
+    function renderStatusSelect(record) {
+        const current = record.status || 'new';
+        return `
+            <select class="status-select" data-id="${escapeHtml(String(record.id))}" data-status="${escapeHtml(current)}" aria-label="Status"${hasRole('triager') ? '' : ' disabled'}>
+                ${STATUSES.map(s => `<option value="${s.value}"${s.value === current ? ' selected' : ''}>${s.label}</option>`).join('')}
+            </select>
+        `;
+    }
+
+    function renderFilterChips(collection) {
+        const container = document.getElementById(`${collection}-filters`);
+        const summary = state.summary;
+        const active = state.filters[collection];
+        const statuses = collection === 'leads' ? LEAD_STATUSES : STATUSES;
+        const chips = [{ value: 'all', label: 'All', count: summary ? summary[collection] : '-' }].concat(
+            statuses.map(s => ({
+                value: s.value,
+                label: s.label,
+                count: summary ? summary.statuses[collection][s.value] : '-'
+            }))
+        );
+
+        container.innerHTML = chips.map(chip => `
+            <button type="button" class="filter-chip${chip.value === active ? ' active' : ''}" data-status="${chip.value}" aria-pressed="${chip.value === active}">
+                ${chip.label}<span class="chip-count">${chip.count}</span>
+            </button>
+        `).join('');
+    }
+
+    function renderContactsTable() {
+        const tbody = document.getElementById('contacts-table-body');
+        const contacts = state.contacts;
+
+        if (contacts.length === 0) {
+            const empty = state.summary && state.summary.contacts === 0 ? 'No contact messages yet' : 'No messages match these filters';
+            tbody.innerHTML = `<tr><td colspan="7"><div class="empty-state">${empty}</div></td></tr>`;
+            return;
+        }
+
+        tbody.innerHTML = contacts.map(contact => `
+            <tr class="clickable" data-id="${escapeHtml(String(contact.id))}">
                 <td>${escapeHtml(contact.name)}</td>
                 <td>${escapeHtml(contact.email)}</td>
                 <td>${escapeHtml(contact.subject || '-')}</td>
                 <td><div class="message-preview" title="${escapeHtml(contact.message)}">${escapeHtml(contact.message)}</div></td>
+                <td>${renderStatusSelect(contact)}</td>
+                <td>${escapeHtml(contact.assignee || '-')}</td>
                 <td>${formatDate(contact.timestamp)}</td>
             </tr>
         `).join('');
     }
 
-    function renderInvestorsTable(investors) {
+    function renderInvestorsTable() {
         const tbody = document.getElementById('investors-table-body');
+        const investors = state.investors;
 
-        if (!investors || investors.length === 0) {
-            tbody.innerHTML = '<tr><td colspan="5"><div class="empty-state">No investor inquiries yet</div></td></tr>';
+        if (investors.length === 0) {
+            const empty = state.summary && state.summary.investors === 0 ? 'No investor inquiries yet' : 'No inquiries match these filters';
+            tbody.innerHTML = `<tr><td colspan="7"><div class="empty-state">${empty}</div></td></tr>`;
             return;
         }
 
-        const sorted = [...investors].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-
-        tbody.innerHTML = sorted.map(investor => `
-            <tr>
+        tbody.innerHTML = investors.map(investor => `
+            <tr class="clickable" data-id="${escapeHtml(String(investor.id))}">
                 <td>${escapeHtml(investor.name)}</td>
                 <td>${escapeHtml(investor.email)}</td>
                 <td>${escapeHtml(investor.company || '-')}</td>
                 <td>${escapeHtml(investor.inquiryType || 'general')}</td>
+                <td>${renderStatusSelect(investor)}</td>
+                <td>${escapeHtml(investor.assignee || '-')}</td>
                 <td>${formatDate(investor.timestamp)}</td>
             </tr>
         `).join('');
@@ -268,30 +602,649 @@
     }
 
     // ============================================
-    // EXPORT FUNCTIONS
+    // SEARCH
     // ============================================
 
-    function exportCSV(type) {
-        const key = getAdminKey();
-        if (!key) {
-            showLogin();
+    const SEARCH_GROUPS = [
+        { collection: 'leads', label: 'Leads', meta: r => r.interest || 'general' },
+        { collection: 'contacts', label: 'Contacts', meta: r => r.subject || r.message },
+        { collection: 'investors', label: 'Investors', meta: r => r.company || r.inquiryType }
+    ];
+
+    let searchTimer = null;
+    let searchSeq = 0;
+
+    async function runSearch(query) {
+        const seq = ++searchSeq;
+        const result = await fetchWithAuth(`/api/search?q=${encodeURIComponent(query)}`);
+        // Ignore responses that arrive after a newer query was typed
+        if (!result || seq !== searchSeq) return;
+        state.searchResults = result.results;
+        renderSearchResults(result);
+    }
+
+    function clearSearch() {
+        searchSeq++;
+        state.searchResults = null;
+        document.getElementById('global-search').value = '';
+        document.getElementById('search-results').classList.remove('visible');
+    }
+
+    function renderSearchResults(result) {
+        document.getElementById('search-title').textContent =
+            `${result.total} result${result.total === 1 ? '' : 's'} for "${result.query}"`;
+
+        const groups = SEARCH_GROUPS.filter(g => result.results[g.collection].length > 0);
+        document.getElementById('search-groups').innerHTML = groups.length === 0
+            ? '<div class="empty-state">No matching submissions</div>'
+            : groups.map(group => `
+                <div class="search-group">
+                    <h3>${group.label}</h3>
+                    ${result.results[group.collection].map(record => `
+                        <div class="search-hit${group.collection === 'leads' ? '' : ' clickable'}" data-collection="${group.collection}" data-id="${escapeHtml(String(record.id))}">
+                            <span>${escapeHtml(record.name)} &lt;${escapeHtml(record.email)}&gt;</span>
+                            <span class="search-hit-meta">${escapeHtml(group.meta(record) || '')} &middot; ${formatShortDate(record.timestamp)}</span>
+                        </div>
+                    `).join('')}
+                </div>
+            `).join('');
+
+        document.getElementById('search-results').classList.add('visible');
+    }
+
+    // ============================================
+    // DETAIL DRAWER
+    // ============================================
+
+    function findRecord(collection, id) {
+        const match = r => String(r.id) === String(id);
+        return state[collection].find(match)
+            || (state.searchResults && state.searchResults[collection].find(match));
+    }
+
+    function openDrawer(collection, id) {
+        const record = findRecord(collection, id);
+        if (!record) return;
+
+        state.drawer = { collection, id: record.id };
+
+        document.getElementById('drawer-title').textContent = record.name || '-';
+        const meta = [
+            `<div>${escapeHtml(record.email)}</div>`,
+            collection === 'contacts'
+                ? `<div>Subject: ${escapeHtml(record.subject || '-')}</div>`
+                : `<div>${escapeHtml(record.company || 'No company')} &middot; ${escapeHtml(record.inquiryType || 'general')}</div>`,
+            `<div>Received ${formatDate(record.timestamp)}</div>`
+        ];
+        if (record.updatedAt) {
+            meta.push(`<div>Updated ${formatDate(record.updatedAt)}</div>`);
+        }
+        document.getElementById('drawer-meta').innerHTML = meta.join('');
+        document.getElementById('drawer-message').textContent = record.message ? unescapeHtml(record.message) : '(no message)';
+
+        const statusSelect = document.getElementById('drawer-status-select');
+        statusSelect.innerHTML = STATUSES.map(s => `<option value="${s.value}">${s.label}</option>`).join('');
+        statusSelect.value = record.status || 'new';
+        statusSelect.dataset.status = statusSelect.value;
+        document.getElementById('drawer-assignee').value = record.assignee || '';
+        document.getElementById('drawer-notes').value = record.notes || '';
+        document.getElementById('drawer-status').textContent = '';
+
+        document.getElementById('drawer-backdrop').classList.add('visible');
+        const drawer = document.getElementById('record-drawer');
+        drawer.classList.add('visible');
+        drawer.setAttribute('aria-hidden', 'false');
+        document.getElementById('drawer-close').focus();
+    }
+
+    function closeDrawer() {
+        state.drawer = null;
+        document.getElementById('drawer-backdrop').classList.remove('visible');
+        const drawer = document.getElementById('record-drawer');
+        drawer.classList.remove('visible');
+        drawer.setAttribute('aria-hidden', 'true');
+    }
+
+    async function saveDrawer() {
+        if (!state.drawer) return;
+        const { collection, id } = state.drawer;
+        const saveBtn = document.getElementById('drawer-save');
+        const statusEl = document.getElementById('drawer-status');
+
+        saveBtn.disabled = true;
+        statusEl.textContent = 'Saving...';
+
+        const updated = await updateRecord(collection, id, {
+            status: document.getElementById('drawer-status-select').value,
+            assignee: document.getElementById('drawer-assignee').value,
+            notes: document.getElementById('drawer-notes').value
+        });
+
+        statusEl.textContent = updated ? 'Saved' : 'Save failed. Please try again.';
+        saveBtn.disabled = false;
+    }
+
+    // ============================================
+    // ACCOUNT SECURITY
+    // ============================================
+
+    function renderSecurity() {
+        const enabled = state.user.twoFactorEnabled;
+        const isDev = state.user.id === 'dev';
+        document.getElementById('twofa-status').textContent = isDev
+            ? 'Create an admin account to use two-factor authentication.'
+            : enabled
+                ? `Two-factor authentication is on. ${state.user.recoveryCodesLeft} recovery codes left.`
+                : 'Two-factor authentication is off.';
+        document.getElementById('twofa-off').hidden = enabled || isDev;
+        document.getElementById('twofa-disable-form').hidden = !enabled;
+        document.getElementById('twofa-enable-form').hidden = true;
+    }
+
+    async function setupTwoFactor() {
+        const result = await fetchWithAuth('/api/admin/2fa/setup', { method: 'POST', returnErrors: true });
+        if (!result) return;
+        if (!result.success) {
+            alert(result.message || 'Could not start setup');
+            return;
+        }
+        const link = document.getElementById('twofa-uri');
+        link.href = result.uri;
+        link.textContent = result.uri;
+        document.getElementById('twofa-secret').textContent = result.secret;
+        document.getElementById('twofa-off').hidden = true;
+        document.getElementById('twofa-enable-form').hidden = false;
+    }
+
+    async function enableTwoFactor(form) {
+        const code = form.elements.code.value.trim();
+        const result = await fetchWithAuth('/api/admin/2fa/enable', { method: 'POST', body: { code }, returnErrors: true });
+        if (!result) return;
+        if (!result.success) {
+            alert(result.message || 'Invalid code');
+            return;
+        }
+        form.reset();
+        document.getElementById('twofa-recovery-codes').textContent = result.recoveryCodes.join('\n');
+        document.getElementById('twofa-recovery').hidden = false;
+        state.user = await fetchCurrentUser() || state.user;
+        renderSecurity();
+    }
+
+    async function disableTwoFactor(form) {
+        const password = form.elements.password.value;
+        const result = await fetchWithAuth('/api/admin/2fa/disable', { method: 'POST', body: { password }, returnErrors: true });
+        if (!result) return;
+        if (!result.success) {
+            alert(result.message || 'Could not disable two-factor');
+            return;
+        }
+        form.reset();
+        state.user = await fetchCurrentUser() || state.user;
+        renderSecurity();
+    }
+
+    // ============================================
+    // LOGIN LOCKOUTS
+    // ============================================
+
+    async function loadLockouts() {
+        if (!hasRole('owner')) return;
+        const result = await fetchWithAuth('/api/admin/lockouts');
+        if (result) renderLockouts(result);
+    }
+
+    // Alert banner when failed logins cross the server's threshold or
+    // anything is currently locked out
+    function renderLockouts(status) {
+        const banner = document.getElementById('security-alert');
+        const locked = status.ips.map(e => ({ ...e, scope: 'ip' }))
+            .concat(status.accounts.map(e => ({ ...e, scope: 'username' })))
+            .filter(e => e.locked);
+
+        banner.hidden = !status.alert && locked.length === 0;
+        if (banner.hidden) return;
+
+        const minutes = Math.round(status.alertWindowMs / 60000);
+        document.getElementById('security-alert-text').textContent = status.alert
+            ? `${status.recentFailures} failed admin logins in the last ${minutes} minutes (alert threshold ${status.alertThreshold}).`
+            : `${locked.length} login lockout(s) active.`;
+
+        document.getElementById('lockout-list').innerHTML = locked.map(entry => `
+            <li>
+                <span>${entry.scope === 'ip' ? 'IP' : 'Account'} <strong>${escapeHtml(entry.key)}</strong> · ${entry.failures} failures · locked until ${formatDate(entry.lockedUntil)}</span>
+                <button type="button" class="btn-logout" data-scope="${escapeHtml(entry.scope)}" data-key="${escapeHtml(entry.key)}">Unlock</button>
+            </li>
+        `).join('');
+    }
+
+    async function clearLockout(scope, key) {
+        const result = await fetchWithAuth('/api/admin/lockouts', {
+            method: 'DELETE',
+            body: { [scope]: key },
+            returnErrors: true
+        });
+        if (result && !result.success) alert(result.message || 'Could not clear lockout');
+        loadLockouts();
+    }
+
+    // ============================================
+    // AUDIT TRAIL
+    // ============================================
+
+    function renderAuditTable() {
+        const tbody = document.getElementById('audit-table-body');
+        const entries = state.audit;
+
+        if (entries.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="7"><div class="empty-state">No audit entries found</div></td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = entries.map(entry => {
+            const records = entry.recordIds.length;
+            const recordTitle = escapeHtml(entry.recordIds.slice(0, 20).join(', '));
+            return `
+                <tr>
+                    <td>${formatDate(entry.timestamp)}</td>
+                    <td>${escapeHtml(entry.actor)}</td>
+                    <td>${escapeHtml(entry.action)}</td>
+                    <td><div class="message-preview" title="${escapeHtml(entry.route)}">${escapeHtml(entry.method)} ${escapeHtml(entry.route)}</div></td>
+                    <td title="${recordTitle}">${records ? records : '-'}</td>
+                    <td>${escapeHtml(entry.ip)}</td>
+                    <td>${escapeHtml(String(entry.status ?? '-'))}</td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    async function verifyAuditChain() {
+        const status = document.getElementById('audit-verify-status');
+        status.textContent = 'Verifying...';
+        const result = await fetchWithAuth('/api/audit/verify');
+        if (!result) {
+            status.textContent = 'Verification failed';
             return;
         }
+        status.textContent = result.valid
+            ? `Chain intact (${result.entries} entries)`
+            : `Chain broken at entry #${result.brokenAt} of ${result.entries}`;
+        status.classList.toggle('audit-broken', !result.valid);
+    }
+
+    // ============================================
+    // PRIVACY REQUESTS
+    // ============================================
+
+    const PRIVACY_STATUS_LABELS = {
+        unverified: 'Awaiting email confirmation',
+        pending: 'Awaiting approval',
+        completed: 'Completed',
+        rejected: 'Rejected'
+    };
+
+    async function loadPrivacyRequests() {
+        const result = await fetchWithAuth('/api/privacy/requests');
+        if (result) renderPrivacyTable(result.data);
+    }
 
-        // Create a temporary link to download
-        const link = document.createElement('a');
-        link.href = `/api/export/${type}`;
+    function renderPrivacyTable(requests) {
+        const tbody = document.getElementById('privacy-table-body');
+        if (requests.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="7"><div class="empty-state">No privacy requests yet</div></td></tr>';
+            return;
+        }
 
-        // We need to use fetch with auth header, then download the blob
-        fetch(`/api/export/${type}`, {
-            method: 'GET',
-            headers: {
-                'X-Admin-Key': key
+        tbody.innerHTML = requests.map(request => {
+            const id = escapeHtml(String(request.id));
+            let actions = '';
+            if (request.status === 'pending') {
+                actions = request.type === 'erasure'
+                    ? `<button type="button" class="btn-logout" data-action="approve" data-mode="delete" data-id="${id}">Delete data</button>
+                       <button type="button" class="btn-logout" data-action="approve" data-mode="pseudonymize" data-id="${id}">Pseudonymize</button>`
+                    : `<button type="button" class="btn-logout" data-action="approve" data-id="${id}">Send export</button>`;
             }
-        })
+            if (request.status === 'pending' || request.status === 'unverified') {
+                actions += `<button type="button" class="btn-logout" data-action="reject" data-id="${id}">Reject</button>`;
+            }
+            return `
+                <tr>
+                    <td>${formatDate(request.requestedAt)}</td>
+                    <td>${escapeHtml(request.type)}${request.mode ? ` (${escapeHtml(request.mode)})` : ''}</td>
+                    <td>${escapeHtml(request.email || request.emailMasked)}</td>
+                    <td>${escapeHtml(request.source)}</td>
+                    <td>${escapeHtml(PRIVACY_STATUS_LABELS[request.status] || request.status)}</td>
+                    <td>${escapeHtml(request.handledBy || '-')}</td>
+                    <td class="user-actions">${actions}</td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    function downloadJSON(data, filename) {
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    // Admin-run export or erasure for one email address
+    async function runPrivacyAction(action, email) {
+        const status = document.getElementById('privacy-form-status');
+        if (action === 'export') {
+            const result = await fetchWithAuth(`/api/privacy/export?email=${encodeURIComponent(email)}`, { returnErrors: true });
+            if (!result) return;
+            if (!result.success) {
+                status.textContent = result.message || 'Export failed';
+                return;
+            }
+            downloadJSON(result.data, `data-export-${new Date().toISOString().split('T')[0]}.json`);
+            status.textContent = 'Export downloaded';
+        } else {
+            const verb = action === 'delete' ? 'Permanently delete' : 'Pseudonymize';
+            if (!confirm(`${verb} every record for ${email}? This cannot be undone.`)) return;
+            const result = await fetchWithAuth('/api/privacy/erase', { method: 'POST', body: { email, mode: action }, returnErrors: true });
+            if (!result) return;
+            if (!result.success) {
+                status.textContent = result.message || 'Erasure failed';
+                return;
+            }
+            const count = COLLECTIONS.reduce((sum, c) => sum + result.affected[c].length, 0);
+            status.textContent = `${count} record(s) ${action === 'delete' ? 'deleted' : 'pseudonymized'}`;
+            loadDashboardData();
+        }
+        loadPrivacyRequests();
+    }
+
+    async function handlePrivacyRequest(id, action, mode) {
+        let body = {};
+        if (action === 'approve') {
+            const what = mode === 'delete' ? 'delete all of this person\'s data' : mode === 'pseudonymize' ? 'pseudonymize this person\'s data' : 'email this person a copy of their data';
+            if (!confirm(`Approve and ${what}?`)) return;
+            body = { mode };
+        } else {
+            const reason = prompt('Reason for rejecting (optional):');
+            if (reason === null) return;
+            body = { reason };
+        }
+        const result = await fetchWithAuth(`/api/privacy/requests/${encodeURIComponent(id)}/${action}`, {
+            method: 'POST',
+            body,
+            returnErrors: true
+        });
+        if (result && !result.success) alert(result.message || 'Could not update request');
+        if (result && result.success && mode) loadDashboardData();
+        loadPrivacyRequests();
+    }
+
+    // ============================================
+    // DUPLICATES
+    // ============================================
+
+    const COLLECTION_LABELS = { leads: 'Lead', contacts: 'Contact', investors: 'Investor' };
+
+    async function loadDuplicates() {
+        const result = await fetchWithAuth('/api/duplicates');
+        if (result) renderDuplicatesTable(result.data);
+    }
+
+    function renderDuplicatesTable(groups) {
+        const tbody = document.getElementById('duplicates-table-body');
+        if (groups.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="3"><div class="empty-state">No likely duplicates</div></td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = groups.map((group, i) => `
+            <tr>
+                <td>${escapeHtml(group.key)}</td>
+                <td class="duplicate-records">
+                    ${group.records.map((record, j) => `
+                        <label>
+                            <input type="radio" name="primary-${i}" value="${escapeHtml(record.collection)}:${escapeHtml(String(record.id))}"${j === group.records.length - 1 ? ' checked' : ''}>
+                            ${COLLECTION_LABELS[record.collection]} · ${escapeHtml(record.name)} &lt;${escapeHtml(record.email)}&gt; · ${formatDate(record.timestamp)}
+                        </label>
+                    `).join('')}
+                </td>
+                <td class="user-actions">
+                    <button type="button" class="btn-logout" data-key="${escapeHtml(group.key)}" data-group="${i}">Merge</button>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    async function mergeDuplicates(key, group) {
+        const checked = document.querySelector(`input[name="primary-${group}"]:checked`);
+        if (!checked) return;
+        const [collection, id] = checked.value.split(':');
+        if (!confirm(`Merge every record for ${key}? Duplicate leads will be combined into one.`)) return;
+
+        const result = await fetchWithAuth('/api/duplicates/merge', {
+            method: 'POST',
+            body: { key, primary: { collection, id } },
+            returnErrors: true
+        });
+        if (!result) return;
+        const status = document.getElementById('duplicates-status');
+        if (!result.success) {
+            status.textContent = result.message || 'Merge failed';
+            return;
+        }
+        const removed = result.data.removed.leads.length;
+        status.textContent = `Merged ${key}${removed ? ` (${removed} duplicate lead${removed === 1 ? '' : 's'} removed)` : ''}`;
+        loadDuplicates();
+        loadDashboardData();
+    }
+
+    // ============================================
+    // WEBHOOKS
+    // ============================================
+
+    const DELIVERY_STATUS_LABELS = {
+        pending: 'Pending',
+        delivered: 'Delivered',
+        dead: 'Dead-lettered'
+    };
+
+    async function loadWebhooks() {
+        const result = await fetchWithAuth('/api/webhooks');
+        if (!result) return;
+        renderWebhookEvents(result.events);
+        renderWebhooksTable(result.data);
+        loadWebhookDeliveries();
+    }
+
+    // Event checkboxes for the new-webhook form (kept if already rendered)
+    function renderWebhookEvents(events) {
+        const container = document.getElementById('webhook-events');
+        if (container.children.length > 0) return;
+        container.innerHTML = events.map(event => `
+            <label><input type="checkbox" name="events" value="${escapeHtml(event)}"> ${escapeHtml(event)}</label>
+        `).join('');
+    }
+
+    function renderWebhooksTable(subscriptions) {
+        const tbody = document.getElementById('webhooks-table-body');
+        if (subscriptions.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5"><div class="empty-state">No webhooks yet</div></td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = subscriptions.map(sub => {
+            const id = escapeHtml(String(sub.id));
+            return `
+                <tr>
+                    <td>${escapeHtml(sub.url)}${sub.description ? `<br><small>${escapeHtml(sub.description)}</small>` : ''}</td>
+                    <td>${sub.events.map(escapeHtml).join(', ')}</td>
+                    <td>${sub.active ? 'Active' : 'Paused'}</td>
+                    <td>${formatDate(sub.createdAt)}</td>
+                    <td class="user-actions">
+                        <button type="button" class="btn-logout" data-action="toggle" data-id="${id}" data-active="${sub.active}">${sub.active ? 'Pause' : 'Resume'}</button>
+                        <button type="button" class="btn-logout" data-action="delete" data-id="${id}">Delete</button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    async function loadWebhookDeliveries() {
+        const result = await fetchWithAuth('/api/webhooks/deliveries');
+        if (result) renderDeliveriesTable(result.data);
+    }
+
+    function renderDeliveriesTable(deliveries) {
+        const tbody = document.getElementById('webhook-deliveries-body');
+        if (deliveries.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="7"><div class="empty-state">No deliveries yet</div></td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = deliveries.map(delivery => {
+            const response = delivery.lastError || (delivery.lastStatus ? `HTTP ${delivery.lastStatus}` : '-');
+            return `
+                <tr>
+                    <td>${formatDate(delivery.createdAt)}</td>
+                    <td>${escapeHtml(delivery.event)}</td>
+                    <td>${escapeHtml(delivery.url)}</td>
+                    <td>${escapeHtml(DELIVERY_STATUS_LABELS[delivery.status] || delivery.status)}</td>
+                    <td>${delivery.attempts}</td>
+                    <td>${escapeHtml(response)}</td>
+                    <td class="user-actions">
+                        ${delivery.status === 'pending' ? '' : `<button type="button" class="btn-logout" data-id="${escapeHtml(String(delivery.id))}">Redeliver</button>`}
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    async function createWebhook(form) {
+        const status = document.getElementById('webhook-form-status');
+        const data = new FormData(form);
+        const body = { url: data.get('url'), description: data.get('description'), events: data.getAll('events') };
+        const result = await fetchWithAuth('/api/webhooks', { method: 'POST', body, returnErrors: true });
+        if (!result) return;
+        if (!result.success) {
+            const details = result.errors ? Object.entries(result.errors).map(([field, msg]) => `${field}: ${msg}`).join('; ') : '';
+            status.textContent = details ? `${result.message} (${details})` : (result.message || 'Could not add webhook');
+            return;
+        }
+        form.reset();
+        status.textContent = `Signing secret (shown once, copy it now): ${result.data.secret}`;
+        loadWebhooks();
+    }
+
+    async function handleWebhookAction(id, action, active) {
+        if (action === 'delete' && !confirm('Delete this webhook? Pending deliveries to it will be dead-lettered.')) return;
+        const result = await fetchWithAuth(`/api/webhooks/${encodeURIComponent(id)}`, action === 'delete'
+            ? { method: 'DELETE', returnErrors: true }
+            : { method: 'PATCH', body: { active: !active }, returnErrors: true });
+        if (result && !result.success) alert(result.message || 'Update failed');
+        loadWebhooks();
+    }
+
+    async function redeliverWebhook(id) {
+        const result = await fetchWithAuth(`/api/webhooks/deliveries/${encodeURIComponent(id)}/redeliver`, {
+            method: 'POST',
+            returnErrors: true
+        });
+        if (result && !result.success) alert(result.message || 'Redeliver failed');
+        // Give the first attempt a moment before refreshing the log
+        setTimeout(loadWebhookDeliveries, 1000);
+    }
+
+    // ============================================
+    // ADMIN USERS
+    // ============================================
+
+    async function loadUsers() {
+        const result = await fetchWithAuth('/api/admin/users');
+        if (result) renderUsersTable(result.data);
+    }
+
+    function renderUsersTable(users) {
+        const tbody = document.getElementById('users-table-body');
+        tbody.innerHTML = users.map(user => {
+            const id = escapeHtml(String(user.id));
+            const self = String(user.id) === String(state.user.id);
+            return `
+                <tr>
+                    <td>${escapeHtml(user.username)}${self ? ' (you)' : ''}</td>
+                    <td>
+                        <select class="status-select role-select" data-id="${id}" aria-label="Role">
+                            ${ROLES.map(r => `<option value="${r}"${r === user.role ? ' selected' : ''}>${r}</option>`).join('')}
+                        </select>
+                    </td>
+                    <td>${user.disabled ? 'Disabled' : 'Active'}${user.twoFactorEnabled ? ' · 2FA' : ''}</td>
+                    <td>${formatDate(user.lastLoginAt)}</td>
+                    <td class="user-actions">
+                        <button type="button" class="btn-logout" data-action="password" data-id="${id}">Reset password</button>
+                        ${user.twoFactorEnabled ? `<button type="button" class="btn-logout" data-action="reset-2fa" data-id="${id}">Reset 2FA</button>` : ''}
+                        <button type="button" class="btn-logout" data-action="toggle" data-id="${id}" data-disabled="${Boolean(user.disabled)}">${user.disabled ? 'Enable' : 'Disable'}</button>
+                        ${self ? '' : `<button type="button" class="btn-logout" data-action="delete" data-id="${id}">Delete</button>`}
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    function showUserFormMessage(message, errors) {
+        const details = errors ? Object.entries(errors).map(([field, msg]) => `${field}: ${msg}`).join('; ') : '';
+        document.getElementById('user-form-status').textContent = details ? `${message} (${details})` : message;
+    }
+
+    async function createUser(form) {
+        const data = Object.fromEntries(new FormData(form));
+        const result = await fetchWithAuth('/api/admin/users', { method: 'POST', body: data, returnErrors: true });
+        if (!result) return;
+        if (!result.success) {
+            showUserFormMessage(result.message || 'Could not create user', result.errors);
+            return;
+        }
+        form.reset();
+        showUserFormMessage(`Created ${result.data.username}`);
+        loadUsers();
+    }
+
+    async function updateUser(id, changes) {
+        const result = await fetchWithAuth(`/api/admin/users/${encodeURIComponent(id)}`, {
+            method: 'PATCH',
+            body: changes,
+            returnErrors: true
+        });
+        if (result && !result.success) {
+            alert(result.message || 'Update failed');
+        }
+        loadUsers();
+    }
+
+    async function deleteUser(id) {
+        const result = await fetchWithAuth(`/api/admin/users/${encodeURIComponent(id)}`, {
+            method: 'DELETE',
+            returnErrors: true
+        });
+        if (result && !result.success) {
+            alert(result.message || 'Delete failed');
+        }
+        loadUsers();
+    }
+
+    // ============================================
+    // EXPORT FUNCTIONS
+    // ============================================
+
+    function exportCSV(type) {
+        // Exports follow the tab's active status filter
+        const status = state.filters[type] !== 'all' ? state.filters[type] : '';
+        const query = status ? `?status=${encodeURIComponent(status)}` : '';
+
+        // Fetch with the session cookie, then download the blob
+        fetch(`/api/export/${type}${query}`, { method: 'GET' })
         .then(response => {
             if (response.status === 401) {
-                clearAuth();
+                state.user = null;
                 showLogin();
                 throw new Error('Unauthorized');
             }
@@ -308,7 +1261,7 @@
             const url = window.URL.createObjectURL(blob);
             const a = document.createElement('a');
             a.href = url;
-            a.download = `${type}-${new Date().toISOString().split('T')[0]}.csv`;
+            a.download = `${type}${status ? `-${status}` : ''}-${new Date().toISOString().split('T')[0]}.csv`;
             document.body.appendChild(a);
             a.click();
             window.URL.revokeObjectURL(url);
@@ -327,6 +1280,7 @@
     // ============================================
 
     function showLogin() {
+        clearInterval(state.lockoutTimer);
         document.getElementById('login-overlay').classList.remove('hidden');
         document.getElementById('dashboard').classList.remove('visible');
     }
@@ -334,12 +1288,69 @@
     function showDashboard() {
         document.getElementById('login-overlay').classList.add('hidden');
         document.getElementById('dashboard').classList.add('visible');
+        applyRole();
         loadDashboardData();
+        loadLockouts();
+        clearInterval(state.lockoutTimer);
+        if (hasRole('owner')) {
+            state.lockoutTimer = setInterval(loadLockouts, LOCKOUT_POLL_MS);
+        }
+    }
+
+    // Show or hide controls according to the signed-in admin's role
+    function applyRole() {
+        document.getElementById('header-user').textContent = `${state.user.username} · ${state.user.role}`;
+        document.getElementById('users-btn').hidden = !hasRole('owner');
+        document.getElementById('audit-tab-btn').hidden = !hasRole('owner');
+        document.getElementById('quarantine-tab-btn').hidden = !hasRole('triager');
+        document.getElementById('privacy-btn').hidden = !hasRole('owner');
+        document.getElementById('webhooks-btn').hidden = !hasRole('owner');
+        document.getElementById('duplicates-btn').hidden = !hasRole('owner');
+        document.getElementById('drawer-save').hidden = !hasRole('triager');
+        document.querySelectorAll('#drawer-form .form-input').forEach(input => {
+            input.disabled = !hasRole('triager');
+        });
+        if (!hasRole('owner')) {
+            document.getElementById('users-section').classList.remove('visible');
+            document.getElementById('privacy-section').classList.remove('visible');
+            document.getElementById('webhooks-section').classList.remove('visible');
+            document.getElementById('duplicates-section').classList.remove('visible');
+        }
+    }
+
+    // Switch the login form between the password step and the code step
+    function setLoginStep(step) {
+        const codeStep = step === 'code';
+        document.querySelectorAll('.login-step-password').forEach(el => {
+            el.hidden = codeStep;
+            el.querySelector('input').required = !codeStep;
+        });
+        const codeGroup = document.querySelector('.login-step-code');
+        codeGroup.hidden = !codeStep;
+        document.getElementById('admin-code').required = codeStep;
+        document.getElementById('login-btn').textContent = codeStep ? 'Verify' : 'Access Dashboard';
+        if (codeStep) {
+            document.getElementById('admin-code').focus();
+        } else {
+            state.loginChallenge = null;
+            state.useRecoveryCode = false;
+            updateRecoveryToggle();
+        }
+    }
+
+    function updateRecoveryToggle() {
+        const input = document.getElementById('admin-code');
+        document.getElementById('admin-code-label').textContent = state.useRecoveryCode ? 'Recovery Code' : 'Authentication Code';
+        input.placeholder = state.useRecoveryCode ? 'xxxx-xxxx' : '6-digit code from your app';
+        input.inputMode = state.useRecoveryCode ? 'text' : 'numeric';
+        document.getElementById('login-recovery-toggle').textContent = state.useRecoveryCode
+            ? 'Use your authenticator app instead'
+            : 'Use a recovery code instead';
     }
 
     function showLoginError(message) {
         const errorEl = document.getElementById('login-error');
-        errorEl.textContent = message || 'Invalid admin key. Please try again.';
+        errorEl.textContent = message || 'Invalid username or password. Please try again.';
         errorEl.classList.add('visible');
     }
 
@@ -358,40 +1369,177 @@
             e.preventDefault();
             hideLoginError();
 
-            const keyInput = document.getElementById('admin-key');
+            const usernameInput = document.getElementById('admin-username');
+            const passwordInput = document.getElementById('admin-password');
+            const codeInput = document.getElementById('admin-code');
             const submitBtn = document.getElementById('login-btn');
-            const key = keyInput.value.trim();
+            const username = usernameInput.value.trim();
+            const password = passwordInput.value;
+            const code = codeInput.value.trim();
 
-            if (!key) {
-                showLoginError('Please enter an admin key');
+            if (state.loginChallenge ? !code : (!username || !password)) {
+                showLoginError(state.loginChallenge ? 'Please enter your code' : 'Please enter your username and password');
                 return;
             }
 
             submitBtn.disabled = true;
-            submitBtn.textContent = 'Validating...';
-
-            const isValid = await validateAdminKey(key);
-
-            if (isValid) {
-                setAdminKey(key);
-                showDashboard();
-            } else {
-                showLoginError('Invalid admin key. Please try again.');
-                keyInput.value = '';
-                keyInput.focus();
+            submitBtn.textContent = 'Signing in...';
+
+            try {
+                const result = state.loginChallenge
+                    ? await verifyLoginCode(state.loginChallenge, code, state.useRecoveryCode)
+                    : await login(username, password);
+
+                if (result.user) {
+                    state.user = result.user;
+                    passwordInput.value = '';
+                    codeInput.value = '';
+                    setLoginStep('password');
+                    showDashboard();
+                } else if (result.challenge) {
+                    state.loginChallenge = result.challenge;
+                    passwordInput.value = '';
+                    setLoginStep('code');
+                } else if (state.loginChallenge) {
+                    showLoginError(result.error);
+                    codeInput.value = '';
+                    codeInput.focus();
+                } else {
+                    showLoginError(result.error);
+                    passwordInput.value = '';
+                    passwordInput.focus();
+                }
+            } catch (err) {
+                console.error('Login error:', err);
+                showLoginError('Connection error. Please try again.');
             }
 
             submitBtn.disabled = false;
-            submitBtn.textContent = 'Access Dashboard';
+            submitBtn.textContent = state.loginChallenge ? 'Verify' : 'Access Dashboard';
+        });
+
+        document.getElementById('login-recovery-toggle').addEventListener('click', () => {
+            state.useRecoveryCode = !state.useRecoveryCode;
+            document.getElementById('admin-code').value = '';
+            updateRecoveryToggle();
         });
 
         // Logout button
-        document.getElementById('logout-btn').addEventListener('click', () => {
-            clearAuth();
-            document.getElementById('admin-key').value = '';
+        document.getElementById('logout-btn').addEventListener('click', async () => {
+            await logout();
+            setLoginStep('password');
             showLogin();
         });
 
+        // Account security panel (two-factor)
+        document.getElementById('security-btn').addEventListener('click', () => {
+            const section = document.getElementById('security-section');
+            section.classList.toggle('visible');
+            if (section.classList.contains('visible')) {
+                document.getElementById('twofa-recovery').hidden = true;
+                renderSecurity();
+                section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            }
+        });
+        document.getElementById('twofa-setup-btn').addEventListener('click', setupTwoFactor);
+        document.getElementById('twofa-enable-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            enableTwoFactor(e.target);
+        });
+        document.getElementById('twofa-disable-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            disableTwoFactor(e.target);
+        });
+
+        // Admin users panel (owners only)
+        document.getElementById('users-btn').addEventListener('click', () => {
+            const section = document.getElementById('users-section');
+            section.classList.toggle('visible');
+            if (section.classList.contains('visible')) {
+                loadUsers();
+                section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            }
+        });
+        // Privacy requests panel (owners only)
+        document.getElementById('privacy-btn').addEventListener('click', () => {
+            const section = document.getElementById('privacy-section');
+            section.classList.toggle('visible');
+            if (section.classList.contains('visible')) {
+                loadPrivacyRequests();
+                section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            }
+        });
+        document.getElementById('privacy-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const action = e.submitter ? e.submitter.dataset.action : 'export';
+            runPrivacyAction(action, e.target.elements.email.value.trim());
+        });
+        document.getElementById('privacy-table-body').addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-action]');
+            if (btn) handlePrivacyRequest(btn.dataset.id, btn.dataset.action, btn.dataset.mode);
+        });
+
+        // Duplicate review panel (owners only)
+        document.getElementById('duplicates-btn').addEventListener('click', () => {
+            const section = document.getElementById('duplicates-section');
+            section.classList.toggle('visible');
+            if (section.classList.contains('visible')) {
+                loadDuplicates();
+                section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            }
+        });
+        document.getElementById('duplicates-table-body').addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-key]');
+            if (btn) mergeDuplicates(btn.dataset.key, btn.dataset.group);
+        });
+
+        // Webhooks panel (owners only)
+        document.getElementById('webhooks-btn').addEventListener('click', () => {
+            const section = document.getElementById('webhooks-section');
+            section.classList.toggle('visible');
+            if (section.classList.contains('visible')) {
+                loadWebhooks();
+                section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            }
+        });
+        document.getElementById('webhook-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            createWebhook(e.target);
+        });
+        document.getElementById('webhooks-table-body').addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-action]');
+            if (btn) handleWebhookAction(btn.dataset.id, btn.dataset.action, btn.dataset.active === 'true');
+        });
+        document.getElementById('webhook-deliveries-body').addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-id]');
+            if (btn) redeliverWebhook(btn.dataset.id);
+        });
+        document.getElementById('webhook-deliveries-refresh').addEventListener('click', loadWebhookDeliveries);
+
+        document.getElementById('user-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            createUser(e.target);
+        });
+        document.getElementById('users-table-body').addEventListener('change', (e) => {
+            const select = e.target.closest('.role-select');
+            if (select) updateUser(select.dataset.id, { role: select.value });
+        });
+        document.getElementById('users-table-body').addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-action]');
+            if (!btn) return;
+            const id = btn.dataset.id;
+            if (btn.dataset.action === 'toggle') {
+                updateUser(id, { disabled: btn.dataset.disabled !== 'true' });
+            } else if (btn.dataset.action === 'password') {
+                const password = prompt('New password (at least 12 characters):');
+                if (password) updateUser(id, { password });
+            } else if (btn.dataset.action === 'reset-2fa' && confirm('Turn off two-factor for this account?')) {
+                updateUser(id, { resetTwoFactor: true });
+            } else if (btn.dataset.action === 'delete' && confirm('Delete this admin account?')) {
+                deleteUser(id);
+            }
+        });
+
         // Tab buttons
         document.querySelectorAll('.tab-btn').forEach(btn => {
             btn.addEventListener('click', () => {
@@ -407,8 +1555,123 @@
             });
         });
 
+        // Quarantine release/discard
+        document.getElementById('quarantine-table-body').addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-action]');
+            if (btn) handleQuarantineAction(btn.dataset.action, btn.dataset.id);
+        });
+
+        // Inbox filter chips
+        document.querySelectorAll('.filter-chips').forEach(container => {
+            container.addEventListener('click', (e) => {
+                const chip = e.target.closest('.filter-chip');
+                if (!chip) return;
+                const collection = container.dataset.collection;
+                state.filters[collection] = chip.dataset.status;
+                renderFilterChips(collection);
+                loadCollection(collection, true);
+            });
+        });
+
+        // Inbox rows - status dropdowns and detail drawer
+        ['contacts-table-body', 'investors-table-body'].forEach(tbodyId => {
+            const tbody = document.getElementById(tbodyId);
+            const collection = tbody.dataset.collection;
+
+            tbody.addEventListener('change', async (e) => {
+                const select = e.target.closest('.status-select');
+                if (!select) return;
+                select.disabled = true;
+                const updated = await updateRecord(collection, select.dataset.id, { status: select.value });
+                if (!updated) {
+                    alert('Failed to update status. Please try again.');
+                    renderTable(collection);
+                }
+            });
+
+            tbody.addEventListener('click', (e) => {
+                if (e.target.closest('.status-select')) return;
+                const row = e.target.closest('tr[data-id]');
+                if (row) openDrawer(collection, row.dataset.id);
+            });
+        });
+
+        // Global search (debounced)
+        document.getElementById('global-search').addEventListener('input', (e) => {
+            const query = e.target.value.trim();
+            clearTimeout(searchTimer);
+            if (query.length < 2) {
+                searchSeq++;
+                document.getElementById('search-results').classList.remove('visible');
+                return;
+            }
+            searchTimer = setTimeout(() => runSearch(query), 250);
+        });
+        document.getElementById('search-clear').addEventListener('click', clearSearch);
+        document.getElementById('search-groups').addEventListener('click', (e) => {
+            const hit = e.target.closest('.search-hit.clickable');
+            if (hit) openDrawer(hit.dataset.collection, hit.dataset.id);
+        });
+
+        // Detail drawer
+        document.getElementById('drawer-close').addEventListener('click', closeDrawer);
+        document.getElementById('drawer-backdrop').addEventListener('click', closeDrawer);
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && state.drawer) closeDrawer();
+        });
+        document.getElementById('drawer-status-select').addEventListener('change', (e) => {
+            e.target.dataset.status = e.target.value;
+        });
+        document.getElementById('drawer-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            saveDrawer();
+        });
+
+        // List toolbar - sort and date range apply to every table
+        document.getElementById('list-toolbar').addEventListener('change', (e) => {
+            const field = e.target.name;
+            if (!(field in state.query)) return;
+            state.query[field] = e.target.value;
+            listCollections().forEach(c => loadCollection(c, true));
+        });
+
+        // Audit trail filters (debounced) and chain verification
+        let auditFilterTimer;
+        document.getElementById('audit-filters').addEventListener('input', (e) => {
+            const field = e.target.name;
+            if (!(field in state.auditFilters)) return;
+            state.auditFilters[field] = e.target.value.trim();
+            clearTimeout(auditFilterTimer);
+            auditFilterTimer = setTimeout(() => loadCollection('audit', true), 300);
+        });
+        document.getElementById('audit-verify-btn').addEventListener('click', verifyAuditChain);
+
+        // Lockout alert - unlock buttons
+        document.getElementById('lockout-list').addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-scope]');
+            if (btn && confirm(`Lift the lockout on ${btn.dataset.key}?`)) {
+                clearLockout(btn.dataset.scope, btn.dataset.key);
+            }
+        });
+
+        // Pagination - load more buttons plus infinite scroll sentinels
+        document.querySelectorAll('.btn-load-more').forEach(btn => {
+            btn.addEventListener('click', () => loadCollection(btn.dataset.collection, false));
+        });
+
+        const scrollObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                const collection = entry.target.dataset.collection;
+                const visible = document.getElementById(`tab-${collection}`).classList.contains('active');
+                if (entry.isIntersecting && visible) {
+                    loadCollection(collection, false);
+                }
+            });
+        }, { rootMargin: '200px' });
+        document.querySelectorAll('.scroll-sentinel').forEach(el => scrollObserver.observe(el));
+
         // Export buttons
-        document.querySelectorAll('.btn-export').forEach(btn => {
+        document.querySelectorAll('.btn-export[data-type]').forEach(btn => {
             btn.addEventListener('click', () => {
                 const type = btn.dataset.type;
                 exportCSV(type);
@@ -424,20 +1687,14 @@
         initEventListeners();
 
         // Check if already authenticated
-        const existingKey = getAdminKey();
-        if (existingKey) {
-            // Validate the existing key
-            validateAdminKey(existingKey).then(isValid => {
-                if (isValid) {
-                    showDashboard();
-                } else {
-                    clearAuth();
-                    showLogin();
-                }
-            });
-        } else {
-            showLogin();
-        }
+        fetchCurrentUser().then(user => {
+            if (user) {
+                state.user = user;
+                showDashboard();
+            } else {
+                showLogin();
+            }
+        });
     }
 
     // Start when DOM is ready
@@ -0,0 +1,83 @@
+// Inline email hints for the public forms (turned on by forms.js with
+// `emailHint`). When the email field loses focus the address is checked
+// with /api/email/check; likely typos get a "Did you mean ...?" link, and
+// disposable or undeliverable addresses get the server's message. The same
+// hint is shown when a submission is refused for its email.
+const EmailHint = (() => {
+    function attach(input) {
+        const hint = document.createElement('p');
+        hint.className = 'email-hint';
+        hint.id = `${input.id || input.name}-hint`;
+        hint.setAttribute('aria-live', 'polite');
+        hint.hidden = true;
+        input.insertAdjacentElement('afterend', hint);
+        input.setAttribute('aria-describedby', hint.id);
+
+        // Address the visitor was offered a correction for and kept anyway
+        let suggestedFor = null;
+
+        function clear() {
+            hint.hidden = true;
+            hint.textContent = '';
+            suggestedFor = null;
+        }
+
+        function show(result) {
+            clear();
+            if (result.valid !== false && !result.suggestion) return;
+            hint.hidden = false;
+            if (!result.suggestion) {
+                hint.textContent = result.message;
+                return;
+            }
+            suggestedFor = input.value;
+            const accept = document.createElement('button');
+            accept.type = 'button';
+            accept.className = 'email-hint-accept';
+            accept.textContent = result.suggestion;
+            accept.addEventListener('click', () => {
+                input.value = result.suggestion;
+                clear();
+                input.focus();
+            });
+            hint.append('Did you mean ', accept, '? If not, submit to keep it as typed.');
+        }
+
+        async function check() {
+            if (!input.value || !input.checkValidity()) return;
+            const value = input.value;
+            try {
+                const response = await fetch(`/api/email/check?email=${encodeURIComponent(value)}`);
+                const result = await response.json();
+                // Ignore answers for an address the visitor has since changed
+                if (result.success && input.value === value) show(result);
+            } catch (error) {
+                console.error('Failed to check email:', error);
+            }
+        }
+
+        input.addEventListener('blur', check);
+        input.addEventListener('input', () => {
+            if (input.value !== suggestedFor) clear();
+        });
+
+        return {
+            // Extra fields to send: keep the address as typed once the
+            // visitor has seen a suggestion for it
+            fields() {
+                return suggestedFor !== null && input.value === suggestedFor ? { keepEmail: true } : {};
+            },
+
+            // Show a refused submission's email error. Returns true if the
+            // response was about the email field.
+            showError(result) {
+                if (!result.errors || !result.errors.email) return false;
+                show({ valid: false, message: result.errors.email, suggestion: result.suggestion });
+                input.focus();
+                return true;
+            }
+        };
+    }
+
+    return { attach };
+})();
@@ -0,0 +1,67 @@
+// Spam protection for the public forms (turned on by forms.js with
+// `spamGuard`). The first time a visitor interacts with a form, a
+// proof-of-work challenge is fetched from /api/challenge and solved in the
+// background, so the answer is usually ready by the time they submit. The
+// server also times the submission from when the challenge was issued.
+const FormGuard = (() => {
+    // Refetch challenges before the server's 30 minute expiry
+    const CHALLENGE_MAX_AGE_MS = 25 * 60 * 1000;
+    const encoder = new TextEncoder();
+
+    function leadingZeroBits(bytes) {
+        let bits = 0;
+        for (const byte of bytes) {
+            if (byte !== 0) return bits + Math.clz32(byte) - 24;
+            bits += 8;
+        }
+        return bits;
+    }
+
+    // Find a nonce such that SHA-256("<challenge>:<nonce>") starts with
+    // `difficulty` zero bits
+    async function solve(challenge, difficulty) {
+        for (let nonce = 0; ; nonce++) {
+            const digest = await crypto.subtle.digest('SHA-256', encoder.encode(`${challenge}:${nonce}`));
+            if (leadingZeroBits(new Uint8Array(digest)) >= difficulty) return String(nonce);
+        }
+    }
+
+    async function fetchAndSolve() {
+        const response = await fetch('/api/challenge', { cache: 'no-store' });
+        const { challenge, difficulty } = await response.json();
+        return { challenge, nonce: await solve(challenge, difficulty) };
+    }
+
+    function protect(form) {
+        let pending = null;
+        let fetchedAt = 0;
+
+        function start() {
+            if (!pending || Date.now() - fetchedAt > CHALLENGE_MAX_AGE_MS) {
+                fetchedAt = Date.now();
+                // Without an answer the submission is still sent, but the
+                // server holds it for review
+                pending = fetchAndSolve().catch(error => {
+                    console.error('Failed to solve form challenge:', error);
+                    return {};
+                });
+            }
+            return pending;
+        }
+
+        form.addEventListener('focusin', start, { once: true });
+
+        return {
+            // Extra fields to send with the submission
+            async fields() {
+                const proof = await start();
+                const honeypot = form.elements.namedItem('website');
+                return { ...proof, website: honeypot ? honeypot.value : '' };
+            }
+        };
+    }
+
+    // fetchAndSolve is also used by service-worker.js, which renews the
+    // answer before replaying a submission queued while offline
+    return { protect, answer: fetchAndSolve };
+})();
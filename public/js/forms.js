@@ -0,0 +1,227 @@
+// Shared submit handling for the public forms (main.js, contact.js,
+// investors.js, privacy.js). Posts the form as JSON with a CSRF token, shows
+// the server's field-by-field errors next to the inputs, keeps a draft in
+// localStorage until the submission goes through, and retries once with a
+// fresh token when the old one has expired. Submissions carry an
+// Idempotency-Key so service-worker.js (registered here) can queue them
+// while offline and replay them later without creating duplicates.
+const PublicForm = (() => {
+    const DRAFT_PREFIX = 'tsono-draft:';
+    const DRAFT_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+    // Honeypot (see form-guard.js); never saved or given an error slot
+    const HONEYPOT_FIELD = 'website';
+
+    let csrfToken = null;
+
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('/service-worker.js').catch(error => {
+            console.error('Failed to register service worker:', error);
+        });
+        // Send anything queued on an earlier visit, and catch up when the
+        // connection returns in browsers without Background Sync
+        const requestReplay = () => navigator.serviceWorker.ready.then(registration => {
+            registration.active?.postMessage({ type: 'replay' });
+        });
+        requestReplay();
+        window.addEventListener('online', requestReplay);
+    }
+
+    function newIdempotencyKey() {
+        // randomUUID is only available on HTTPS (and localhost), like
+        // service workers themselves
+        return crypto.randomUUID ? crypto.randomUUID() : null;
+    }
+
+    async function getCsrfToken(refresh) {
+        if (csrfToken && !refresh) return csrfToken;
+        const response = await fetch('/api/csrf-token', { cache: 'no-store' });
+        const data = await response.json();
+        csrfToken = data.csrfToken;
+        return csrfToken;
+    }
+
+    async function post(url, body, idempotencyKey, retried) {
+        const headers = {
+            'Content-Type': 'application/json',
+            'X-CSRF-Token': await getCsrfToken(retried)
+        };
+        if (idempotencyKey) headers['Idempotency-Key'] = idempotencyKey;
+        const response = await fetch(url, { method: 'POST', headers, body });
+        const result = await response.json().catch(() => ({ success: false, message: 'Something went wrong. Please try again.' }));
+
+        // The token expired (or its cookie was cleared). The server rejected
+        // the request before handling it, so sending it again is safe.
+        if (response.status === 403 && result.code === 'EBADCSRFTOKEN' && !retried) {
+            return post(url, body, idempotencyKey, true);
+        }
+        return result;
+    }
+
+    // localStorage can be full or disabled; drafts are best-effort
+    function draftStore(key) {
+        const storageKey = DRAFT_PREFIX + key;
+        return {
+            load() {
+                try {
+                    const draft = JSON.parse(localStorage.getItem(storageKey));
+                    if (draft && Date.now() - draft.savedAt < DRAFT_MAX_AGE_MS) return draft.values;
+                    localStorage.removeItem(storageKey);
+                } catch (error) {
+                    // ignore
+                }
+                return null;
+            },
+            save(values) {
+                try {
+                    localStorage.setItem(storageKey, JSON.stringify({ savedAt: Date.now(), values }));
+                } catch (error) {
+                    // ignore
+                }
+            },
+            clear() {
+                try {
+                    localStorage.removeItem(storageKey);
+                } catch (error) {
+                    // ignore
+                }
+            }
+        };
+    }
+
+    function addDescribedBy(control, id) {
+        const ids = (control.getAttribute('aria-describedby') || '').split(' ').filter(Boolean);
+        if (!ids.includes(id)) control.setAttribute('aria-describedby', [...ids, id].join(' '));
+    }
+
+    // Wire up a form. Options:
+    //   endpoint     URL to POST to
+    //   draftKey     keep a localStorage draft under this name (omit for none)
+    //   spamGuard    send the honeypot and proof-of-work answer (form-guard.js)
+    //   emailHint    "did you mean" hints on the email field (email-hint.js)
+    //   busyLabel    submit button HTML while sending
+    //   data(values) adjust the JSON body built from the form's fields
+    //   onSuccess(result)
+    function attach(form, options) {
+        const submitBtn = form.querySelector('[type="submit"]');
+        const controls = [...form.elements].filter(el => el.name && el.name !== HONEYPOT_FIELD && el.type !== 'submit');
+        const drafts = options.draftKey ? draftStore(options.draftKey) : null;
+        const guard = options.spamGuard ? FormGuard.protect(form) : null;
+        const emailHint = options.emailHint && form.elements.email ? EmailHint.attach(form.elements.email) : null;
+        // Body and key of a submission whose answer never arrived; sending
+        // the same body again reuses the key
+        let unanswered = null;
+
+        // Live regions have to be in the page before their text changes for
+        // screen readers to announce it, so every slot is created up front
+        const fieldErrors = new Map(controls.map(control => {
+            if (!control.id) control.id = `${form.id}-${control.name}`;
+            const slot = document.createElement('p');
+            slot.className = 'field-error';
+            slot.id = `${control.id}-error`;
+            slot.setAttribute('aria-live', 'polite');
+            control.insertAdjacentElement('afterend', slot);
+            addDescribedBy(control, slot.id);
+            return [control.name, slot];
+        }));
+        const formError = document.createElement('p');
+        formError.className = 'form-error';
+        formError.setAttribute('role', 'alert');
+        submitBtn.insertAdjacentElement('beforebegin', formError);
+
+        function setFieldError(name, message) {
+            const control = form.elements.namedItem(name);
+            fieldErrors.get(name).textContent = message;
+            if (message) control.setAttribute('aria-invalid', 'true');
+            else control.removeAttribute('aria-invalid');
+        }
+
+        function clearErrors() {
+            fieldErrors.forEach((slot, name) => setFieldError(name, ''));
+            formError.textContent = '';
+            formError.classList.remove('queued');
+        }
+
+        function showErrors(result) {
+            const errors = result.errors || {};
+            const general = [];
+            Object.entries(errors).forEach(([name, message]) => {
+                if (name === 'email' && emailHint && result.suggestion) {
+                    // The hint offers the correction as a button
+                    emailHint.showError(result);
+                    form.elements.email.setAttribute('aria-invalid', 'true');
+                } else if (fieldErrors.has(name)) {
+                    setFieldError(name, message);
+                } else {
+                    general.push(message);
+                }
+            });
+            if (Object.keys(errors).length === 0) general.push(result.message || 'Something went wrong. Please try again.');
+            formError.textContent = general.join(' ');
+
+            const firstInvalid = controls.find(control => control.getAttribute('aria-invalid') === 'true');
+            if (firstInvalid) firstInvalid.focus();
+        }
+
+        if (drafts) {
+            const saved = drafts.load() || {};
+            controls.forEach(control => {
+                const value = saved[control.name];
+                if (typeof value !== 'string' || !value) return;
+                if (control.tagName === 'SELECT' && ![...control.options].some(o => o.value === value)) return;
+                control.value = value;
+            });
+            form.addEventListener('input', () => {
+                drafts.save(Object.fromEntries(controls.map(control => [control.name, control.value])));
+            });
+        }
+
+        form.addEventListener('input', (e) => {
+            if (fieldErrors.has(e.target.name)) setFieldError(e.target.name, '');
+        });
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            clearErrors();
+
+            const values = Object.fromEntries(controls.map(control => [control.name, control.value]));
+            const originalLabel = submitBtn.innerHTML;
+            submitBtn.innerHTML = options.busyLabel || 'Sending...';
+            submitBtn.disabled = true;
+
+            try {
+                const body = JSON.stringify({
+                    ...(options.data ? options.data(values) : values),
+                    ...(emailHint ? emailHint.fields() : {}),
+                    ...(guard ? await guard.fields() : {})
+                });
+                if (!unanswered || unanswered.body !== body) unanswered = { body, key: newIdempotencyKey() };
+                const result = await post(options.endpoint, body, unanswered.key);
+                unanswered = null;
+
+                // Saved by the service worker to send once back online
+                if (result.queued) {
+                    if (drafts) drafts.clear();
+                    formError.textContent = result.message;
+                    formError.classList.add('queued');
+                    submitBtn.innerHTML = 'Saved';
+                    return;
+                }
+                if (result.success) {
+                    if (drafts) drafts.clear();
+                    options.onSuccess(result);
+                    return;
+                }
+                showErrors(result);
+            } catch (error) {
+                console.error('Error submitting form:', error);
+                formError.textContent = drafts
+                    ? 'Connection error. Your answers are saved on this device - please try again.'
+                    : 'Connection error. Please try again.';
+            }
+            submitBtn.innerHTML = originalLabel;
+            submitBtn.disabled = false;
+        });
+    }
+
+    return { attach };
+})();
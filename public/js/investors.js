@@ -35,69 +35,19 @@ document.querySelectorAll('.btn-connect').forEach(btn => {
     });
 });
 
-// Fetch CSRF token function
-async function getCsrfToken() {
-    try {
-        const response = await fetch('/api/csrf-token');
-        const data = await response.json();
-        return data.csrfToken;
-    } catch (error) {
-        console.error('Failed to fetch CSRF token:', error);
-        return null;
-    }
-}
-
 // Investor form handling
 const investorForm = document.getElementById('investor-inquiry-form');
 const investorSuccess = document.getElementById('investor-success');
-const submitBtn = investorForm?.querySelector('.btn-primary');
-
-investorForm?.addEventListener('submit', async (e) => {
-    e.preventDefault();
-
-    const formData = new FormData(investorForm);
-    const data = {
-        name: formData.get('name'),
-        email: formData.get('email'),
-        company: formData.get('company'),
-        type: formData.get('type'),
-        message: formData.get('message')
-    };
-
-    const originalText = submitBtn.textContent;
-    submitBtn.textContent = 'Sending...';
-    submitBtn.disabled = true;
-
-    try {
-        // Get CSRF token
-        const csrfToken = await getCsrfToken();
-        if (!csrfToken) {
-            throw new Error('Failed to get security token');
-        }
-
-        const response = await fetch('/api/investors', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-CSRF-Token': csrfToken
-            },
-            body: JSON.stringify(data)
-        });
-
-        const result = await response.json();
 
-        if (result.success) {
+if (investorForm) {
+    PublicForm.attach(investorForm, {
+        endpoint: '/api/investors',
+        draftKey: 'investor',
+        spamGuard: true,
+        emailHint: true,
+        onSuccess() {
             investorForm.style.display = 'none';
             investorSuccess.style.display = 'block';
-        } else {
-            alert(result.message || 'Something went wrong. Please try again.');
-            submitBtn.textContent = originalText;
-            submitBtn.disabled = false;
         }
-    } catch (error) {
-        console.error('Error:', error);
-        alert('Connection error. Please try again.');
-        submitBtn.textContent = originalText;
-        submitBtn.disabled = false;
-    }
-});
+    });
+}
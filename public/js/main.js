@@ -51,69 +51,76 @@ document.querySelectorAll('.nav-links a').forEach(link => {
 // Lead capture form handling
 const leadForm = document.getElementById('lead-form');
 const formSuccess = document.getElementById('form-success');
-const submitBtn = leadForm?.querySelector('.form-submit');
 
-// Fetch CSRF token function
-async function getCsrfToken() {
-    try {
-        const response = await fetch('/api/csrf-token');
-        const data = await response.json();
-        return data.csrfToken;
-    } catch (error) {
-        console.error('Failed to fetch CSRF token:', error);
-        return null;
-    }
-}
+// Result of following the confirmation link from the signup email
+const SIGNUP_MESSAGES = {
+    invalid: 'That confirmation link is invalid or has expired. Sign up again below and we\'ll send a fresh one.',
+    error: 'We couldn\'t confirm your signup just now. Please try the link again in a moment.'
+};
 
-if (leadForm) {
-    leadForm.addEventListener('submit', async function(e) {
-        e.preventDefault();
+const pageParams = new URLSearchParams(window.location.search);
+const signupResult = pageParams.get('signup');
 
-        // Get form data
-        const formData = new FormData(leadForm);
-        const data = {
-            name: formData.get('name'),
-            email: formData.get('email'),
-            interest: formData.get('interest')
-        };
+// Referral code from a friend's link (?ref=), sent along with the signup
+const referredBy = pageParams.get('ref');
 
-        // Show loading state
-        const originalBtnText = submitBtn.innerHTML;
-        submitBtn.innerHTML = '<span class="btn-spinner"></span> Submitting...';
-        submitBtn.disabled = true;
+// Show the visitor's own referral link and where they stand on the waitlist
+async function showReferral(code, link) {
+    const share = document.getElementById('referral-share');
+    if (!share || !code) return;
+    share.hidden = false;
+    document.getElementById('referral-link').value = link || '';
 
-        try {
-            // Get CSRF token
-            const csrfToken = await getCsrfToken();
-            if (!csrfToken) {
-                throw new Error('Failed to get security token');
-            }
+    try {
+        const response = await fetch(`/api/leads/position?code=${encodeURIComponent(code)}`);
+        const standing = await response.json();
+        if (!standing.success) return;
+        document.getElementById('referral-link').value = standing.referralLink;
+        const referrals = standing.referrals === 1 ? '1 confirmed referral' : `${standing.referrals} confirmed referrals`;
+        document.getElementById('referral-position').textContent = standing.confirmed
+            ? `You're #${standing.position} of ${standing.total} on the waitlist · ${referrals}`
+            : `You're #${standing.position} of ${standing.total} - confirm your email to keep your spot`;
+    } catch (error) {
+        console.error('Failed to load waitlist position:', error);
+    }
+}
 
-            const response = await fetch('/api/leads', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-CSRF-Token': csrfToken
-                },
-                body: JSON.stringify(data)
-            });
+document.getElementById('referral-copy')?.addEventListener('click', async function() {
+    const input = document.getElementById('referral-link');
+    try {
+        await navigator.clipboard.writeText(input.value);
+        this.textContent = 'Copied!';
+    } catch (error) {
+        input.select();
+    }
+});
 
-            const result = await response.json();
+if (leadForm && signupResult === 'confirmed') {
+    leadForm.style.display = 'none';
+    document.getElementById('signup-confirmed')?.classList.add('visible');
+    showReferral(pageParams.get('code'));
+} else if (SIGNUP_MESSAGES[signupResult]) {
+    const notice = document.getElementById('signup-notice');
+    if (notice) {
+        notice.textContent = SIGNUP_MESSAGES[signupResult];
+        notice.hidden = false;
+    }
+}
 
-            if (result.success) {
-                // Hide form and show success message
-                leadForm.style.display = 'none';
-                formSuccess.classList.add('visible');
-            } else {
-                alert(result.message || 'Something went wrong. Please try again.');
-                submitBtn.innerHTML = originalBtnText;
-                submitBtn.disabled = false;
-            }
-        } catch (error) {
-            console.error('Error submitting form:', error);
-            alert('Connection error. Please try again.');
-            submitBtn.innerHTML = originalBtnText;
-            submitBtn.disabled = false;
+if (leadForm) {
+    PublicForm.attach(leadForm, {
+        endpoint: '/api/leads',
+        draftKey: 'lead',
+        spamGuard: true,
+        emailHint: true,
+        busyLabel: '<span class="btn-spinner"></span> Submitting...',
+        data: values => ({ ...values, ref: referredBy || undefined }),
+        onSuccess(result) {
+            // Hide form and ask the visitor to confirm from their inbox
+            leadForm.style.display = 'none';
+            document.getElementById('signup-notice')?.setAttribute('hidden', '');
+            showReferral(result.referralCode, result.referralLink);
+            formSuccess.classList.add('visible');
         }
     });
 }
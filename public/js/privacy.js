@@ -0,0 +1,26 @@
+// Data subject request form handling
+const privacyForm = document.getElementById('privacy-request-form');
+const privacyStatus = document.getElementById('privacy-request-status');
+
+// Result of following the confirmation link from the email
+const REQUEST_MESSAGES = {
+    verified: 'Thanks, your request is confirmed. We will email you once it has been completed.',
+    invalid: 'That confirmation link is invalid or has expired. Please submit your request again.',
+    error: 'Something went wrong confirming your request. Please try again later.'
+};
+const requestResult = new URLSearchParams(window.location.search).get('request');
+if (privacyStatus && REQUEST_MESSAGES[requestResult]) {
+    privacyStatus.textContent = REQUEST_MESSAGES[requestResult];
+}
+
+// No draft: the form is two fields and the address shouldn't linger in
+// the browser after a deletion request
+if (privacyForm) {
+    PublicForm.attach(privacyForm, {
+        endpoint: '/api/privacy/requests',
+        onSuccess(result) {
+            privacyForm.style.display = 'none';
+            privacyStatus.textContent = result.message;
+        }
+    });
+}
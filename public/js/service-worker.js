@@ -0,0 +1,161 @@
+// Offline queue for the public forms. Served as /service-worker.js and
+// registered by forms.js. A lead, contact or investor submission that can't
+// reach the server is saved in IndexedDB and the page is told it was queued;
+// queued submissions are replayed when the browser is back online (Background
+// Sync where supported, otherwise when a page asks). Each submission carries
+// the Idempotency-Key forms.js gave it, so a replay of one that did get
+// through is not saved twice.
+importScripts('/public/js/form-guard.js');
+
+const QUEUED_PATHS = ['/api/leads', '/api/contact', '/api/investors'];
+const DB_NAME = 'tsono-offline';
+const DB_STORE = 'submissions';
+const SYNC_TAG = 'replay-submissions';
+
+const QUEUED_MESSAGE = "You're offline, so we've saved this on your device. It will be sent automatically when you're back online.";
+
+// --- IndexedDB ---
+
+function openDb() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(DB_STORE, { keyPath: 'key' });
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function withStore(mode, fn) {
+    const db = await openDb();
+    try {
+        return await new Promise((resolve, reject) => {
+            const tx = db.transaction(DB_STORE, mode);
+            const request = fn(tx.objectStore(DB_STORE));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+        });
+    } finally {
+        db.close();
+    }
+}
+
+const queue = {
+    add: submission => withStore('readwrite', store => store.put(submission)),
+    // Oldest first
+    all: async () => (await withStore('readonly', store => store.getAll())).sort((a, b) => a.queuedAt - b.queuedAt),
+    remove: key => withStore('readwrite', store => store.delete(key))
+};
+
+// --- Capture ---
+
+function jsonResponse(body, status) {
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+async function sendOrQueue(request) {
+    const key = request.headers.get('Idempotency-Key');
+    const body = await request.clone().text();
+    try {
+        return await fetch(request);
+    } catch (error) {
+        // Without a key a replay could be saved twice; let the page report
+        // the connection error instead
+        if (!key) throw error;
+        await queue.add({ key, path: new URL(request.url).pathname, body, queuedAt: Date.now() });
+        if (self.registration.sync) {
+            await self.registration.sync.register(SYNC_TAG).catch(() => {});
+        }
+        return jsonResponse({ success: true, queued: true, message: QUEUED_MESSAGE }, 202);
+    }
+}
+
+// --- Replay ---
+
+async function getCsrfToken() {
+    const response = await fetch('/api/csrf-token', { cache: 'no-store', credentials: 'same-origin' });
+    return (await response.json()).csrfToken;
+}
+
+// The challenge answered when the form was filled in has likely expired (or
+// was never fetched while offline), so each replay gets a fresh one
+async function withFreshProof(body) {
+    return JSON.stringify({ ...JSON.parse(body), ...await FormGuard.answer() });
+}
+
+async function send(submission, csrfToken) {
+    const body = await withFreshProof(submission.body);
+    return fetch(submission.path, {
+        method: 'POST',
+        credentials: 'same-origin',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-CSRF-Token': csrfToken,
+            'Idempotency-Key': submission.key
+        },
+        body
+    });
+}
+
+// Send every queued submission in order. Throws while any are left (still
+// offline, or the server is unavailable) so Background Sync tries again.
+let replaying = null;
+
+function replay() {
+    if (!replaying) {
+        replaying = replayQueue().finally(() => {
+            replaying = null;
+        });
+    }
+    return replaying;
+}
+
+async function replayQueue() {
+    const submissions = await queue.all();
+    if (submissions.length === 0) return;
+
+    // The token the page used has likely expired by now
+    let csrfToken = await getCsrfToken();
+    for (const submission of submissions) {
+        let response = await send(submission, csrfToken);
+        if (response.status === 403) {
+            const result = await response.clone().json().catch(() => ({}));
+            if (result.code === 'EBADCSRFTOKEN') {
+                csrfToken = await getCsrfToken();
+                response = await send(submission, csrfToken);
+            }
+        }
+
+        // Rate limited or a server error: keep it for the next attempt
+        if (response.status === 429 || response.status >= 500) {
+            throw new Error(`Replay deferred (${response.status})`);
+        }
+        // Any other refusal won't change on a retry
+        if (!response.ok) {
+            console.warn('Dropped queued submission refused by the server:', submission.path, response.status);
+        }
+        await queue.remove(submission.key);
+    }
+}
+
+// --- Events ---
+
+self.addEventListener('install', () => self.skipWaiting());
+self.addEventListener('activate', event => event.waitUntil(self.clients.claim()));
+
+self.addEventListener('fetch', event => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'POST' || url.origin !== self.location.origin || !QUEUED_PATHS.includes(url.pathname)) return;
+    event.respondWith(sendOrQueue(event.request));
+});
+
+self.addEventListener('sync', event => {
+    if (event.tag === SYNC_TAG) event.waitUntil(replay());
+});
+
+// Pages ask for a replay when they load and when the browser comes back
+// online, for browsers without Background Sync
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'replay') {
+        event.waitUntil(replay().catch(error => console.warn('Queued submissions not sent yet:', error.message)));
+    }
+});
@@ -0,0 +1,52 @@
+// Create an admin account (use this to add the first owner).
+// Usage: npm run admin:create -- <username> [viewer|triager|owner]
+// The password is read from ADMIN_PASSWORD or prompted for.
+const path = require('path');
+const readline = require('readline');
+const logger = require('../lib/logger');
+const { createStore } = require('../lib/storage');
+const { ROLES, MIN_PASSWORD_LENGTH, validateUsername, validatePassword, createAccounts } = require('../lib/auth');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+function prompt(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve => rl.question(question, answer => {
+    rl.close();
+    resolve(answer);
+  }));
+}
+
+async function main() {
+  const username = String(process.argv[2] || '').toLowerCase();
+  const role = process.argv[3] || 'owner';
+
+  if (!validateUsername(username)) {
+    throw new Error('Usage: npm run admin:create -- <username> [viewer|triager|owner]');
+  }
+  if (!ROLES.includes(role)) {
+    throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+  }
+
+  const password = process.env.ADMIN_PASSWORD || await prompt('Password: ');
+  if (!validatePassword(password)) {
+    throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+
+  const store = createStore({ dataDir: DATA_DIR });
+  try {
+    const accounts = createAccounts({ store, sessionTtlMs: 0 });
+    if (await accounts.findByUsername(username)) {
+      throw new Error(`Admin "${username}" already exists`);
+    }
+    await accounts.create({ username, password, role });
+    logger.info({ username, role }, 'Admin user created');
+  } finally {
+    await store.close();
+  }
+}
+
+main().catch(err => {
+  logger.error(err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,39 @@
+// Merge a disposable-domain list into the bundled one
+// (config/disposable-domains.txt), e.g. a copy of a community-maintained list.
+// Usage: npm run email:domains -- <file> [--replace]
+// The file has one domain per line; # comments are ignored. --replace drops
+// the current entries instead of keeping them. Restart the server afterwards.
+const fs = require('fs');
+const logger = require('../lib/logger');
+const { loadDomainList, parseDomainList, DISPOSABLE_DOMAINS_FILE } = require('../lib/email');
+
+const HEADER = [
+  '# Disposable / throwaway inbox domains. One domain per line; subdomains of a',
+  '# listed domain match too. Merge in a bigger list with:',
+  '#   npm run email:domains -- path/to/list.txt'
+];
+
+function main() {
+  const file = process.argv[2];
+  if (!file || file.startsWith('--')) {
+    throw new Error('Usage: npm run email:domains -- <file> [--replace]');
+  }
+  const replace = process.argv.includes('--replace');
+
+  const current = replace ? new Set() : loadDomainList();
+  const incoming = parseDomainList(fs.readFileSync(file, 'utf8'))
+    .filter(domain => /^[a-z0-9.-]+\.[a-z0-9-]{2,}$/.test(domain));
+  const before = current.size;
+  incoming.forEach(domain => current.add(domain));
+
+  const domains = [...current].sort();
+  fs.writeFileSync(DISPOSABLE_DOMAINS_FILE, `${[...HEADER, ...domains].join('\n')}\n`);
+  logger.info({ file, read: incoming.length, added: current.size - before, total: domains.length, replace }, 'Disposable domain list updated');
+}
+
+try {
+  main();
+} catch (err) {
+  logger.error({ err }, 'Updating disposable domains failed');
+  process.exitCode = 1;
+}
@@ -0,0 +1,42 @@
+// Manage the PII encryption keyring.
+// Usage:
+//   npm run keys:generate -- [keyId]   print a new key entry to add to the keyring
+//   npm run keys:rotate                re-encrypt stored records with the current key
+//
+// To rotate, put the new key first in PII_ENCRYPTION_KEYS (or PII_KEY_FILE),
+// keep the old key after it, run keys:rotate, then drop the old key.
+const path = require('path');
+const logger = require('../lib/logger');
+const { createStore } = require('../lib/storage');
+const { generateKey } = require('../lib/storage/encryption');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const [command, arg] = process.argv.slice(2);
+
+async function rotate() {
+  const store = createStore({ dataDir: DATA_DIR });
+  try {
+    if (!store.encrypted) {
+      throw new Error('No encryption keys configured (set PII_ENCRYPTION_KEYS or PII_KEY_FILE)');
+    }
+    const counts = await store.reencryptAll();
+    logger.info({ reencrypted: counts }, 'Records re-encrypted with the current key');
+  } finally {
+    await store.close();
+  }
+}
+
+async function main() {
+  if (command === 'generate') {
+    console.log(generateKey(arg || new Date().toISOString().slice(0, 10).replace(/-/g, '')));
+  } else if (command === 'rotate') {
+    await rotate();
+  } else {
+    throw new Error('Usage: node scripts/keys.js generate [keyId] | rotate');
+  }
+}
+
+main().catch(err => {
+  logger.error({ err }, 'Key command failed');
+  process.exitCode = 1;
+});
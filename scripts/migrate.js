@@ -0,0 +1,28 @@
+// Run data migrations outside the server.
+// Usage: npm run migrate [-- --dry-run]
+const path = require('path');
+const logger = require('../lib/logger');
+const { createStore } = require('../lib/storage');
+const { runMigrations } = require('../lib/migrations');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const dryRun = process.argv.includes('--dry-run');
+
+async function main() {
+  const store = createStore({ dataDir: DATA_DIR });
+  try {
+    const report = await runMigrations({ store, dataDir: DATA_DIR, logger, dryRun });
+    if (report.length === 0) {
+      logger.info('All collections are at the latest schema version');
+    } else if (dryRun) {
+      report.forEach(entry => logger.info(entry, 'Pending migration (dry run)'));
+    }
+  } finally {
+    await store.close();
+  }
+}
+
+main().catch(err => {
+  logger.error({ err }, 'Migration failed');
+  process.exitCode = 1;
+});
@@ -0,0 +1,54 @@
+// Apply the data retention policy outside the server.
+// Usage: npm run retention -- --dry-run
+//        npm run retention -- --offline
+//
+// A running server purges on its own schedule, and an owner can purge at
+// once with POST /api/retention/run. Only purge from here while the server
+// is stopped (--offline): a running server would keep serving purged records
+// from its search index until restarted, and would compact analytics at the
+// same time as this script.
+const path = require('path');
+const logger = require('../lib/logger');
+const { createStore } = require('../lib/storage');
+const { createAnalytics } = require('../lib/analytics');
+const { createSearchIndex } = require('../lib/search');
+const { loadRetentionConfig, createRetention } = require('../lib/retention');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const dryRun = process.argv.includes('--dry-run');
+const offline = process.argv.includes('--offline');
+
+async function main() {
+  if (!dryRun && !offline) {
+    logger.error('Pass --dry-run for a report, or stop the server and pass --offline to purge (or use POST /api/retention/run)');
+    process.exitCode = 1;
+    return;
+  }
+  const store = createStore({ dataDir: DATA_DIR });
+  try {
+    const analytics = createAnalytics({ dir: DATA_DIR, store, logger });
+    // The server rebuilds its own index at startup; this one is throwaway
+    const retention = createRetention({
+      store,
+      analytics,
+      searchIndex: createSearchIndex(),
+      logger,
+      config: loadRetentionConfig()
+    });
+    const report = await retention.run({ dryRun });
+    if (dryRun) {
+      Object.entries(report.collections)
+        .filter(([collection, result]) => result.purged > 0)
+        .forEach(([collection, result]) => {
+          logger.info({ collection, ids: result.ids }, 'Would purge (dry run)');
+        });
+    }
+  } finally {
+    await store.close();
+  }
+}
+
+main().catch(err => {
+  logger.error({ err }, 'Retention purge failed');
+  process.exitCode = 1;
+});
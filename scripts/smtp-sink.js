@@ -0,0 +1,130 @@
+// Local SMTP stand-in for development and testing. Accepts every message and
+// writes it to data/mail-sink/ instead of delivering it.
+// Usage: npm run mail:sink [-- --port 2525] [-- --fail 2]
+//
+// Point the server at it with MAIL_TRANSPORT=smtp SMTP_HOST=localhost
+// SMTP_PORT=2525. --fail N rejects the first N messages with a temporary
+// error, to watch the outbox retry them. Tests start one in-process with
+// createSmtpSink.
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const logger = require('../lib/logger');
+
+const SINK_DIR = path.join(__dirname, '..', 'data', 'mail-sink');
+
+// Received messages are kept in `messages` ({ from, to, data }) and, with
+// `dir`, also written there as .eml files. The first `failures` messages
+// (or as many as failNext() says) get a temporary error instead.
+function createSmtpSink({ dir = null, failures = 0, log = logger } = {}) {
+  const messages = [];
+  let failuresLeft = failures;
+
+  function handleConnection(socket) {
+    let envelope = { from: null, to: [] };
+    let buffer = '';
+    let data = null;
+
+    const reply = line => socket.write(`${line}\r\n`);
+
+    function finishMessage() {
+      if (failuresLeft > 0) {
+        failuresLeft--;
+        reply('451 Temporary failure (--fail)');
+      } else {
+        // Undo dot-stuffing (RFC 5321 4.5.2)
+        const message = { ...envelope, data: data.replace(/^\.\./gm, '.') };
+        messages.push(message);
+        let file;
+        if (dir) {
+          file = path.join(dir, `${Date.now()}-${messages.length}.eml`);
+          fs.mkdirSync(dir, { recursive: true });
+          fs.writeFileSync(file, message.data);
+        }
+        log.info({ from: envelope.from, to: envelope.to, file }, 'Message received');
+        reply('250 OK: queued');
+      }
+      envelope = { from: null, to: [] };
+      data = null;
+    }
+
+    function handleLine(line) {
+      if (data !== null) {
+        if (line === '.') finishMessage();
+        else data += `${line}\n`;
+        return;
+      }
+
+      const command = line.slice(0, 4).toUpperCase();
+      if (command === 'EHLO' || command === 'HELO') {
+        reply('250 localhost');
+      } else if (command === 'MAIL') {
+        envelope.from = line.slice(line.indexOf(':') + 1).trim();
+        reply('250 OK');
+      } else if (command === 'RCPT') {
+        envelope.to.push(line.slice(line.indexOf(':') + 1).trim());
+        reply('250 OK');
+      } else if (command === 'DATA') {
+        data = '';
+        reply('354 End data with <CR><LF>.<CR><LF>');
+      } else if (command === 'RSET') {
+        envelope = { from: null, to: [] };
+        reply('250 OK');
+      } else if (command === 'NOOP') {
+        reply('250 OK');
+      } else if (command === 'QUIT') {
+        reply('221 Bye');
+        socket.end();
+      } else {
+        reply('502 Command not implemented');
+      }
+    }
+
+    socket.setEncoding('utf8');
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf('\r\n')) > -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        handleLine(line);
+      }
+    });
+    socket.on('error', err => log.warn({ err: err.message }, 'SMTP sink connection error'));
+    reply('220 localhost Tsono SMTP sink');
+  }
+
+  const server = net.createServer(handleConnection);
+
+  return {
+    messages,
+
+    failNext(count) {
+      failuresLeft = count;
+    },
+
+    // Resolves with the port (pass 0 for any free one)
+    listen(port) {
+      return new Promise(resolve => {
+        server.listen(port, () => resolve(server.address().port));
+      });
+    },
+
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+if (require.main === module) {
+  const option = (name, fallback) => {
+    const i = process.argv.indexOf(`--${name}`);
+    return i > -1 ? Number(process.argv[i + 1]) : fallback;
+  };
+  const failures = option('fail', 0);
+  createSmtpSink({ dir: SINK_DIR, failures }).listen(option('port', 2525)).then(port => {
+    logger.info({ port, dir: SINK_DIR, fail: failures }, 'SMTP sink listening');
+  });
+}
+
+module.exports = { createSmtpSink };
@@ -1,18 +1,67 @@
 const express = require('express');
-const fs = require('fs');
+const crypto = require('crypto');
 const path = require('path');
 const helmet = require('helmet');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
 const cookieParser = require('cookie-parser');
 const csrf = require('csurf');
-const lockfile = require('proper-lockfile');
 const logger = require('./lib/logger');
+const { createStore, checkEncryptionKeys, COLLECTIONS } = require('./lib/storage');
+const { createAnalytics } = require('./lib/analytics');
+const { runMigrations } = require('./lib/migrations');
+const { generateId, isValidId } = require('./lib/ids');
+const { isValidEmail, normalizeEmail, sanitize, validateBody, validateRecordUpdate, RECORD_STATUSES, UNHANDLED_STATUSES, LEAD_STATUSES } = require('./lib/validation');
+const { SCHEMAS } = require('./lib/schemas');
+const { parseListQuery, applyListQuery } = require('./lib/query');
+const { createSearchIndex } = require('./lib/search');
+const { createAuditLog } = require('./lib/audit');
+const { createLockout } = require('./lib/lockout');
+const { createMailer } = require('./lib/mailer');
+const { signToken, verifyToken } = require('./lib/tokens');
+const { createOutbox } = require('./lib/outbox');
+const { loadNotificationConfig, loadTemplates, createNotifications } = require('./lib/notifications');
+const { createWebhooks, validateSubscription, WEBHOOK_EVENTS } = require('./lib/webhooks');
+const { createReferrals } = require('./lib/referrals');
+const { createDuplicates } = require('./lib/duplicates');
+const { loadSpamConfig, createSpamFilter, createQuarantine } = require('./lib/spam');
+const { createEmailChecker } = require('./lib/email');
+const { createIdempotency } = require('./lib/idempotency');
+const { createPrivacy, ERASE_MODES } = require('./lib/privacy');
+const { loadRetentionConfig, createRetention } = require('./lib/retention');
+const {
+  ROLES,
+  SESSION_COOKIE,
+  MIN_PASSWORD_LENGTH,
+  hasRole,
+  hashPassword,
+  verifyPassword,
+  publicUser,
+  validateUsername,
+  validatePassword,
+  createAccounts
+} = require('./lib/auth');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const DATA_DIR = path.join(__dirname, 'data');
 const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+const SESSION_TTL_MS = (Number(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+// Base URL used in links sent by email
+const PUBLIC_URL = (process.env.PUBLIC_URL || `http://localhost:${PORT}`).replace(/\/$/, '');
+// Signs lead confirmation links. Required in production; in development a
+// per-process secret is used, so links stop working after a restart.
+const CONFIRM_TOKEN_SECRET = process.env.CONFIRM_TOKEN_SECRET || (IS_PRODUCTION ? null : crypto.randomBytes(32).toString('hex'));
+const CONFIRM_TOKEN_TTL_MS = (Number(process.env.CONFIRM_TOKEN_TTL_HOURS) || 48) * 60 * 60 * 1000;
+// Repeat signups re-send the confirmation link at most this often, so the
+// form can't be used to flood an address with mail
+const CONFIRM_RESEND_INTERVAL_MS = 15 * 60 * 1000;
+// Seals webhook signing secrets at rest. Required in production; in
+// development a per-process key is used, so subscriptions need recreating
+// after a restart.
+const WEBHOOK_SECRET_KEY = process.env.WEBHOOK_SECRET_KEY || (IS_PRODUCTION ? null : crypto.randomBytes(32).toString('hex'));
+// Lets webhooks target localhost and private networks, for local receivers
+const WEBHOOK_ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
 
 // Trust proxy for secure cookies and correct IP detection behind reverse proxies
 if (IS_PRODUCTION) {
@@ -27,13 +76,101 @@ app.use((req, res, next) => {
   next();
 });
 
-// Data files
-const DATA_FILES = {
-  leads: path.join(DATA_DIR, 'leads.json'),
-  contacts: path.join(DATA_DIR, 'contacts.json'),
-  investors: path.join(DATA_DIR, 'investors.json'),
-  analytics: path.join(DATA_DIR, 'analytics.json')
-};
+// Storage backend (STORAGE_DRIVER=json|sqlite)
+const store = createStore({ dataDir: DATA_DIR });
+
+// Append-only analytics log, compacted into daily rollups in the store
+const analytics = createAnalytics({
+  dir: DATA_DIR,
+  store,
+  logger,
+  compactIntervalMs: Number(process.env.ANALYTICS_COMPACT_INTERVAL_MS) || 60 * 1000
+});
+
+// In-memory search index over submissions, rebuilt at startup
+const searchIndex = createSearchIndex();
+
+// Hash-chained audit trail of admin activity
+const auditLog = createAuditLog({ store, logger });
+
+// Progressive lockout on failed admin logins (per IP and per account)
+const lockout = createLockout({
+  threshold: Number(process.env.ADMIN_LOCKOUT_THRESHOLD) || 5,
+  baseMs: (Number(process.env.ADMIN_LOCKOUT_MINUTES) || 1) * 60 * 1000,
+  maxMs: (Number(process.env.ADMIN_LOCKOUT_MAX_MINUTES) || 60) * 60 * 1000,
+  alertThreshold: Number(process.env.ADMIN_FAILURE_ALERT_THRESHOLD) || 20,
+  logger
+});
+
+// Outgoing email (MAIL_TRANSPORT=console|file|smtp)
+const mailer = createMailer({ dir: path.join(DATA_DIR, 'mail'), logger, maskEmail: anonymizeEmail });
+
+// Persistent, retrying queue in front of the mailer
+const outbox = createOutbox({ store, mailer, logger });
+
+// Submission alerts, acknowledgements and the daily digest
+// (config/notifications.json, templates in config/email/)
+const notifications = createNotifications({
+  store,
+  outbox,
+  logger,
+  config: loadNotificationConfig(),
+  templates: loadTemplates(),
+  publicUrl: PUBLIC_URL
+});
+
+// Signed outgoing webhooks for submission events
+const webhooks = WEBHOOK_SECRET_KEY && createWebhooks({
+  store,
+  logger,
+  secretKey: WEBHOOK_SECRET_KEY,
+  allowPrivate: WEBHOOK_ALLOW_PRIVATE
+});
+
+// Waitlist referral codes, credit and positions
+const referrals = createReferrals({ store, publicUrl: PUBLIC_URL });
+
+// Duplicate review and merge across submissions (by normalized email)
+const duplicates = createDuplicates({ store, searchIndex });
+
+// Spam scoring for the public forms (config/spam.json); flagged
+// submissions are held for review instead of being saved
+const spamFilter = createSpamFilter({ config: loadSpamConfig() });
+const quarantine = createQuarantine({ store });
+
+// Typo, disposable-domain and MX checks for submitted addresses
+// (EMAIL_MX_CHECK=false skips DNS, e.g. when developing offline)
+const emailChecker = createEmailChecker({ logger, checkMx: process.env.EMAIL_MX_CHECK !== 'false' });
+
+// Idempotency-Key handling for the public forms, so resent submissions
+// (e.g. replayed by the service worker after being queued offline) are
+// only saved once. Replays carry a renewed proof of work (lib/spam.js).
+const idempotency = createIdempotency({ store, logger, ignoreFields: ['challenge', 'nonce'] });
+
+// Data subject access/erasure requests
+const privacy = createPrivacy({
+  store,
+  searchIndex,
+  outbox,
+  logger,
+  maskEmail: anonymizeEmail,
+  publicUrl: PUBLIC_URL
+});
+
+// Scheduled purge of data past its retention period (config/retention.json)
+const retention = createRetention({
+  store,
+  analytics,
+  searchIndex,
+  logger,
+  config: loadRetentionConfig()
+});
+
+// Named admin accounts and their login sessions
+const accounts = createAccounts({
+  store,
+  sessionTtlMs: SESSION_TTL_MS
+});
 
 // ============================================
 // SECURITY MIDDLEWARE
@@ -75,6 +212,16 @@ const formLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Rate limiting - inline email checks, which make the server look up
+// whatever domain is sent
+const emailCheckLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // 30 checks per 15 min
+  message: { success: false, message: 'Too many requests, please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 app.use(generalLimiter);
 
 // Body parsers
@@ -87,68 +234,6 @@ app.use(cookieParser());
 // CSRF Protection
 const csrfProtection = csrf({ cookie: true });
 
-// Ensure data directory exists
-if (!fs.existsSync(DATA_DIR)) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
-}
-
-// Initialize data files if they don't exist
-Object.entries(DATA_FILES).forEach(([key, file]) => {
-  if (!fs.existsSync(file)) {
-    // Analytics needs to be an object, others are arrays
-    const initial = key === 'analytics' ? '{}' : '[]';
-    fs.writeFileSync(file, initial, 'utf8');
-  }
-});
-
-// Helper to read data
-function readData(file) {
-  try {
-    const data = fs.readFileSync(file, 'utf8');
-    const parsed = JSON.parse(data);
-    // Analytics should be an object, not an array
-    if (file === DATA_FILES.analytics && Array.isArray(parsed)) {
-      return {};
-    }
-    return parsed;
-  } catch (err) {
-    // Return appropriate default based on file type
-    return file === DATA_FILES.analytics ? {} : [];
-  }
-}
-
-// Helper to write data with file locking
-async function writeData(file, data) {
-  let release;
-  try {
-    release = await lockfile.lock(file, { retries: { retries: 3, minTimeout: 100, maxTimeout: 1000 } });
-    fs.writeFileSync(file, JSON.stringify(data, null, 2), 'utf8');
-  } finally {
-    if (release) {
-      await release();
-    }
-  }
-}
-
-// Validate email format
-function isValidEmail(email) {
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  return emailRegex.test(email);
-}
-
-// Sanitize input - strip HTML tags and limit length
-function sanitize(str, maxLength = 1000) {
-  if (!str) return '';
-  return String(str)
-    .replace(/<[^>]*>/g, '') // Strip HTML tags
-    .replace(/[<>"'&]/g, (char) => { // Escape special chars
-      const entities = { '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#x27;', '&': '&amp;' };
-      return entities[char];
-    })
-    .trim()
-    .slice(0, maxLength);
-}
-
 // Anonymize email for logging (keeps domain, hashes local part)
 function anonymizeEmail(email) {
   if (!email) return 'unknown';
@@ -175,30 +260,9 @@ function getDateKey() {
 // Track a page view
 async function trackPageView(page, referer, userAgent) {
   try {
-    const analytics = readData(DATA_FILES.analytics);
-    const dateKey = getDateKey();
-
-    // Initialize structure if needed
-    if (!analytics.pageViews) analytics.pageViews = {};
-    if (!analytics.pageViews[dateKey]) analytics.pageViews[dateKey] = {};
-    if (!analytics.pageViews[dateKey][page]) analytics.pageViews[dateKey][page] = 0;
-
-    analytics.pageViews[dateKey][page]++;
-
-    // Track referrers (last 100) - sanitize to prevent stored XSS
-    if (!analytics.referrers) analytics.referrers = [];
-    if (referer && !referer.includes('tsono.app')) {
-      // Sanitize referrer URL - only allow valid URL characters
-      const sanitizedReferer = sanitize(referer, 500);
-      analytics.referrers.unshift({
-        url: sanitizedReferer,
-        page: sanitize(page, 200),
-        timestamp: new Date().toISOString()
-      });
-      analytics.referrers = analytics.referrers.slice(0, 100);
-    }
-
-    await writeData(DATA_FILES.analytics, analytics);
+    // Sanitize referrer URL to prevent stored XSS; internal referrers aren't tracked
+    const externalReferer = referer && !referer.includes('tsono.app') ? sanitize(referer, 500) : null;
+    await analytics.recordPageView(sanitize(page, 200), externalReferer);
   } catch (err) {
     logger.error({ err, page }, 'Failed to track page view');
   }
@@ -217,8 +281,21 @@ app.use((req, res, next) => {
   next();
 });
 
-// Serve static files from root directory (after analytics middleware)
-app.use(express.static(__dirname));
+// Serve static files (after analytics middleware): the pages and other
+// top-level files like favicon.svg, plus public/. The rest of the project
+// root - data/ (accounts, sessions, outbox), config/, lib/, server.js - is
+// never served. Top-level names can't contain a slash, so no path escapes.
+const PUBLIC_ROOT_FILE = /^\/(?:[\w-]+\.(?:html|svg|txt|xml))?$/;
+const rootFiles = express.static(__dirname);
+app.use((req, res, next) => (PUBLIC_ROOT_FILE.test(req.path) ? rootFiles(req, res, next) : next()));
+app.use('/public', express.static(path.join(__dirname, 'public')));
+
+// The service worker is served from the root so its scope covers every
+// page; no-cache makes browsers pick up a new version on their next visit
+app.get('/service-worker.js', (req, res) => {
+  res.set('Cache-Control', 'no-cache');
+  res.sendFile(path.join(__dirname, 'public', 'js', 'service-worker.js'));
+});
 
 // ============================================
 // HEALTH CHECK
@@ -238,72 +315,276 @@ app.get('/api/csrf-token', csrfProtection, (req, res) => {
   res.json({ csrfToken: req.csrfToken() });
 });
 
+// Proof-of-work challenge for the public forms (see lib/spam.js)
+app.get('/api/challenge', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json(spamFilter.issueChallenge());
+});
+
+// Inline email hints for the public forms: the same checks a submission
+// gets, including a "did you mean" suggestion for likely typos. A 503 means
+// the address couldn't be checked; the page then shows no hint.
+app.get('/api/email/check', emailCheckLimiter, async (req, res) => {
+  try {
+    const result = await emailChecker.check(String(req.query.email || ''));
+    res.json({ success: true, ...result });
+  } catch (err) {
+    logger.error({ err }, 'Error checking email address');
+    res.status(503).json({ success: false, message: 'Unable to verify this email address right now' });
+  }
+});
+
+// Validate req.body against a request schema (lib/schemas.js). Handlers
+// read the cleaned values from req.values.
+function checkBody(schema) {
+  return (req, res, next) => {
+    const { values, errors } = validateBody(schema, req.body);
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors });
+    }
+    req.values = values;
+    next();
+  };
+}
+
+// Typo, disposable-domain and MX checks on the address as typed, so a
+// suggestion keeps the visitor's spelling of the local part. Sends the same
+// error format as checkBody, plus `suggestion` for likely typos; sending
+// keepEmail: true with the same address accepts it as typed. Returns false
+// if the address was refused.
+async function checkSubmittedEmail(req, res) {
+  let check;
+  try {
+    check = await emailChecker.check(req.body.email, { allowTypo: req.values.keepEmail });
+  } catch (err) {
+    // Like a failed DNS lookup, this lets the address through (checkBody
+    // has already checked its syntax)
+    logger.error({ err }, 'Error checking submitted email, accepting address');
+    return true;
+  }
+  if (check.valid) return true;
+  const body = { success: false, message: 'Validation failed', errors: { email: check.message } };
+  if (check.suggestion) body.suggestion = check.suggestion;
+  res.status(400).json(body);
+  return false;
+}
+
 // ============================================
 // API ENDPOINTS
 // ============================================
 
 // --- Lead Submissions (from index.html) ---
-app.post('/api/leads', formLimiter, csrfProtection, async (req, res) => {
-  const { name, email, interest } = req.body;
-
-  if (!name || !name.trim()) {
-    return res.status(400).json({ success: false, message: 'Name is required' });
-  }
-  if (!email || !isValidEmail(email)) {
-    return res.status(400).json({ success: false, message: 'Valid email is required' });
-  }
+app.post('/api/leads', formLimiter, csrfProtection, idempotency.middleware, checkBody(SCHEMAS.lead), async (req, res) => {
+  const { name, email, interest, ref } = req.values;
+  if (!(await checkSubmittedEmail(req, res))) return;
 
+  const timestamp = new Date().toISOString();
   const lead = {
-    id: Date.now(),
+    id: generateId(),
     type: 'lead',
-    name: sanitize(name, 100),
-    email: sanitize(email, 254).toLowerCase(),
-    interest: sanitize(interest, 50) || 'general',
-    timestamp: new Date().toISOString(),
+    name,
+    email,
+    interest,
+    interestHistory: [{ interest, at: timestamp }],
+    signupCount: 1,
+    status: 'pending',
+    confirmedAt: null,
+    confirmationSentAt: null,
+    referralCode: null,
+    referredBy: null,
+    timestamp,
   };
+  const message = 'Almost there! Check your inbox for a link to confirm your email.';
 
+  let saved;
   try {
-    const leads = readData(DATA_FILES.leads);
-    leads.push(lead);
-    await writeData(DATA_FILES.leads, leads);
-    logger.info({ leadId: lead.id, email: anonymizeEmail(lead.email) }, 'New lead signup');
-    res.json({ success: true, message: "Thanks for signing up! We'll be in touch soon." });
+    if (await holdIfSpam('leads', lead, { name }, req.values, { ref: ref || null })) {
+      return res.json({ success: true, message });
+    }
+    saved = await acceptLead(lead, ref);
   } catch (err) {
     logger.error({ err }, 'Error saving lead');
-    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+    return res.status(500).json({ success: false, message: 'Server error. Please try again.' });
   }
+
+  // Same answer for new and repeat signups
+  res.json({
+    success: true,
+    message,
+    referralCode: saved.referralCode,
+    referralLink: referrals.link(saved.referralCode)
+  });
 });
 
-// --- Contact Form Submissions ---
-app.post('/api/contact', formLimiter, csrfProtection, async (req, res) => {
-  const { name, email, subject, message } = req.body;
+// Quarantine a submission the spam filter flags. Returns true if it was held.
+async function holdIfSpam(collection, record, content, body, extra) {
+  const verdict = spamFilter.check(body, content);
+  if (!verdict.flagged) return false;
+  const held = await quarantine.hold(collection, record, verdict, extra);
+  logger.warn({ quarantineId: held.id, collection, score: verdict.score, reasons: verdict.reasons }, 'Submission quarantined');
+  return true;
+}
 
-  if (!name || !name.trim()) {
-    return res.status(400).json({ success: false, message: 'Name is required' });
+// Save a lead that passed the spam filter or was released from quarantine.
+// Someone already on the list (same normalized email) signing up again
+// updates their lead instead of adding a second one.
+async function acceptLead(lead, ref) {
+  let saved;
+  const key = normalizeEmail(lead.email);
+  const existing = (await store.list('leads')).find(l => normalizeEmail(l.email) === key);
+  if (existing) {
+    saved = await recordRepeatSignup(existing, lead);
+    if (ref) {
+      logger.warn({ ref: sanitize(ref, 20), reason: 'duplicate-email', email: anonymizeEmail(lead.email) }, 'Referral not credited');
+    }
+  } else {
+    // A bad referral never blocks the signup; the lead just isn't credited
+    const referral = await referrals.resolve(ref, lead.email);
+    if (referral.rejected) {
+      logger.warn({ ref: sanitize(ref, 20), reason: referral.rejected, email: anonymizeEmail(lead.email) }, 'Referral not credited');
+    }
+    lead.referredBy = referral.referredBy;
+    lead.referralCode = await referrals.newCode();
+    await store.insert('leads', lead);
+    searchIndex.add('leads', lead);
+    logger.info({ leadId: lead.id, email: anonymizeEmail(lead.email) }, 'New lead signup');
+    emitWebhook('lead.created', lead);
+    saved = lead;
   }
-  if (!email || !isValidEmail(email)) {
-    return res.status(400).json({ success: false, message: 'Valid email is required' });
+
+  if (saved.status !== 'confirmed') {
+    const lastSentAt = Date.parse(saved.confirmationSentAt) || 0;
+    if (Date.now() - lastSentAt < CONFIRM_RESEND_INTERVAL_MS) {
+      logger.info({ leadId: saved.id }, 'Lead confirmation sent recently, not resending');
+      return saved;
+    }
+    try {
+      await sendLeadConfirmation(saved);
+      saved = await store.update('leads', saved.id, { confirmationSentAt: new Date().toISOString() });
+    } catch (err) {
+      // The lead stays pending; it can be confirmed by signing up again
+      logger.error({ err, leadId: saved.id }, 'Error queueing lead confirmation email');
+    }
+  }
+  return saved;
+}
+
+// Save a contact message or investor inquiry that passed the spam filter
+// or was released from quarantine
+async function acceptSubmission(collection, record) {
+  await store.insert(collection, record);
+  searchIndex.add(collection, record);
+  await notifySubmission(collection, record);
+  emitWebhook(`${record.type}.created`, record);
+}
+
+// Append the new interest to the existing lead's history
+async function recordRepeatSignup(existing, signup) {
+  const updated = await store.update('leads', existing.id, {
+    interest: signup.interest,
+    interestHistory: [
+      ...(existing.interestHistory || [{ interest: existing.interest, at: existing.timestamp }]),
+      { interest: signup.interest, at: signup.timestamp }
+    ],
+    signupCount: (existing.signupCount || 1) + 1,
+    lastSignupAt: signup.timestamp
+  });
+  searchIndex.add('leads', updated);
+  logger.info({ leadId: updated.id, email: anonymizeEmail(updated.email), signupCount: updated.signupCount }, 'Repeat lead signup');
+  return updated;
+}
+
+// Double opt-in: mail a signed link that confirms the address
+function sendLeadConfirmation(lead) {
+  const token = signToken({ purpose: 'lead-confirm', leadId: lead.id }, CONFIRM_TOKEN_SECRET, { ttlMs: CONFIRM_TOKEN_TTL_MS });
+  return notifications.leadConfirmation(lead, {
+    link: `${PUBLIC_URL}/api/leads/confirm?token=${token}`,
+    referralLink: referrals.link(lead.referralCode),
+    hours: Math.round(CONFIRM_TOKEN_TTL_MS / (60 * 60 * 1000))
+  });
+}
+
+// Alerts and acknowledgements must never fail a submission that was saved
+async function notifySubmission(collection, record) {
+  try {
+    await notifications.submitted(collection, record);
+  } catch (err) {
+    logger.error({ err, collection, id: record.id }, 'Error queueing submission notifications');
   }
-  if (!message || !message.trim()) {
-    return res.status(400).json({ success: false, message: 'Message is required' });
+}
+
+// Queue webhook deliveries in the background; the request doesn't wait
+function emitWebhook(event, record) {
+  webhooks.emit(event, record).catch(err => {
+    logger.error({ err, event, id: record.id }, 'Error queueing webhook deliveries');
+  });
+}
+
+// Confirmation link from the email. Registered before RECORD_ROUTE so
+// "confirm" is not taken for a record id.
+app.get('/api/leads/confirm', async (req, res) => {
+  const payload = verifyToken(req.query.token, CONFIRM_TOKEN_SECRET);
+  if (!payload || payload.purpose !== 'lead-confirm' || !isValidId(payload.leadId)) {
+    return res.redirect(303, '/?signup=invalid#try-demo');
+  }
+
+  try {
+    const lead = await store.get('leads', payload.leadId);
+    if (!lead) {
+      return res.redirect(303, '/?signup=invalid#try-demo');
+    }
+    const done = `/?signup=confirmed&code=${encodeURIComponent(lead.referralCode)}#try-demo`;
+    if (lead.status !== 'confirmed') {
+      const updated = await store.update('leads', lead.id, { status: 'confirmed', confirmedAt: new Date().toISOString() });
+      searchIndex.add('leads', updated);
+      logger.info({ leadId: lead.id, email: anonymizeEmail(lead.email) }, 'Lead confirmed');
+      emitWebhook('lead.confirmed', updated);
+    }
+    res.redirect(303, done);
+  } catch (err) {
+    logger.error({ err }, 'Error confirming lead');
+    res.redirect(303, '/?signup=error#try-demo');
+  }
+});
+
+// Public waitlist position for a referral code
+app.get('/api/leads/position', async (req, res) => {
+  try {
+    const standing = await referrals.position(req.query.code);
+    if (!standing) {
+      return res.status(404).json({ success: false, message: 'Referral code not found' });
+    }
+    res.json({ success: true, ...standing });
+  } catch (err) {
+    logger.error({ err }, 'Error looking up waitlist position');
+    res.status(500).json({ success: false, message: 'Server error' });
   }
+});
+
+// --- Contact Form Submissions ---
+app.post('/api/contact', formLimiter, csrfProtection, idempotency.middleware, checkBody(SCHEMAS.contact), async (req, res) => {
+  const { name, email, subject, message } = req.values;
+  if (!(await checkSubmittedEmail(req, res))) return;
 
   const contact = {
-    id: Date.now(),
+    id: generateId(),
     type: 'contact',
-    name: sanitize(name, 100),
-    email: sanitize(email, 254).toLowerCase(),
-    subject: sanitize(subject, 100) || 'General Inquiry',
-    message: sanitize(message, 5000),
+    name,
+    email,
+    subject,
+    message,
     status: 'new',
+    assignee: '',
+    notes: '',
     timestamp: new Date().toISOString(),
   };
 
   try {
-    const contacts = readData(DATA_FILES.contacts);
-    contacts.push(contact);
-    await writeData(DATA_FILES.contacts, contacts);
-    logger.info({ contactId: contact.id, subject: contact.subject }, 'New contact message');
+    const content = { name: contact.name, text: [contact.subject, contact.message] };
+    if (!(await holdIfSpam('contacts', contact, content, req.values))) {
+      await acceptSubmission('contacts', contact);
+      logger.info({ contactId: contact.id, subject: contact.subject }, 'New contact message');
+    }
     res.json({ success: true, message: "Thanks for reaching out! We'll get back to you soon." });
   } catch (err) {
     logger.error({ err }, 'Error saving contact');
@@ -312,33 +593,30 @@ app.post('/api/contact', formLimiter, csrfProtection, async (req, res) => {
 });
 
 // --- Investor Inquiries ---
-app.post('/api/investors', formLimiter, csrfProtection, async (req, res) => {
-  const { name, email, company, type, message } = req.body;
-
-  if (!name || !name.trim()) {
-    return res.status(400).json({ success: false, message: 'Name is required' });
-  }
-  if (!email || !isValidEmail(email)) {
-    return res.status(400).json({ success: false, message: 'Valid email is required' });
-  }
+app.post('/api/investors', formLimiter, csrfProtection, idempotency.middleware, checkBody(SCHEMAS.investor), async (req, res) => {
+  const { name, email, company, type, message } = req.values;
+  if (!(await checkSubmittedEmail(req, res))) return;
 
   const investor = {
-    id: Date.now(),
+    id: generateId(),
     type: 'investor',
-    name: sanitize(name, 100),
-    email: sanitize(email, 254).toLowerCase(),
-    company: sanitize(company, 100),
-    inquiryType: sanitize(type, 50) || 'general',
-    message: sanitize(message, 5000),
+    name,
+    email,
+    company,
+    inquiryType: type,
+    message,
     status: 'new',
+    assignee: '',
+    notes: '',
     timestamp: new Date().toISOString(),
   };
 
   try {
-    const investors = readData(DATA_FILES.investors);
-    investors.push(investor);
-    await writeData(DATA_FILES.investors, investors);
-    logger.info({ investorId: investor.id, inquiryType: investor.inquiryType }, 'New investor inquiry');
+    const content = { name: investor.name, text: [investor.company, investor.message] };
+    if (!(await holdIfSpam('investors', investor, content, req.values))) {
+      await acceptSubmission('investors', investor);
+      logger.info({ investorId: investor.id, inquiryType: investor.inquiryType }, 'New investor inquiry');
+    }
     res.json({ success: true, message: "Thanks for your interest! We'll be in touch shortly." });
   } catch (err) {
     logger.error({ err }, 'Error saving investor inquiry');
@@ -346,222 +624,1136 @@ app.post('/api/investors', formLimiter, csrfProtection, async (req, res) => {
   }
 });
 
-// ============================================
-// ADMIN API (Protected)
-// ============================================
-
-// Middleware for admin routes
-function adminAuth(req, res, next) {
-  const authHeader = req.headers['x-admin-key'];
-  const adminKey = process.env.ADMIN_KEY;
+// --- Privacy Requests (self-service, from privacy.html) ---
+app.post('/api/privacy/requests', formLimiter, csrfProtection, checkBody(SCHEMAS.privacyRequest), async (req, res) => {
+  const { email, type } = req.values;
 
-  // In production, ADMIN_KEY is required
-  if (IS_PRODUCTION && !adminKey) {
-    logger.error('ADMIN_KEY not set in production!');
-    return res.status(500).json({ success: false, message: 'Server configuration error' });
+  try {
+    await privacy.submitRequest({ email, type, ip: req.ip });
+    // Same answer whether or not we hold data for this address
+    res.json({ success: true, message: 'Check your inbox for a link to confirm your request.' });
+  } catch (err) {
+    logger.error({ err }, 'Error saving privacy request');
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
   }
+});
 
-  // In development without ADMIN_KEY, allow access with warning
-  if (!adminKey) {
-    logger.warn('ADMIN_KEY not set - admin endpoints unprotected (dev mode)');
-    return next();
+// Confirmation link from the email; queues the request for admin approval
+app.get('/api/privacy/verify', async (req, res) => {
+  try {
+    const request = await privacy.verifyRequest(req.query.token);
+    res.redirect(303, `/privacy.html?request=${request ? 'verified' : 'invalid'}#your-rights`);
+  } catch (err) {
+    logger.error({ err }, 'Error verifying privacy request');
+    res.redirect(303, '/privacy.html?request=error#your-rights');
   }
+});
 
-  if (authHeader !== adminKey) {
-    logger.warn({ ip: req.ip }, 'Unauthorized admin access attempt');
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
+// ============================================
+// ADMIN API (Protected)
+// ============================================
 
-  // Log successful admin access
-  logger.info({ method: req.method, path: req.path, ip: req.ip }, 'Admin access granted');
-  next();
+// Rate limiting - admin login attempts
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // 10 login attempts per 15 min
+  message: { success: false, message: 'Too many login attempts, please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+function setSessionCookie(res, token) {
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    secure: IS_PRODUCTION,
+    sameSite: 'strict',
+    maxAge: SESSION_TTL_MS,
+    path: '/'
+  });
 }
 
-// Get all leads
-app.get('/api/leads', adminAuth, (req, res) => {
-  const leads = readData(DATA_FILES.leads);
-  res.json({ success: true, count: leads.length, data: leads });
-});
+async function startAdminSession(req, res, user) {
+  lockout.recordSuccess(req.ip, user.username);
+  const token = await accounts.createSession(user, { ip: req.ip });
+  const updated = await accounts.update(user.id, { lastLoginAt: new Date().toISOString() });
+  setSessionCookie(res, token);
+  auditLog.record({ actor: user.username, actorId: user.id, role: user.role, action: 'login', method: req.method, route: req.originalUrl, status: 200, ip: req.ip });
+  logger.info({ admin: user.username, ip: req.ip }, 'Admin logged in');
+  res.json({ success: true, user: publicUser(updated) });
+}
 
-// Get all contacts
-app.get('/api/contacts', adminAuth, (req, res) => {
-  const contacts = readData(DATA_FILES.contacts);
-  res.json({ success: true, count: contacts.length, data: contacts });
-});
+// Handlers describe what they touched with setAudit(); adminAuth has the
+// audit log record it once the response finishes (see trackRequest)
+function setAudit(res, action, recordIds) {
+  res.locals.audit = { action, recordIds };
+}
 
-// Get all investor inquiries
-app.get('/api/investors', adminAuth, (req, res) => {
-  const investors = readData(DATA_FILES.investors);
-  res.json({ success: true, count: investors.length, data: investors });
-});
+// Middleware for admin routes - resolves the session cookie to req.admin
+async function adminAuth(req, res, next) {
+  try {
+    const resolved = await accounts.resolveSession(req.cookies[SESSION_COOKIE]);
+
+    if (!resolved) {
+      // Until the first account is created, development runs unprotected
+      if (await accounts.count() === 0) {
+        if (IS_PRODUCTION) {
+          logger.error('No admin accounts exist in production! Run: npm run admin:create');
+          return res.status(500).json({ success: false, message: 'Server configuration error' });
+        }
+        logger.warn('No admin accounts - admin endpoints unprotected (dev mode)');
+        req.admin = { id: 'dev', username: 'dev', role: 'owner' };
+        auditLog.trackRequest(req, res);
+        return next();
+      }
+
+      logger.warn({ ip: req.ip, path: req.path }, 'Unauthorized admin access attempt');
+      return res.status(401).json({ success: false, message: 'Unauthorized' });
+    }
 
-// Get all submissions combined
-app.get('/api/all', adminAuth, (req, res) => {
-  const leads = readData(DATA_FILES.leads);
-  const contacts = readData(DATA_FILES.contacts);
-  const investors = readData(DATA_FILES.investors);
+    req.admin = publicUser(resolved.user);
+    req.adminSession = resolved.session;
+    auditLog.trackRequest(req, res);
 
-  res.json({
-    success: true,
-    summary: {
-      leads: leads.length,
-      contacts: contacts.length,
-      investors: investors.length,
-      total: leads.length + contacts.length + investors.length
-    },
-    data: {
-      leads,
-      contacts,
-      investors
+    // Log successful admin access
+    logger.info({ admin: req.admin.username, method: req.method, path: req.path, ip: req.ip }, 'Admin access granted');
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+// Require at least the given role (viewer < triager < owner)
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!hasRole(req.admin, role)) {
+      logger.warn({ admin: req.admin.username, role: req.admin.role, path: req.path }, 'Admin role denied');
+      return res.status(403).json({ success: false, message: 'Forbidden' });
     }
+    next();
+  };
+}
+
+// Reject attempts from a locked IP or against a locked account
+function sendLockedOut(res, state) {
+  const seconds = Math.ceil(state.retryAfterMs / 1000);
+  res.set('Retry-After', String(seconds));
+  res.status(429).json({
+    success: false,
+    message: `Too many failed attempts. Try again in ${Math.ceil(seconds / 60)} minute(s).`
   });
-});
+}
 
-// Export all data as CSV
-app.get('/api/export/:type', adminAuth, (req, res) => {
-  const { type } = req.params;
+// --- Admin Sessions ---
+app.post('/api/admin/login', loginLimiter, csrfProtection, async (req, res) => {
+  const { username, password } = req.body;
 
-  let data;
-  let filename;
-
-  switch (type) {
-    case 'leads':
-      data = readData(DATA_FILES.leads);
-      filename = 'leads.csv';
-      break;
-    case 'contacts':
-      data = readData(DATA_FILES.contacts);
-      filename = 'contacts.csv';
-      break;
-    case 'investors':
-      data = readData(DATA_FILES.investors);
-      filename = 'investors.csv';
-      break;
-    default:
-      return res.status(400).json({ success: false, message: 'Invalid type. Use: leads, contacts, or investors' });
+  if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+    return res.status(400).json({ success: false, message: 'Username and password are required' });
   }
 
-  if (data.length === 0) {
-    return res.status(404).json({ success: false, message: 'No data found' });
+  const locked = lockout.check(req.ip, username);
+  if (locked.locked) {
+    logger.warn({ ip: req.ip, username: sanitize(username, 32), scope: locked.scope }, 'Locked-out admin login attempt');
+    return sendLockedOut(res, locked);
   }
 
-  // Convert to CSV
-  const headers = Object.keys(data[0]);
-  const csv = [
-    headers.join(','),
-    ...data.map(row => headers.map(h => `"${String(row[h] || '').replace(/"/g, '""')}"`).join(','))
-  ].join('\n');
-
-  res.setHeader('Content-Type', 'text/csv');
-  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-  res.send(csv);
-});
-
-// Get analytics data
-app.get('/api/analytics', adminAuth, (req, res) => {
-  const analytics = readData(DATA_FILES.analytics);
-  const dateKey = getDateKey();
+  try {
+    const user = await accounts.authenticate(username, password);
+    if (!user) {
+      auditLog.record({ actor: sanitize(username, 32), action: 'login.failed', method: req.method, route: req.originalUrl, status: 401, ip: req.ip });
+      logger.warn({ ip: req.ip, username: sanitize(username, 32) }, 'Failed admin login');
+      const state = lockout.recordFailure(req.ip, username);
+      if (state.locked) return sendLockedOut(res, state);
+      return res.status(401).json({ success: false, message: 'Invalid username or password' });
+    }
 
-  // Calculate totals
-  let totalViews = 0;
-  let todayViews = 0;
-  const pageTotals = {};
+    // Accounts with TOTP enabled must complete a second step first
+    if (user.totpSecret) {
+      const challenge = await accounts.createLoginChallenge(user);
+      return res.json({ success: true, twoFactorRequired: true, challenge });
+    }
 
-  if (analytics.pageViews) {
-    Object.entries(analytics.pageViews).forEach(([date, pages]) => {
-      Object.entries(pages).forEach(([page, count]) => {
-        totalViews += count;
-        if (date === dateKey) todayViews += count;
-        pageTotals[page] = (pageTotals[page] || 0) + count;
-      });
-    });
+    await startAdminSession(req, res, user);
+  } catch (err) {
+    logger.error({ err }, 'Error during admin login');
+    res.status(500).json({ success: false, message: 'Server error' });
   }
-
-  res.json({
-    success: true,
-    summary: {
-      totalViews,
-      todayViews,
-      topPages: Object.entries(pageTotals)
-        .sort((a, b) => b[1] - a[1])
-        .slice(0, 10)
-        .map(([page, views]) => ({ page, views }))
-    },
-    daily: analytics.pageViews || {},
-    recentReferrers: (analytics.referrers || []).slice(0, 20)
-  });
 });
 
-// Track custom event (client-side tracking)
-app.post('/api/analytics/event', async (req, res) => {
-  const { event, data } = req.body;
+// Second login step - TOTP code or a one-time recovery code
+app.post('/api/admin/login/verify', loginLimiter, csrfProtection, async (req, res) => {
+  const { challenge, code, recoveryCode } = req.body;
 
-  if (!event) {
-    return res.status(400).json({ success: false, message: 'Event name required' });
+  if (typeof challenge !== 'string' || (typeof code !== 'string' && typeof recoveryCode !== 'string')) {
+    return res.status(400).json({ success: false, message: 'Challenge and code are required' });
   }
 
   try {
-    const analytics = readData(DATA_FILES.analytics);
-    const dateKey = getDateKey();
-
-    if (!analytics.events) analytics.events = {};
-    if (!analytics.events[dateKey]) analytics.events[dateKey] = [];
-
-    analytics.events[dateKey].push({
-      event,
-      data: data || {},
-      timestamp: new Date().toISOString()
-    });
+    const pending = await accounts.getChallengeUser(challenge);
+    const username = pending ? pending.username : null;
+    const locked = lockout.check(req.ip, username);
+    if (locked.locked) {
+      logger.warn({ ip: req.ip, username, scope: locked.scope }, 'Locked-out admin two-factor attempt');
+      return sendLockedOut(res, locked);
+    }
 
-    // Keep only last 7 days of events
-    const cutoff = new Date();
-    cutoff.setDate(cutoff.getDate() - 7);
-    const cutoffKey = cutoff.toISOString().split('T')[0];
-    Object.keys(analytics.events).forEach(key => {
-      if (key < cutoffKey) delete analytics.events[key];
-    });
+    const user = await accounts.completeLoginChallenge(challenge, { code, recoveryCode });
+    if (!user) {
+      auditLog.record({ actor: username || undefined, action: 'login.2fa_failed', method: req.method, route: req.originalUrl, status: 401, ip: req.ip });
+      logger.warn({ ip: req.ip, username }, 'Failed admin two-factor check');
+      const state = lockout.recordFailure(req.ip, username);
+      if (state.locked) return sendLockedOut(res, state);
+      return res.status(401).json({ success: false, message: 'Invalid or expired code' });
+    }
+    if (recoveryCode) {
+      logger.warn({ admin: user.username, ip: req.ip }, 'Admin used a recovery code');
+    }
+    await startAdminSession(req, res, user);
+  } catch (err) {
+    logger.error({ err }, 'Error during admin two-factor check');
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
 
-    await writeData(DATA_FILES.analytics, analytics);
+app.post('/api/admin/logout', csrfProtection, async (req, res) => {
+  try {
+    const token = req.cookies[SESSION_COOKIE];
+    const resolved = token ? await accounts.resolveSession(token) : null;
+    if (resolved) {
+      const { user } = resolved;
+      auditLog.record({ actor: user.username, actorId: user.id, role: user.role, action: 'logout', method: req.method, route: req.originalUrl, status: 200, ip: req.ip });
+    }
+    if (token) await accounts.destroySession(token);
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
     res.json({ success: true });
   } catch (err) {
-    logger.error({ err, event }, 'Error tracking analytics event');
+    logger.error({ err }, 'Error during admin logout');
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// ============================================
-// 404 Handler
-// ============================================
-app.use((req, res) => {
-  res.status(404).sendFile(path.join(__dirname, '404.html'));
+// Current admin (used by the dashboard to check its session)
+app.get('/api/admin/me', adminAuth, (req, res) => {
+  // Session checks on page load aren't data access
+  res.locals.audit = false;
+  res.json({ success: true, user: req.admin });
 });
 
-// ============================================
-// CSRF Error Handler
-// ============================================
-app.use((err, req, res, next) => {
-  if (err.code === 'EBADCSRFTOKEN') {
-    logger.warn({ ip: req.ip, path: req.path }, 'Invalid CSRF token');
-    return res.status(403).json({ success: false, message: 'Invalid security token. Please refresh the page and try again.' });
+// --- Login Lockouts (owner only) ---
+app.get('/api/admin/lockouts', adminAuth, requireRole('owner'), (req, res) => {
+  setAudit(res, 'lockouts.read');
+  res.json({ success: true, ...lockout.status() });
+});
+
+// Lift a lockout early for an IP or username
+app.delete('/api/admin/lockouts', csrfProtection, adminAuth, requireRole('owner'), (req, res) => {
+  const { ip, username } = req.body;
+  if (typeof ip !== 'string' && typeof username !== 'string') {
+    return res.status(400).json({ success: false, message: 'ip or username is required' });
   }
-  next(err);
+  setAudit(res, 'lockouts.clear');
+  const cleared = lockout.clear({ ip, username });
+  if (!cleared) {
+    return res.status(404).json({ success: false, message: 'No lockout found' });
+  }
+  logger.info({ admin: req.admin.username, ip, username }, 'Admin lockout cleared');
+  res.json({ success: true });
 });
 
-// ============================================
-// Error Handler
-// ============================================
-app.use((err, req, res, next) => {
-  logger.error({ err, path: req.path }, 'Unhandled error');
-  res.status(500).sendFile(path.join(__dirname, '500.html'));
+// --- Two-Factor Authentication (per admin) ---
+function requireAccount(req, res, next) {
+  if (req.admin.id === 'dev') {
+    return res.status(400).json({ success: false, message: 'Create an admin account first' });
+  }
+  next();
+}
+
+// Generate a pending secret and its otpauth:// provisioning URI
+app.post('/api/admin/2fa/setup', csrfProtection, adminAuth, requireAccount, async (req, res) => {
+  try {
+    const user = await accounts.get(req.admin.id);
+    if (user.totpSecret) {
+      return res.status(409).json({ success: false, message: 'Two-factor authentication is already enabled' });
+    }
+    setAudit(res, 'twofactor.setup', [user.id]);
+    const { secret, uri } = await accounts.beginTwoFactorSetup(user);
+    res.json({ success: true, secret, uri });
+  } catch (err) {
+    logger.error({ err }, 'Error starting two-factor setup');
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Confirm the pending secret with a code; returns recovery codes once
+app.post('/api/admin/2fa/enable', csrfProtection, adminAuth, requireAccount, async (req, res) => {
+  try {
+    setAudit(res, 'twofactor.enable', [req.admin.id]);
+    const recoveryCodes = await accounts.enableTwoFactor(req.admin, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ success: false, message: 'Invalid code', errors: { code: 'Code did not match' } });
+    }
+    logger.info({ admin: req.admin.username }, 'Admin enabled two-factor authentication');
+    res.json({ success: true, recoveryCodes });
+  } catch (err) {
+    logger.error({ err }, 'Error enabling two-factor authentication');
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Turn off two-factor for yourself (requires your password)
+app.post('/api/admin/2fa/disable', csrfProtection, adminAuth, requireAccount, async (req, res) => {
+  try {
+    const user = await accounts.get(req.admin.id);
+    setAudit(res, 'twofactor.disable', [user.id]);
+    if (!(await verifyPassword(req.body.password, user.passwordHash))) {
+      return res.status(401).json({ success: false, message: 'Incorrect password', errors: { password: 'Incorrect password' } });
+    }
+    await accounts.disableTwoFactor(user.id);
+    logger.warn({ admin: user.username }, 'Admin disabled two-factor authentication');
+    res.json({ success: true });
+  } catch (err) {
+    logger.error({ err }, 'Error disabling two-factor authentication');
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// --- Admin Users (owner only) ---
+app.get('/api/admin/users', adminAuth, requireRole('owner'), async (req, res) => {
+  try {
+    const users = await accounts.list();
+    setAudit(res, 'users.list', users.map(u => u.id));
+    res.json({ success: true, data: users.map(publicUser) });
+  } catch (err) {
+    logger.error({ err }, 'Error listing admin users');
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+app.post('/api/admin/users', csrfProtection, adminAuth, requireRole('owner'), async (req, res) => {
+  const { username, password, role } = req.body;
+  const errors = {};
+
+  if (!validateUsername(String(username || '').toLowerCase())) {
+    errors.username = '3-32 characters: letters, numbers, dot, dash or underscore';
+  }
+  if (!validatePassword(password)) {
+    errors.password = `Must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (!ROLES.includes(role)) {
+    errors.role = `Must be one of: ${ROLES.join(', ')}`;
+  }
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({ success: false, message: 'Validation failed', errors });
+  }
+
+  try {
+    if (await accounts.findByUsername(username)) {
+      return res.status(409).json({ success: false, message: 'Username already exists', errors: { username: 'Already taken' } });
+    }
+    const user = await accounts.create({ username, password, role });
+    setAudit(res, 'users.create', [user.id]);
+    logger.info({ admin: req.admin.username, created: user.username, role }, 'Admin user created');
+    res.status(201).json({ success: true, data: publicUser(user) });
+  } catch (err) {
+    logger.error({ err }, 'Error creating admin user');
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Change role, reset password or two-factor, or disable an account
+app.patch('/api/admin/users/:id', csrfProtection, adminAuth, requireRole('owner'), async (req, res) => {
+  const { role, password, disabled, resetTwoFactor } = req.body;
+  const changes = {};
+  const errors = {};
+
+  if (role !== undefined) {
+    if (ROLES.includes(role)) changes.role = role;
+    else errors.role = `Must be one of: ${ROLES.join(', ')}`;
+  }
+  if (disabled !== undefined) {
+    if (typeof disabled === 'boolean') changes.disabled = disabled;
+    else errors.disabled = 'Must be true or false';
+  }
+  if (password !== undefined && !validatePassword(password)) {
+    errors.password = `Must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (resetTwoFactor !== undefined && resetTwoFactor !== true) {
+    errors.resetTwoFactor = 'Must be true';
+  }
+  if (Object.keys(errors).length > 0 || (Object.keys(changes).length === 0 && password === undefined && !resetTwoFactor)) {
+    return res.status(400).json({ success: false, message: 'Validation failed', errors });
+  }
+
+  try {
+    const users = await accounts.list();
+    const user = users.find(u => String(u.id) === req.params.id);
+    setAudit(res, 'users.update', [req.params.id]);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    // Never leave the dashboard without an active owner
+    const demotesOwner = user.role === 'owner' && ((changes.role && changes.role !== 'owner') || changes.disabled);
+    const activeOwners = users.filter(u => u.role === 'owner' && !u.disabled).length;
+    if (demotesOwner && activeOwners <= 1) {
+      return res.status(409).json({ success: false, message: 'Cannot remove the last owner' });
+    }
+
+    if (password !== undefined) {
+      changes.passwordHash = await hashPassword(password);
+    }
+    if (resetTwoFactor) {
+      await accounts.disableTwoFactor(user.id);
+      changes.twoFactorResetAt = new Date().toISOString();
+    }
+    const updated = await accounts.update(user.id, changes);
+    if (changes.disabled || changes.passwordHash || changes.role || resetTwoFactor) {
+      await accounts.revokeSessions(user.id);
+    }
+
+    logger.info({ admin: req.admin.username, target: user.username, fields: Object.keys(changes) }, 'Admin user updated');
+    res.json({ success: true, data: publicUser(updated) });
+  } catch (err) {
+    logger.error({ err }, 'Error updating admin user');
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+app.delete('/api/admin/users/:id', csrfProtection, adminAuth, requireRole('owner'), async (req, res) => {
+  try {
+    const user = await accounts.get(req.params.id);
+    setAudit(res, 'users.delete', [req.params.id]);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    if (String(user.id) === String(req.admin.id)) {
+      return res.status(409).json({ success: false, message: 'You cannot delete your own account' });
+    }
+
+    await accounts.remove(user.id);
+    await accounts.revokeSessions(user.id);
+    logger.info({ admin: req.admin.username, target: user.username }, 'Admin user deleted');
+    res.json({ success: true, message: 'User deleted' });
+  } catch (err) {
+    logger.error({ err }, 'Error deleting admin user');
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Dashboard totals (unfiltered) for the stat cards and inbox filter chips
+function summarize({ leads, contacts, investors }) {
+  const countByStatus = (records, statuses = RECORD_STATUSES) => Object.fromEntries(
+    statuses.map(status => [status, records.filter(r => r.status === status).length])
+  );
+
+  return {
+    leads: leads.length,
+    contacts: contacts.length,
+    investors: investors.length,
+    total: leads.length + contacts.length + investors.length,
+    unhandled: {
+      contacts: contacts.filter(c => UNHANDLED_STATUSES.includes(c.status)).length,
+      investors: investors.filter(i => UNHANDLED_STATUSES.includes(i.status)).length
+    },
+    confirmedLeads: leads.filter(l => l.status === 'confirmed').length,
+    statuses: {
+      leads: countByStatus(leads, LEAD_STATUSES),
+      contacts: countByStatus(contacts),
+      investors: countByStatus(investors)
+    }
+  };
+}
+
+async function loadAllCollections() {
+  const [leads, contacts, investors] = await Promise.all(COLLECTIONS.map(c => store.list(c)));
+  return { leads, contacts, investors };
+}
+
+// List a collection with limit/cursor paging, sort, from/to and field filters
+function listCollection(collection) {
+  return async (req, res) => {
+    let query;
+    try {
+      query = parseListQuery(collection, req.query);
+    } catch (err) {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+
+    try {
+      const result = applyListQuery(await store.list(collection), query);
+      setAudit(res, `${collection}.list`, result.data.map(r => r.id));
+      res.json({ success: true, count: result.total, data: result.data, nextCursor: result.nextCursor });
+    } catch (err) {
+      logger.error({ err, collection }, 'Error listing records');
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  };
+}
+
+// Get leads
+app.get('/api/leads', adminAuth, listCollection('leads'));
+
+// Get contacts
+app.get('/api/contacts', adminAuth, listCollection('contacts'));
+
+// Get investor inquiries
+app.get('/api/investors', adminAuth, listCollection('investors'));
+
+// Get dashboard summary counts
+app.get('/api/summary', adminAuth, async (req, res) => {
+  // Polled by the dashboard and holds only counts, so it stays out of the trail
+  res.locals.audit = false;
+  try {
+    res.json({ success: true, summary: summarize(await loadAllCollections()) });
+  } catch (err) {
+    logger.error({ err }, 'Error reading submissions');
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Get summary plus the first page of every collection
+app.get('/api/all', adminAuth, async (req, res) => {
+  let queries;
+  try {
+    queries = Object.fromEntries(COLLECTIONS.map(c => [c, parseListQuery(c, req.query)]));
+  } catch (err) {
+    return res.status(400).json({ success: false, message: err.message });
+  }
+
+  try {
+    const all = await loadAllCollections();
+    const data = {};
+    const counts = {};
+    const cursors = {};
+    COLLECTIONS.forEach(collection => {
+      const result = applyListQuery(all[collection], queries[collection]);
+      data[collection] = result.data;
+      counts[collection] = result.total;
+      cursors[collection] = result.nextCursor;
+    });
+
+    setAudit(res, 'all.list', COLLECTIONS.flatMap(c => data[c].map(r => r.id)));
+    res.json({ success: true, summary: summarize(all), counts, cursors, data });
+  } catch (err) {
+    logger.error({ err }, 'Error reading submissions');
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Search submissions by name, email, company, subject or message
+app.get('/api/search', adminAuth, (req, res) => {
+  const q = String(req.query.q || '').trim().slice(0, 200);
+  if (!q) {
+    return res.status(400).json({ success: false, message: 'Query parameter q is required' });
+  }
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+  const { total, results } = searchIndex.search(q, { limit });
+  setAudit(res, 'search', COLLECTIONS.flatMap(c => results[c].map(r => r.id)));
+  res.json({ success: true, query: q, total, results });
+});
+
+// Referral leaderboard
+app.get('/api/referrals', adminAuth, async (req, res) => {
+  try {
+    const data = await referrals.leaderboard();
+    setAudit(res, 'referrals.leaderboard', data.map(r => r.id));
+    res.json({ success: true, count: data.length, data });
+  } catch (err) {
+    logger.error({ err }, 'Error building referral leaderboard');
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Export all data as CSV (?status= limits it to one status, e.g. confirmed leads)
+app.get('/api/export/:type', adminAuth, async (req, res) => {
+  const { type } = req.params;
+  const { status } = req.query;
+
+  if (!COLLECTIONS.includes(type)) {
+    return res.status(400).json({ success: false, message: 'Invalid type. Use: leads, contacts, or investors' });
+  }
+  const statuses = type === 'leads' ? LEAD_STATUSES : RECORD_STATUSES;
+  if (status !== undefined && !statuses.includes(status)) {
+    return res.status(400).json({ success: false, message: `Invalid status. Use: ${statuses.join(', ')}` });
+  }
+
+  const filename = status ? `${type}-${status}.csv` : `${type}.csv`;
+  let data;
+  try {
+    data = await store.list(type);
+    if (status) data = data.filter(r => r.status === status);
+  } catch (err) {
+    logger.error({ err, type }, 'Error reading export data');
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+
+  setAudit(res, `${type}.export`, data.map(r => r.id));
+  if (data.length === 0) {
+    return res.status(404).json({ success: false, message: 'No data found' });
+  }
+
+  // Convert to CSV - header is the union of all fields so rows written under
+  // older schema versions still line up
+  const headers = [...new Set(data.flatMap(row => Object.keys(row)))];
+  const csv = [
+    headers.join(','),
+    ...data.map(row => headers.map(h => `"${csvValue(row[h]).replace(/"/g, '""')}"`).join(','))
+  ].join('\n');
+
+  res.setHeader('Content-Type', 'text/csv');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(csv);
+});
+
+// One CSV cell. Interest history reads as "signals (2026-01-02T...); all
+// (...)"; other lists and objects are written out rather than shown as
+// [object Object], and only missing values are left blank.
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) {
+    return value.map(item => (item && item.interest !== undefined && item.at !== undefined
+      ? `${item.interest} (${item.at})`
+      : csvValue(item))).join('; ');
+  }
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+// --- Per-record access ---
+const RECORD_ROUTE = `/api/:collection(${COLLECTIONS.join('|')})/:id`;
+
+function checkRecordId(req, res, next) {
+  if (!isValidId(req.params.id)) {
+    return res.status(400).json({ success: false, message: 'Invalid record id' });
+  }
+  next();
+}
+
+// Get a single record
+app.get(RECORD_ROUTE, adminAuth, checkRecordId, async (req, res) => {
+  const { collection, id } = req.params;
+  setAudit(res, `${collection}.read`, [id]);
+  try {
+    const record = await store.get(collection, id);
+    if (!record) {
+      return res.status(404).json({ success: false, message: 'Record not found' });
+    }
+    res.json({ success: true, data: record });
+  } catch (err) {
+    logger.error({ err, collection, id }, 'Error reading record');
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Update fields on a single record
+app.patch(RECORD_ROUTE, csrfProtection, adminAuth, requireRole('triager'), checkRecordId, async (req, res) => {
+  const { collection, id } = req.params;
+  const { changes, errors } = validateRecordUpdate(collection, req.body);
+  setAudit(res, `${collection}.update`, [id]);
+
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({ success: false, message: 'Validation failed', errors });
+  }
+
+  try {
+    const before = await store.get(collection, id);
+    const record = before && await store.update(collection, id, { ...changes, updatedAt: new Date().toISOString() });
+    if (!record) {
+      return res.status(404).json({ success: false, message: 'Record not found' });
+    }
+    searchIndex.add(collection, record);
+    logger.info({ collection, id, fields: Object.keys(changes) }, 'Admin updated record');
+    if (collection !== 'leads' && record.status !== before.status) {
+      emitWebhook(`${record.type}.status_changed`, { ...record, previousStatus: before.status });
+    }
+    res.json({ success: true, data: record });
+  } catch (err) {
+    logger.error({ err, collection, id }, 'Error updating record');
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Delete a single record
+app.delete(RECORD_ROUTE, csrfProtection, adminAuth, requireRole('owner'), checkRecordId, async (req, res) => {
+  const { collection, id } = req.params;
+  setAudit(res, `${collection}.delete`, [id]);
+  try {
+    const removed = await store.remove(collection, id);
+    if (!removed) {
+      return res.status(404).json({ success: false, message: 'Record not found' });
+    }
+    searchIndex.remove(collection, id);
+    logger.info({ collection, id }, 'Admin deleted record');
+    res.json({ success: true, message: 'Record deleted' });
+  } catch (err) {
+    logger.error({ err, collection, id }, 'Error deleting record');
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// --- Audit Trail (owner only) ---
+app.get('/api/audit', adminAuth, requireRole('owner'), async (req, res) => {
+  let query;
+  try {
+    query = parseListQuery('audit', req.query);
+  } catch (err) {
+    return res.status(400).json({ success: false, message: err.message });
+  }
+
+  try {
+    let entries = await store.list('audit');
+    if (req.query.recordId) {
+      entries = entries.filter(e => e.recordIds.includes(String(req.query.recordId)));
+    }
+    const result = applyListQuery(entries, query);
+    setAudit(res, 'audit.list');
+    res.json({ success: true, count: result.total, data: result.data, nextCursor: result.nextCursor });
+  } catch (err) {
+    logger.error({ err }, 'Error reading audit trail');
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Check the hash chain for tampering
+app.get('/api/audit/verify', adminAuth, requireRole('owner'), async (req, res) => {
+  try {
+    setAudit(res, 'audit.verify');
+    res.json({ success: true, ...(await auditLog.verify()) });
+  } catch (err) {
+    logger.error({ err }, 'Error verifying audit trail');
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// --- Data Subject Requests (owner only) ---
+function readSubjectEmail(value) {
+  return typeof value === 'string' && isValidEmail(value.trim()) ? sanitize(value, 254) : null;
+}
+
+// Everything held for an email address, as JSON
+app.get('/api/privacy/export', adminAuth, requireRole('owner'), async (req, res) => {
+  const email = readSubjectEmail(req.query.email);
+  if (!email) {
+    return res.status(400).json({ success: false, message: 'Valid email is required' });
+  }
+  try {
+    const data = await privacy.adminExport(email, req.admin.username);
+    setAudit(res, 'privacy.export', COLLECTIONS.flatMap(c => data.records[c].map(r => r.id)));
+    res.json({ success: true, data });
+  } catch (err) {
+    logger.error({ err }, 'Error exporting subject data');
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Delete or pseudonymize every record for an email address
+app.post('/api/privacy/erase', csrfProtection, adminAuth, requireRole('owner'), async (req, res) => {
+  const email = readSubjectEmail(req.body.email);
+  const mode = req.body.mode || 'delete';
+  if (!email) {
+    return res.status(400).json({ success: false, message: 'Valid email is required' });
+  }
+  if (!ERASE_MODES.includes(mode)) {
+    return res.status(400).json({ success: false, message: `Mode must be one of: ${ERASE_MODES.join(', ')}` });
+  }
+  try {
+    const affected = await privacy.adminErase(email, mode, req.admin.username);
+    setAudit(res, `privacy.${mode}`, COLLECTIONS.flatMap(c => affected[c]));
+    res.json({ success: true, mode, affected });
+  } catch (err) {
+    logger.error({ err }, 'Error erasing subject data');
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+app.get('/api/privacy/requests', adminAuth, requireRole('owner'), async (req, res) => {
+  try {
+    const requests = await privacy.listRequests();
+    setAudit(res, 'privacy.requests.list', requests.map(r => r.id));
+    res.json({ success: true, count: requests.length, data: requests });
+  } catch (err) {
+    logger.error({ err }, 'Error listing privacy requests');
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Carry out a verified self-service request
+app.post('/api/privacy/requests/:id/approve', csrfProtection, adminAuth, requireRole('owner'), async (req, res) => {
+  const mode = req.body.mode || 'delete';
+  if (!ERASE_MODES.includes(mode)) {
+    return res.status(400).json({ success: false, message: `Mode must be one of: ${ERASE_MODES.join(', ')}` });
+  }
+  setAudit(res, 'privacy.requests.approve', [req.params.id]);
+  try {
+    const request = await privacy.approveRequest(req.params.id, { admin: req.admin.username, mode });
+    if (!request) {
+      return res.status(409).json({ success: false, message: 'Request not found or not awaiting approval' });
+    }
+    res.json({ success: true, data: request });
+  } catch (err) {
+    logger.error({ err }, 'Error approving privacy request');
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+app.post('/api/privacy/requests/:id/reject', csrfProtection, adminAuth, requireRole('owner'), async (req, res) => {
+  setAudit(res, 'privacy.requests.reject', [req.params.id]);
+  try {
+    const request = await privacy.rejectRequest(req.params.id, {
+      admin: req.admin.username,
+      reason: sanitize(req.body.reason, 500)
+    });
+    if (!request) {
+      return res.status(409).json({ success: false, message: 'Request not found or already closed' });
+    }
+    res.json({ success: true, data: request });
+  } catch (err) {
+    logger.error({ err }, 'Error rejecting privacy request');
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// --- Duplicate Review (owner only) ---
+// Records sharing a normalized email that look like the same person
+app.get('/api/duplicates', adminAuth, requireRole('owner'), async (req, res) => {
+  try {
+    const groups = await duplicates.findGroups();
+    setAudit(res, 'duplicates.list', groups.flatMap(g => g.records.map(r => r.id)));
+    res.json({ success: true, count: groups.length, data: groups });
+  } catch (err) {
+    logger.error({ err }, 'Error finding duplicates');
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Merge one group: { key, primary: { collection, id } }. Duplicate leads are
+// folded into the oldest; every record takes the primary's name and email.
+app.post('/api/duplicates/merge', csrfProtection, adminAuth, requireRole('owner'), async (req, res) => {
+  const { key, primary } = req.body;
+  if (!key || typeof key !== 'string') {
+    return res.status(400).json({ success: false, message: 'Group key is required' });
+  }
+  if (!primary || !COLLECTIONS.includes(primary.collection) || !isValidId(primary.id)) {
+    return res.status(400).json({ success: false, message: 'Primary record must be { collection, id }' });
+  }
+
+  try {
+    const result = await duplicates.merge(key, { collection: primary.collection, id: primary.id });
+    if (!result) {
+      return res.status(404).json({ success: false, message: 'Duplicate group or primary record not found' });
+    }
+    const ids = [...result.removed.leads, ...Object.values(result.updated).flat()];
+    setAudit(res, 'duplicates.merge', ids);
+    logger.info({ admin: req.admin.username, removed: result.removed.leads.length, updated: ids.length - result.removed.leads.length }, 'Duplicates merged');
+    res.json({ success: true, data: result });
+  } catch (err) {
+    logger.error({ err }, 'Error merging duplicates');
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// --- Spam Quarantine (triagers and owners) ---
+// Submissions the spam filter held back, newest first
+app.get('/api/quarantine', adminAuth, requireRole('triager'), async (req, res) => {
+  try {
+    const entries = await quarantine.list();
+    setAudit(res, 'quarantine.list', entries.map(e => e.id));
+    res.json({ success: true, count: entries.length, data: entries });
+  } catch (err) {
+    logger.error({ err }, 'Error listing quarantine');
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Not spam after all: save it as if it had just passed the filter
+app.post('/api/quarantine/:id/release', csrfProtection, adminAuth, requireRole('triager'), checkRecordId, async (req, res) => {
+  try {
+    const entry = await quarantine.take(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ success: false, message: 'Quarantined submission not found' });
+    }
+    let record = entry.record;
+    if (entry.collection === 'leads') {
+      record = await acceptLead(record, entry.extra.ref);
+    } else {
+      await acceptSubmission(entry.collection, record);
+    }
+    setAudit(res, 'quarantine.release', [entry.id, record.id]);
+    logger.info({ admin: req.admin.username, quarantineId: entry.id, collection: entry.collection, id: record.id }, 'Submission released from quarantine');
+    res.json({ success: true, data: { collection: entry.collection, id: record.id } });
+  } catch (err) {
+    logger.error({ err }, 'Error releasing quarantined submission');
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+app.delete('/api/quarantine/:id', csrfProtection, adminAuth, requireRole('triager'), checkRecordId, async (req, res) => {
+  try {
+    const entry = await quarantine.take(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ success: false, message: 'Quarantined submission not found' });
+    }
+    setAudit(res, 'quarantine.discard', [entry.id]);
+    logger.info({ admin: req.admin.username, quarantineId: entry.id, collection: entry.collection }, 'Quarantined submission discarded');
+    res.json({ success: true });
+  } catch (err) {
+    logger.error({ err }, 'Error discarding quarantined submission');
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// --- Webhooks (owner only) ---
+function checkWebhookId(req, res, next) {
+  if (!isValidId(req.params.id)) {
+    return res.status(400).json({ success: false, message: 'Invalid id' });
+  }
+  next();
+}
+
+app.get('/api/webhooks', adminAuth, requireRole('owner'), async (req, res) => {
+  try {
+    const data = await webhooks.listSubscriptions();
+    setAudit(res, 'webhooks.list', data.map(s => s.id));
+    res.json({ success: true, events: WEBHOOK_EVENTS, count: data.length, data });
+  } catch (err) {
+    logger.error({ err }, 'Error listing webhooks');
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// The response carries the signing secret; it is not shown again
+app.post('/api/webhooks', csrfProtection, adminAuth, requireRole('owner'), async (req, res) => {
+  const { changes, errors } = validateSubscription(req.body, { requireHttps: IS_PRODUCTION, allowPrivate: WEBHOOK_ALLOW_PRIVATE });
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({ success: false, message: 'Validation failed', errors });
+  }
+  try {
+    const subscription = await webhooks.createSubscription(changes, req.admin.username);
+    setAudit(res, 'webhooks.create', [subscription.id]);
+    logger.info({ admin: req.admin.username, webhookId: subscription.id, events: subscription.events }, 'Webhook created');
+    res.status(201).json({ success: true, data: subscription });
+  } catch (err) {
+    logger.error({ err }, 'Error creating webhook');
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Delivery log, newest first (?webhookId=, ?status=pending|delivered|dead)
+app.get('/api/webhooks/deliveries', adminAuth, requireRole('owner'), async (req, res) => {
+  try {
+    const data = await webhooks.listDeliveries({
+      webhookId: req.query.webhookId ? String(req.query.webhookId) : undefined,
+      status: req.query.status ? String(req.query.status) : undefined
+    });
+    setAudit(res, 'webhooks.deliveries.list');
+    res.json({ success: true, count: data.length, data });
+  } catch (err) {
+    logger.error({ err }, 'Error listing webhook deliveries');
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+app.post('/api/webhooks/deliveries/:id/redeliver', csrfProtection, adminAuth, requireRole('owner'), checkWebhookId, async (req, res) => {
+  setAudit(res, 'webhooks.redeliver', [req.params.id]);
+  try {
+    const delivery = await webhooks.redeliver(req.params.id);
+    if (!delivery) {
+      return res.status(409).json({ success: false, message: 'Delivery not found or still pending' });
+    }
+    logger.info({ admin: req.admin.username, deliveryId: delivery.id }, 'Webhook redelivery queued');
+    res.json({ success: true, data: delivery });
+  } catch (err) {
+    logger.error({ err }, 'Error redelivering webhook');
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Change the URL, events or description, or pause with { active: false }
+app.patch('/api/webhooks/:id', csrfProtection, adminAuth, requireRole('owner'), checkWebhookId, async (req, res) => {
+  const { changes, errors } = validateSubscription(req.body, { partial: true, requireHttps: IS_PRODUCTION, allowPrivate: WEBHOOK_ALLOW_PRIVATE });
+  setAudit(res, 'webhooks.update', [req.params.id]);
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({ success: false, message: 'Validation failed', errors });
+  }
+  try {
+    const subscription = await webhooks.updateSubscription(req.params.id, changes);
+    if (!subscription) {
+      return res.status(404).json({ success: false, message: 'Webhook not found' });
+    }
+    logger.info({ admin: req.admin.username, webhookId: subscription.id, fields: Object.keys(changes) }, 'Webhook updated');
+    res.json({ success: true, data: subscription });
+  } catch (err) {
+    logger.error({ err }, 'Error updating webhook');
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+app.delete('/api/webhooks/:id', csrfProtection, adminAuth, requireRole('owner'), checkWebhookId, async (req, res) => {
+  setAudit(res, 'webhooks.delete', [req.params.id]);
+  try {
+    if (!await webhooks.removeSubscription(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Webhook not found' });
+    }
+    logger.info({ admin: req.admin.username, webhookId: req.params.id }, 'Webhook deleted');
+    res.json({ success: true });
+  } catch (err) {
+    logger.error({ err }, 'Error deleting webhook');
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// --- Data Retention (owner only) ---
+// Dry-run report of what the next purge would remove
+app.get('/api/retention', adminAuth, requireRole('owner'), async (req, res) => {
+  try {
+    const report = await retention.run({ dryRun: true });
+    setAudit(res, 'retention.preview');
+    res.json({ success: true, report });
+  } catch (err) {
+    logger.error({ err }, 'Error building retention report');
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Purge now instead of waiting for the schedule. Runs in this process so the
+// search index drops the purged records too.
+app.post('/api/retention/run', csrfProtection, adminAuth, requireRole('owner'), async (req, res) => {
+  try {
+    const report = await retention.run();
+    setAudit(res, 'retention.purge', Object.values(report.collections).flatMap(result => result.ids));
+    logger.info({ admin: req.admin.username }, 'Retention purge run by admin');
+    res.json({ success: true, report });
+  } catch (err) {
+    logger.error({ err }, 'Error running retention purge');
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Get analytics data
+app.get('/api/analytics', adminAuth, async (req, res) => {
+  setAudit(res, 'analytics.read');
+  let rollups;
+  try {
+    rollups = await analytics.getRollups();
+  } catch (err) {
+    logger.error({ err }, 'Error reading analytics');
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+  const dateKey = getDateKey();
+
+  // Calculate totals
+  let totalViews = 0;
+  let todayViews = 0;
+  const pageTotals = {};
+
+  if (rollups.pageViews) {
+    Object.entries(rollups.pageViews).forEach(([date, pages]) => {
+      Object.entries(pages).forEach(([page, count]) => {
+        totalViews += count;
+        if (date === dateKey) todayViews += count;
+        pageTotals[page] = (pageTotals[page] || 0) + count;
+      });
+    });
+  }
+
+  res.json({
+    success: true,
+    summary: {
+      totalViews,
+      todayViews,
+      topPages: Object.entries(pageTotals)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 10)
+        .map(([page, views]) => ({ page, views }))
+    },
+    daily: rollups.pageViews || {},
+    recentReferrers: (rollups.referrers || []).slice(0, 20)
+  });
+});
+
+// Track custom event (client-side tracking)
+app.post('/api/analytics/event', async (req, res) => {
+  const { event, data } = req.body;
+
+  if (!event) {
+    return res.status(400).json({ success: false, message: 'Event name required' });
+  }
+
+  try {
+    await analytics.recordEvent(event, data);
+    res.json({ success: true });
+  } catch (err) {
+    logger.error({ err, event }, 'Error tracking analytics event');
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ============================================
+// 404 Handler
+// ============================================
+app.use((req, res) => {
+  res.status(404).sendFile(path.join(__dirname, '404.html'));
+});
+
+// ============================================
+// CSRF Error Handler
+// ============================================
+app.use((err, req, res, next) => {
+  if (err.code === 'EBADCSRFTOKEN') {
+    logger.warn({ ip: req.ip, path: req.path }, 'Invalid CSRF token');
+    // `code` lets the page scripts tell an expired token apart from other
+    // 403s and retry with a fresh one
+    return res.status(403).json({ success: false, code: err.code, message: 'Invalid security token. Please refresh the page and try again.' });
+  }
+  next(err);
+});
+
+// ============================================
+// Error Handler
+// ============================================
+app.use((err, req, res, next) => {
+  logger.error({ err, path: req.path }, 'Unhandled error');
+  res.status(500).sendFile(path.join(__dirname, '500.html'));
 });
 
 // ============================================
 // Start Server
 // ============================================
-app.listen(PORT, () => {
+async function start() {
+  if (!CONFIRM_TOKEN_SECRET) {
+    throw new Error('CONFIRM_TOKEN_SECRET is required in production');
+  }
+  if (!process.env.CONFIRM_TOKEN_SECRET) {
+    logger.warn('CONFIRM_TOKEN_SECRET not set - lead confirmation links will not survive a restart');
+  }
+  if (!WEBHOOK_SECRET_KEY) {
+    throw new Error('WEBHOOK_SECRET_KEY is required in production');
+  }
+  if (!process.env.WEBHOOK_SECRET_KEY) {
+    logger.warn('WEBHOOK_SECRET_KEY not set - webhook signing secrets will not survive a restart');
+  }
+  await checkEncryptionKeys(store);
+  // Bring data up to the current schema before serving requests
+  await runMigrations({ store, dataDir: DATA_DIR, logger });
+  const sealed = await webhooks.sealStoredSecrets();
+  if (sealed > 0) logger.info({ sealed }, 'Sealed plaintext webhook secrets');
+  const indexed = await searchIndex.build(store);
+  logger.info({ records: indexed }, 'Search index built');
+  analytics.start();
+  retention.start();
+  outbox.start();
+  notifications.start();
+  webhooks.start();
+
+  app.listen(PORT, onListening);
+}
+
+function onListening() {
   logger.info({
     port: PORT,
     mode: IS_PRODUCTION ? 'production' : 'development',
+    storage: store.driver,
     security: ['helmet', 'rate-limiting', 'compression', 'csrf']
   }, 'Tsono server started');
 
@@ -578,19 +1770,42 @@ app.listen(PORT, () => {
 ║  API Endpoints:                               ║
 ║    GET  /health           - Health check      ║
 ║    GET  /api/csrf-token   - Get CSRF token    ║
+║    GET  /api/challenge    - Spam challenge    ║
+║    GET  /api/email/check  - Email hints       ║
 ║    POST /api/leads        - Lead signups      ║
+║    GET  /api/leads/confirm - Confirm signup   ║
+║    GET  /api/leads/position - Waitlist spot   ║
 ║    POST /api/contact      - Contact form      ║
 ║    POST /api/investors    - Investor inquiries║
 ║    POST /api/analytics/event - Track events   ║
+║    POST /api/privacy/requests - Privacy (DSR) ║
 ║                                               ║
-║  Admin Endpoints (requires ADMIN_KEY):        ║
+║  Admin Endpoints (requires admin login):      ║
 ║    GET /api/leads      - View leads           ║
 ║    GET /api/contacts   - View contacts        ║
 ║    GET /api/investors  - View investors       ║
 ║    GET /api/all        - View all data        ║
+║    GET /api/summary    - Dashboard counts     ║
+║    GET /api/search?q=  - Search submissions   ║
+║    GET /api/referrals  - Referral leaderboard ║
 ║    GET /api/analytics  - View analytics       ║
 ║    GET /api/export/:type - Export as CSV      ║
+║    GET|PATCH|DELETE /api/:collection/:id      ║
+║    POST /api/admin/login - Admin session      ║
+║    GET /api/audit      - Audit trail (owner)  ║
+║    GET /api/admin/lockouts - Login lockouts   ║
+║    /api/privacy/*      - Export/erase (owner) ║
+║    GET /api/retention  - Purge dry run (owner)║
+║    /api/webhooks       - Webhooks (owner)     ║
+║    /api/duplicates     - Review/merge (owner) ║
+║    /api/quarantine     - Held spam (triager)  ║
+║    /api/admin/users    - Manage admins (owner)║
 ╚═══════════════════════════════════════════════╝
     `);
   }
+}
+
+start().catch(err => {
+  logger.error({ err }, 'Failed to start server');
+  process.exit(1);
 });
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { createAuditLog } = require('../lib/audit');
+const { tempStore, fakeClock, silentLogger } = require('./helpers');
+
+function setup(t) {
+  const { store, cleanup } = tempStore();
+  t.after(cleanup);
+  return { store, auditLog: createAuditLog({ store, logger: silentLogger, now: fakeClock() }) };
+}
+
+// Just enough of an Express request/response pair for trackRequest
+function adminRequest(method, path, audit) {
+  const req = { method, path, originalUrl: path, ip: '203.0.113.7', admin: { id: 'admin-1', username: 'ana', role: 'viewer' } };
+  const res = Object.assign(new EventEmitter(), { statusCode: 200, locals: audit === undefined ? {} : { audit } });
+  return { req, res };
+}
+
+// trackRequest writes in the background; wait for the trail to reach `count`
+async function waitForEntries(store, count) {
+  for (let i = 0; i < 100; i++) {
+    const entries = await store.list('audit');
+    if (entries.length >= count) return entries;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return store.list('audit');
+}
+
+test('entries are chained and the chain verifies', async t => {
+  const { auditLog } = setup(t);
+  const first = await auditLog.record({ actor: 'ana', action: 'leads.read', recordIds: ['lead-1'] });
+  const second = await auditLog.record({ actor: 'ana', action: 'leads.update', recordIds: ['lead-1'] });
+
+  assert.equal(first.seq, 1);
+  assert.equal(second.seq, 2);
+  assert.equal(second.prevHash, first.hash);
+  assert.deepEqual(await auditLog.verify(), { valid: true, entries: 2 });
+});
+
+test('editing or deleting a past entry breaks the chain', async t => {
+  const { store, auditLog } = setup(t);
+  const first = await auditLog.record({ actor: 'ana', action: 'leads.read' });
+  const second = await auditLog.record({ actor: 'ana', action: 'leads.export' });
+  await auditLog.record({ actor: 'ana', action: 'leads.delete' });
+
+  await store.update('audit', second.id, { actor: 'someone-else' });
+  assert.deepEqual(await auditLog.verify(), { valid: false, entries: 3, brokenAt: 2, id: second.id });
+
+  await store.update('audit', second.id, { actor: 'ana' });
+  await store.remove('audit', first.id);
+  const result = await auditLog.verify();
+  assert.equal(result.valid, false);
+  assert.equal(result.brokenAt, 2);
+});
+
+test('admin reads are recorded with the records they showed', async t => {
+  const { store, auditLog } = setup(t);
+  const { req, res } = adminRequest('GET', '/api/leads/lead-1', { action: 'leads.read', recordIds: ['lead-1'] });
+
+  auditLog.trackRequest(req, res);
+  res.emit('finish');
+  const [entry] = await waitForEntries(store, 1);
+
+  assert.equal(entry.actor, 'ana');
+  assert.equal(entry.action, 'leads.read');
+  assert.equal(entry.method, 'GET');
+  assert.equal(entry.status, 200);
+  assert.deepEqual(entry.recordIds, ['lead-1']);
+  // "Who looked at this lead?"
+  const viewers = (await store.list('audit')).filter(e => e.recordIds.includes('lead-1')).map(e => e.actor);
+  assert.deepEqual(viewers, ['ana']);
+});
+
+test('requests without a description are recorded by method and path', async t => {
+  const { store, auditLog } = setup(t);
+  const { req, res } = adminRequest('GET', '/api/analytics');
+
+  auditLog.trackRequest(req, res);
+  res.emit('finish');
+  const [entry] = await waitForEntries(store, 1);
+
+  assert.equal(entry.action, 'GET /api/analytics');
+  assert.deepEqual(entry.recordIds, []);
+});
+
+test('polling endpoints that opt out are not recorded', async t => {
+  const { store, auditLog } = setup(t);
+  const polled = adminRequest('GET', '/api/summary', false);
+  const read = adminRequest('GET', '/api/contacts', { action: 'contacts.list', recordIds: ['contact-1'] });
+
+  auditLog.trackRequest(polled.req, polled.res);
+  auditLog.trackRequest(read.req, read.res);
+  polled.res.emit('finish');
+  read.res.emit('finish');
+  const entries = await waitForEntries(store, 1);
+
+  assert.deepEqual(entries.map(e => e.action), ['contacts.list']);
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createAccounts, hasRole, publicUser, validateUsername, validatePassword } = require('../lib/auth');
+const { tempStore, fakeClock } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+const PASSWORD = 'correct horse battery';
+
+function setup(t) {
+  const { store, cleanup } = tempStore();
+  t.after(cleanup);
+  const now = fakeClock();
+  return { store, now, accounts: createAccounts({ store, sessionTtlMs: HOUR, now }) };
+}
+
+test('passwords are stored hashed and checked on login', async t => {
+  const { store, accounts } = setup(t);
+  const user = await accounts.create({ username: 'Ana', password: PASSWORD, role: 'owner' });
+
+  const [stored] = await store.list('admins');
+  assert.equal(stored.username, 'ana');
+  assert.match(stored.passwordHash, /^scrypt\$[0-9a-f]+\$[0-9a-f]+$/);
+  assert.ok(!JSON.stringify(stored).includes(PASSWORD));
+
+  assert.equal((await accounts.authenticate('ANA', PASSWORD)).id, user.id);
+  assert.equal(await accounts.authenticate('ana', 'wrong password!'), null);
+  assert.equal(await accounts.authenticate('nobody', PASSWORD), null);
+
+  await accounts.update(user.id, { disabled: true });
+  assert.equal(await accounts.authenticate('ana', PASSWORD), null);
+});
+
+test('sessions resolve by token, expire and can be revoked', async t => {
+  const { store, now, accounts } = setup(t);
+  const user = await accounts.create({ username: 'ana', password: PASSWORD, role: 'owner' });
+  const token = await accounts.createSession(user, { ip: '127.0.0.1' });
+
+  const [session] = await store.list('sessions');
+  assert.notEqual(session.id, token);
+  assert.equal((await accounts.resolveSession(token)).user.id, user.id);
+  assert.equal(await accounts.resolveSession('made-up-token'), null);
+
+  now.advance(HOUR);
+  assert.equal(await accounts.resolveSession(token), null);
+  // Expired sessions are dropped the next time one is created
+  const second = await accounts.createSession(user);
+  assert.equal((await store.list('sessions')).length, 1);
+
+  const third = await accounts.createSession(user);
+  await accounts.destroySession(second);
+  assert.equal(await accounts.resolveSession(second), null);
+  await accounts.revokeSessions(user.id);
+  assert.equal(await accounts.resolveSession(third), null);
+});
+
+test('disabling an account ends its sessions', async t => {
+  const { accounts } = setup(t);
+  const user = await accounts.create({ username: 'ana', password: PASSWORD, role: 'triager' });
+  const token = await accounts.createSession(user);
+
+  await accounts.update(user.id, { disabled: true });
+  assert.equal(await accounts.resolveSession(token), null);
+});
+
+test('roles are ordered viewer < triager < owner', () => {
+  assert.equal(hasRole({ role: 'owner' }, 'triager'), true);
+  assert.equal(hasRole({ role: 'triager' }, 'triager'), true);
+  assert.equal(hasRole({ role: 'viewer' }, 'triager'), false);
+  assert.equal(hasRole(null, 'viewer'), false);
+});
+
+test('public users carry no secrets', () => {
+  const user = publicUser({ id: '1', username: 'ana', passwordHash: 'scrypt$a$b', totpSecret: 'S', totpPending: null, totpLastCounter: 3, recoveryCodes: ['x', 'y'] });
+  assert.deepEqual(user, { id: '1', username: 'ana', twoFactorEnabled: true, recoveryCodesLeft: 2 });
+});
+
+test('usernames and passwords are validated', () => {
+  assert.equal(validateUsername('ana.b-c_1'), true);
+  assert.equal(validateUsername('an'), false);
+  assert.equal(validateUsername('Ana'), false);
+  assert.equal(validatePassword('short'), false);
+  assert.equal(validatePassword(PASSWORD), true);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createDuplicates } = require('../lib/duplicates');
+const { createSearchIndex } = require('../lib/search');
+const { tempStore, fakeClock } = require('./helpers');
+
+async function setup(t) {
+  const { store, cleanup } = tempStore();
+  t.after(cleanup);
+  await store.insert('leads', { id: 'l1', name: 'Ada', email: 'ada.l@gmail.com', interest: 'runner', status: 'pending', signupCount: 1, referralCode: 'AAA111', referredBy: 'l9', timestamp: '2026-01-01T00:00:00.000Z' });
+  await store.insert('leads', { id: 'l2', name: 'Ada Lovelace', email: 'AdaL+tsono@googlemail.com', interest: 'cyclist', status: 'confirmed', confirmedAt: '2026-01-03T00:00:00.000Z', signupCount: 2, referralCode: 'BBB222', timestamp: '2026-01-02T00:00:00.000Z' });
+  await store.insert('leads', { id: 'l3', name: 'Bo', email: 'bo@example.com', referredBy: 'l2', timestamp: '2026-01-04T00:00:00.000Z' });
+  await store.insert('leads', { id: 'l9', name: 'Cy', email: 'cy@example.com', timestamp: '2025-12-01T00:00:00.000Z' });
+  await store.insert('contacts', { id: 'c1', name: 'ada', email: 'adal@gmail.com', message: 'Hi', timestamp: '2026-01-05T00:00:00.000Z' });
+  // Several messages from the same person are normal
+  await store.insert('contacts', { id: 'c2', name: 'Bo', email: 'bo@example.com', message: 'One', timestamp: '2026-01-05T00:00:00.000Z' });
+  await store.insert('contacts', { id: 'c3', name: 'Bo', email: 'bo@example.com', message: 'Two', timestamp: '2026-01-06T00:00:00.000Z' });
+  // Erased people stay out of review
+  await store.insert('leads', { id: 'l7', name: 'Erased', email: 'x@invalid', timestamp: '2026-01-01T00:00:00.000Z' });
+  await store.insert('leads', { id: 'l8', name: 'Erased', email: 'x@invalid', timestamp: '2026-01-02T00:00:00.000Z' });
+
+  const searchIndex = createSearchIndex();
+  await searchIndex.build(store);
+  return { store, searchIndex, duplicates: createDuplicates({ store, searchIndex, now: fakeClock(Date.UTC(2026, 1, 1)) }) };
+}
+
+test('records are grouped by normalized email', async t => {
+  const { duplicates } = await setup(t);
+  const groups = await duplicates.findGroups();
+
+  assert.deepEqual(groups.map(g => g.key), ['adal@gmail.com']);
+  assert.deepEqual(groups[0].records.map(r => `${r.collection}:${r.id}`), ['leads:l1', 'leads:l2', 'contacts:c1']);
+});
+
+test('merging folds leads into the oldest and renames the rest', async t => {
+  const { store, searchIndex, duplicates } = await setup(t);
+  const result = await duplicates.merge('ADAL@gmail.com', { collection: 'leads', id: 'l2' });
+
+  assert.deepEqual(result.identity, { name: 'Ada Lovelace', email: 'AdaL+tsono@googlemail.com' });
+  assert.deepEqual(result.removed.leads, ['l2']);
+  assert.deepEqual(result.updated, { leads: ['l1'], contacts: ['c1'], investors: [] });
+
+  const kept = await store.get('leads', 'l1');
+  assert.equal(kept.name, 'Ada Lovelace');
+  assert.equal(kept.referralCode, 'AAA111');
+  assert.equal(kept.referredBy, 'l9');
+  assert.equal(kept.status, 'confirmed');
+  assert.equal(kept.confirmedAt, '2026-01-03T00:00:00.000Z');
+  assert.equal(kept.signupCount, 3);
+  assert.equal(kept.interest, 'cyclist');
+  assert.deepEqual(kept.interestHistory.map(h => h.interest), ['runner', 'cyclist']);
+  assert.deepEqual(kept.mergedFrom, ['l2']);
+  assert.equal(kept.mergedAt, '2026-02-01T00:00:00.000Z');
+
+  assert.equal(await store.get('leads', 'l2'), null);
+  assert.equal((await store.get('leads', 'l3')).referredBy, 'l1');
+  assert.equal((await store.get('contacts', 'c1')).name, 'Ada Lovelace');
+  assert.deepEqual(searchIndex.search('lovelace').results.leads.map(l => l.id), ['l1']);
+  assert.deepEqual(await duplicates.findGroups(), []);
+});
+
+test('merging an unknown group or record does nothing', async t => {
+  const { store, duplicates } = await setup(t);
+  assert.equal(await duplicates.merge('nobody@example.com', { collection: 'leads', id: 'l1' }), null);
+  assert.equal(await duplicates.merge('adal@gmail.com', { collection: 'leads', id: 'l3' }), null);
+  assert.equal((await store.list('leads')).length, 6);
+});
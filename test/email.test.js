@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const dns = require('dns');
+const { createEmailChecker, suggestDomain, parseDomainList } = require('../lib/email');
+const { fakeClock, silentLogger } = require('./helpers');
+
+function dnsError(code) {
+  return Object.assign(new Error(`queryMx ${code}`), { code });
+}
+
+// Resolver answering from a table: { domain: { mx, a, aaaa } }, where each
+// entry is a list of records or a DNS error code. Unknown domains are
+// NXDOMAIN. Counts lookups so caching can be checked.
+function fakeResolver(zones) {
+  const calls = [];
+  const lookup = type => async domain => {
+    calls.push(`${type} ${domain}`);
+    const zone = zones[domain];
+    if (!zone) throw dnsError(dns.NOTFOUND);
+    const answer = zone[type] === undefined ? dns.NODATA : zone[type];
+    if (typeof answer === 'string') throw dnsError(answer);
+    return answer;
+  };
+  return { calls, resolveMx: lookup('mx'), resolve4: lookup('a'), resolve6: lookup('aaaa') };
+}
+
+function checker(zones, options = {}) {
+  const resolver = fakeResolver(zones);
+  return {
+    resolver,
+    emails: createEmailChecker({ resolver, disposableDomains: new Set(['mailinator.com']), logger: silentLogger, ...options })
+  };
+}
+
+const MX = [{ exchange: 'mx.example.org', priority: 10 }];
+
+test('likely typos get a suggestion before any DNS lookup', async () => {
+  const { resolver, emails } = checker({});
+  const result = await emails.check('Rider.One@gmial.con');
+  assert.deepEqual(result, {
+    valid: false,
+    reason: 'typo',
+    message: 'Did you mean Rider.One@gmail.com?',
+    suggestion: 'Rider.One@gmail.com'
+  });
+  assert.deepEqual(resolver.calls, []);
+});
+
+test('allowTypo keeps the address as typed', async () => {
+  const { emails } = checker({ 'gmial.com': { mx: MX } });
+  assert.deepEqual(await emails.check('rider@gmial.com', { allowTypo: true }), { valid: true });
+});
+
+test('suggestDomain leaves real and short domains alone', () => {
+  assert.equal(suggestDomain('gmail.com'), null);
+  assert.equal(suggestDomain('gm.com'), null);
+  assert.equal(suggestDomain('hotmial.com'), 'hotmail.com');
+  assert.equal(suggestDomain('example.cmo'), 'example.com');
+});
+
+test('disposable domains and their subdomains are refused', async () => {
+  const { emails } = checker({ 'mailinator.com': { mx: MX } });
+  for (const email of ['a@mailinator.com', 'a@inbox.mailinator.com']) {
+    const result = await emails.check(email);
+    assert.equal(result.valid, false);
+    assert.equal(result.reason, 'disposable');
+  }
+});
+
+test('parseDomainList ignores comments, blanks and case', () => {
+  assert.deepEqual(parseDomainList('# list\nMailinator.com\n\n  trash.example  # note\nmailinator.com\n'), ['mailinator.com', 'trash.example']);
+});
+
+test('a domain with MX records accepts mail', async () => {
+  const { emails } = checker({ 'example.org': { mx: MX } });
+  assert.deepEqual(await emails.check('rider@example.org'), { valid: true });
+});
+
+test('a domain without MX falls back to its A or AAAA record', async () => {
+  const { resolver, emails } = checker({
+    'ipv4.example': { a: ['192.0.2.10'] },
+    'ipv6.example': { aaaa: ['2001:db8::10'] }
+  });
+  assert.deepEqual(await emails.check('rider@ipv4.example'), { valid: true });
+  assert.deepEqual(await emails.check('rider@ipv6.example'), { valid: true });
+  assert.ok(resolver.calls.includes('a ipv4.example'));
+});
+
+test('a domain with neither MX nor address records is undeliverable', async () => {
+  const { emails } = checker({ 'parked.example': {} });
+  const result = await emails.check('rider@parked.example');
+  assert.equal(result.valid, false);
+  assert.equal(result.reason, 'undeliverable');
+});
+
+test('a null MX or a missing domain is undeliverable', async () => {
+  const { emails } = checker({ 'nomail.example': { mx: [{ exchange: '.', priority: 0 }], a: ['192.0.2.10'] } });
+  assert.equal((await emails.check('rider@nomail.example')).reason, 'undeliverable');
+  assert.equal((await emails.check('rider@missing.example')).reason, 'undeliverable');
+});
+
+test('other DNS failures let the address through', async () => {
+  const { emails } = checker({ 'flaky.example': { mx: dns.TIMEOUT } });
+  assert.deepEqual(await emails.check('rider@flaky.example'), { valid: true });
+});
+
+test('MX answers are cached', async () => {
+  const { resolver, emails } = checker({ 'example.org': { mx: MX } });
+  await emails.check('one@example.org');
+  await emails.check('two@example.org');
+  assert.equal(resolver.calls.filter(call => call === 'mx example.org').length, 1);
+});
+
+test('the MX cache keeps only the most recently used domains', async () => {
+  const zones = { 'a.example': { mx: MX }, 'b.example': { mx: MX }, 'c.example': { mx: MX } };
+  const { resolver, emails } = checker(zones, { cacheSize: 2 });
+  const lookups = domain => resolver.calls.filter(call => call === `mx ${domain}`).length;
+
+  await emails.check('rider@a.example');
+  await emails.check('rider@b.example');
+  await emails.check('rider@a.example');
+  await emails.check('rider@c.example');
+  await emails.check('rider@a.example');
+  await emails.check('rider@b.example');
+
+  // b was least recently used when c arrived, so only b was looked up again
+  assert.equal(lookups('a.example'), 1);
+  assert.equal(lookups('b.example'), 2);
+  assert.equal(lookups('c.example'), 1);
+});
+
+test('expired MX answers are looked up again', async () => {
+  const now = fakeClock();
+  const { resolver, emails } = checker({ 'example.org': { mx: MX } }, { now });
+  await emails.check('one@example.org');
+  now.advance(60 * 60 * 1000);
+  await emails.check('two@example.org');
+  assert.equal(resolver.calls.filter(call => call === 'mx example.org').length, 2);
+});
+
+test('checkMx: false skips DNS entirely', async () => {
+  const { resolver, emails } = checker({}, { checkMx: false });
+  assert.deepEqual(await emails.check('rider@unknown.example'), { valid: true });
+  assert.deepEqual(resolver.calls, []);
+});
+
+test('malformed addresses are invalid', async () => {
+  const { emails } = checker({});
+  assert.equal((await emails.check('not-an-email')).reason, 'invalid');
+  assert.equal((await emails.check('a@b')).reason, 'invalid');
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore, checkEncryptionKeys } = require('../lib/storage');
+const { parseKeyring, generateKey } = require('../lib/storage/encryption');
+
+function dataDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tsono-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function readAtRest(dir, collection) {
+  return JSON.parse(fs.readFileSync(path.join(dir, `${collection}.json`), 'utf8'));
+}
+
+const LEAD = { id: 'lead-1', name: 'Ada Lovelace', email: 'ada@example.com', interest: 'signals' };
+
+test('PII fields are encrypted at rest and read back as plaintext', async t => {
+  const dir = dataDir(t);
+  const store = createStore({ dataDir: dir, driver: 'json', keyring: parseKeyring(generateKey('k1')) });
+  await store.insert('leads', LEAD);
+
+  const [stored] = readAtRest(dir, 'leads');
+  assert.match(stored.name, /^enc:1:k1:/);
+  assert.match(stored.email, /^enc:1:k1:/);
+  assert.equal(stored.interest, 'signals');
+  assert.deepEqual(await store.get('leads', 'lead-1'), LEAD);
+  assert.deepEqual(await store.update('leads', 'lead-1', { name: 'Ada' }), { ...LEAD, name: 'Ada' });
+});
+
+test('a value moved to another field no longer decrypts', async t => {
+  const dir = dataDir(t);
+  const store = createStore({ dataDir: dir, driver: 'json', keyring: parseKeyring(generateKey('k1')) });
+  await store.insert('leads', LEAD);
+
+  const [stored] = readAtRest(dir, 'leads');
+  fs.writeFileSync(path.join(dir, 'leads.json'), JSON.stringify([{ ...stored, name: stored.email }]));
+  await assert.rejects(store.get('leads', 'lead-1'));
+});
+
+test('rotation re-encrypts plaintext and old-key values under the current key', async t => {
+  const dir = dataDir(t);
+  const oldKey = generateKey('old');
+  const plain = createStore({ dataDir: dir, driver: 'json', keyring: null });
+  await plain.insert('leads', LEAD);
+  const before = createStore({ dataDir: dir, driver: 'json', keyring: parseKeyring(oldKey) });
+  await before.insert('leads', { ...LEAD, id: 'lead-2' });
+
+  const store = createStore({ dataDir: dir, driver: 'json', keyring: parseKeyring(`${generateKey('new')},${oldKey}`) });
+  assert.deepEqual(await store.get('leads', 'lead-2'), { ...LEAD, id: 'lead-2' });
+  const counts = await store.reencryptAll();
+
+  assert.equal(counts.leads, 2);
+  assert.ok(readAtRest(dir, 'leads').every(r => r.email.startsWith('enc:1:new:')));
+  assert.deepEqual(await store.list('leads'), [LEAD, { ...LEAD, id: 'lead-2' }]);
+});
+
+test('the server refuses to start on encrypted data without keys', async t => {
+  const dir = dataDir(t);
+  const store = createStore({ dataDir: dir, driver: 'json', keyring: parseKeyring(generateKey('k1')) });
+  await store.insert('leads', LEAD);
+
+  await assert.rejects(checkEncryptionKeys(createStore({ dataDir: dir, driver: 'json', keyring: null })), /leads holds encrypted data/);
+  await checkEncryptionKeys(store);
+});
+
+test('malformed keyrings are refused', () => {
+  assert.throws(() => parseKeyring('k1:c2hvcnQ='), /must be 32 bytes/);
+  assert.throws(() => parseKeyring(`bad id:${generateKey('x').split(':')[1]}`), /<keyId>:<base64 key>/);
+  const key = generateKey('k1');
+  assert.throws(() => parseKeyring(`${key}\n${key}`), /listed twice/);
+  assert.throws(() => parseKeyring('# only a comment'), /No encryption keys/);
+});
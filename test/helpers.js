@@ -0,0 +1,31 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore } = require('../lib/storage');
+
+// JSON store in a throwaway directory (`dir`), unencrypted whatever the
+// environment says. Call cleanup() when the test is done.
+function tempStore() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tsono-test-'));
+  const store = createStore({ dataDir: dir, driver: 'json', keyring: null });
+  return {
+    store,
+    dir,
+    cleanup: () => fs.rmSync(dir, { recursive: true, force: true })
+  };
+}
+
+// Clock that only moves when told to
+function fakeClock(start = Date.UTC(2026, 0, 1)) {
+  let time = start;
+  const now = () => time;
+  now.advance = ms => {
+    time += ms;
+  };
+  return now;
+}
+
+// Logger for code under test that would otherwise print to the test output
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+module.exports = { tempStore, fakeClock, silentLogger };
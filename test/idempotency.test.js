@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { createIdempotency } = require('../lib/idempotency');
+const { tempStore, fakeClock, silentLogger } = require('./helpers');
+
+const KEY = '3f1c9a52-7d0e-4b8e-9c11-5a2b6e4f7d10';
+const DAY = 24 * 60 * 60 * 1000;
+
+// A form endpoint behind the middleware that counts what it saves
+async function setup(t) {
+  const { store, cleanup } = tempStore();
+  const now = fakeClock();
+  const idempotency = createIdempotency({ store, logger: silentLogger, ignoreFields: ['nonce'], now });
+  const saved = [];
+
+  const app = express();
+  app.use(express.json());
+  app.post('/api/contact', idempotency.middleware, async (req, res) => {
+    if (!req.body.name) return res.status(400).json({ success: false, message: 'Name is required' });
+    // Slow enough for a concurrent repeat to arrive first
+    await new Promise(resolve => setTimeout(resolve, 20));
+    saved.push(req.body);
+    res.status(201).json({ success: true, id: saved.length });
+  });
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  t.after(() => {
+    server.close();
+    cleanup();
+  });
+
+  const post = (body, key = KEY) => fetch(`http://127.0.0.1:${server.address().port}/api/contact`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(key === null ? {} : { 'Idempotency-Key': key }) },
+    body: JSON.stringify(body)
+  });
+  return { post, saved, now };
+}
+
+test('a repeated request gets the first response without saving again', async t => {
+  const { post, saved } = await setup(t);
+  const first = await post({ name: 'Ada', nonce: '1' });
+  // A replay renews its proof of work; ignored fields don't count
+  const repeat = await post({ name: 'Ada', nonce: '2' });
+
+  assert.equal(first.status, 201);
+  assert.equal(repeat.status, 201);
+  assert.equal(repeat.headers.get('idempotent-replayed'), 'true');
+  assert.deepEqual(await repeat.json(), { success: true, id: 1 });
+  assert.equal(saved.length, 1);
+});
+
+test('concurrent repeats wait for the first instead of racing it', async t => {
+  const { post, saved } = await setup(t);
+  const responses = await Promise.all([post({ name: 'Ada' }), post({ name: 'Ada' }), post({ name: 'Ada' })]);
+
+  assert.deepEqual(responses.map(r => r.status), [201, 201, 201]);
+  assert.equal(saved.length, 1);
+});
+
+test('a key reused for a different request is refused', async t => {
+  const { post, saved } = await setup(t);
+  await post({ name: 'Ada' });
+  const other = await post({ name: 'Bo' });
+
+  assert.equal(other.status, 422);
+  assert.equal((await other.json()).success, false);
+  assert.equal(saved.length, 1);
+});
+
+test('failed responses are not kept, so a corrected form can reuse the key', async t => {
+  const { post, saved } = await setup(t);
+  assert.equal((await post({})).status, 400);
+  assert.equal((await post({ name: 'Ada' })).status, 201);
+  assert.equal(saved.length, 1);
+});
+
+test('keys expire, and requests without one are handled as usual', async t => {
+  const { post, saved, now } = await setup(t);
+  await post({ name: 'Ada' });
+  now.advance(DAY + 1);
+  const later = await post({ name: 'Ada' });
+  assert.equal(later.headers.get('idempotent-replayed'), null);
+
+  await post({ name: 'Ada' }, null);
+  await post({ name: 'Ada' }, null);
+  assert.equal(saved.length, 4);
+});
+
+test('malformed keys are refused', async t => {
+  const { post, saved } = await setup(t);
+  const response = await post({ name: 'Ada' }, 'short');
+
+  assert.equal(response.status, 400);
+  assert.deepEqual(await response.json(), { success: false, message: 'Invalid Idempotency-Key header' });
+  assert.equal(saved.length, 0);
+});
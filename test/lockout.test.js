@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createLockout } = require('../lib/lockout');
+const { fakeClock } = require('./helpers');
+
+const MINUTE = 60 * 1000;
+
+// Logger that keeps what was logged at each level
+function recordingLogger() {
+  const logged = { warn: [], error: [] };
+  return { logged, debug() {}, info() {}, warn: (...args) => logged.warn.push(args), error: (...args) => logged.error.push(args) };
+}
+
+function setup(options = {}) {
+  const now = fakeClock();
+  const logger = recordingLogger();
+  const lockout = createLockout({ threshold: 3, baseMs: MINUTE, maxMs: 4 * MINUTE, logger, now, ...options });
+  return { lockout, logger, now };
+}
+
+test('locks after the threshold and doubles up to the maximum', () => {
+  const { lockout, now } = setup();
+  assert.deepEqual(lockout.recordFailure('1.1.1.1', 'ana'), { locked: false });
+  lockout.recordFailure('1.1.1.1', 'ana');
+
+  assert.equal(lockout.recordFailure('1.1.1.1', 'ana').retryAfterMs, MINUTE);
+  assert.equal(lockout.recordFailure('1.1.1.1', 'ana').retryAfterMs, 2 * MINUTE);
+  assert.equal(lockout.recordFailure('1.1.1.1', 'ana').retryAfterMs, 4 * MINUTE);
+  assert.equal(lockout.recordFailure('1.1.1.1', 'ana').retryAfterMs, 4 * MINUTE);
+
+  now.advance(4 * MINUTE);
+  assert.deepEqual(lockout.check('1.1.1.1', 'ana'), { locked: false });
+});
+
+test('accounts are locked whichever address the guesses come from', () => {
+  const { lockout } = setup();
+  ['1.1.1.1', '2.2.2.2', '3.3.3.3'].forEach(ip => lockout.recordFailure(ip, ' Ana '));
+
+  assert.deepEqual(lockout.check('4.4.4.4', 'ANA'), { locked: true, scope: 'account', retryAfterMs: MINUTE });
+  assert.deepEqual(lockout.check('4.4.4.4', 'bo'), { locked: false });
+});
+
+test('addresses are locked whichever accounts they guess', () => {
+  const { lockout } = setup();
+  ['ana', 'bo', 'cy'].forEach(username => lockout.recordFailure('1.1.1.1', username));
+
+  assert.deepEqual(lockout.check('1.1.1.1', 'di'), { locked: true, scope: 'ip', retryAfterMs: MINUTE });
+});
+
+test('a successful login and an owner clear both reset the count', () => {
+  const { lockout } = setup();
+  lockout.recordFailure('1.1.1.1', 'ana');
+  lockout.recordFailure('1.1.1.1', 'ana');
+  lockout.recordSuccess('1.1.1.1', 'ana');
+  assert.deepEqual(lockout.recordFailure('1.1.1.1', 'ana'), { locked: false });
+
+  lockout.recordFailure('1.1.1.1', 'ana');
+  lockout.recordFailure('1.1.1.1', 'ana');
+  assert.equal(lockout.clear({ ip: '1.1.1.1', username: 'Ana' }), true);
+  assert.deepEqual(lockout.check('1.1.1.1', 'ana'), { locked: false });
+  assert.equal(lockout.clear({ ip: '1.1.1.1' }), false);
+});
+
+test('idle failures are forgotten after the reset window', () => {
+  const { lockout, now } = setup({ resetMs: 10 * MINUTE });
+  lockout.recordFailure('1.1.1.1', 'ana');
+  lockout.recordFailure('1.1.1.1', 'ana');
+
+  now.advance(11 * MINUTE);
+  assert.deepEqual(lockout.status().ips, []);
+  assert.deepEqual(lockout.recordFailure('1.1.1.1', 'ana'), { locked: false });
+});
+
+test('failures across all keys raise one alert per burst', () => {
+  const { lockout, logger, now } = setup({ alertThreshold: 3, alertWindowMs: MINUTE });
+  ['1.1.1.1', '2.2.2.2', '3.3.3.3', '4.4.4.4'].forEach(ip => lockout.recordFailure(ip, 'ana'));
+
+  assert.equal(logger.logged.error.length, 1);
+  assert.equal(lockout.status().alert, true);
+
+  now.advance(2 * MINUTE);
+  assert.equal(lockout.status().alert, false);
+  ['1.1.1.1', '2.2.2.2', '3.3.3.3'].forEach(ip => lockout.recordFailure(ip, 'bo'));
+  assert.equal(logger.logged.error.length, 2);
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMailer } = require('../lib/mailer');
+
+// Logger that keeps what each level was given
+function recordingLogger() {
+  const lines = { debug: [], info: [], warn: [], error: [] };
+  const logger = {};
+  Object.keys(lines).forEach(level => {
+    logger[level] = (fields, message) => lines[level].push({ fields, message });
+  });
+  return { lines, logger };
+}
+
+test('the console transport masks recipients and keeps bodies at debug level', async () => {
+  const { lines, logger } = recordingLogger();
+  const mailer = createMailer({ transport: 'console', logger, maskEmail: email => `masked(${email})` });
+
+  await mailer.send({ to: 'ana@example.com, team@tsono.app', subject: 'Confirm your Tsono signup', text: 'Open https://tsono.app/confirm?token=secret' });
+
+  assert.equal(lines.info.length, 1);
+  assert.deepEqual(lines.info[0].fields, { to: 'masked(ana@example.com), masked(team@tsono.app)', subject: 'Confirm your Tsono signup' });
+  assert.ok(!JSON.stringify(lines.info).includes('token=secret'));
+  assert.match(lines.debug[0].fields.text, /token=secret/);
+  assert.equal(lines.debug[0].fields.to, lines.info[0].fields.to);
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const fs = require('fs');
+const path = require('path');
+const assert = require('node:assert/strict');
+const { runMigrations, SCHEMA_VERSIONS } = require('../lib/migrations');
+const { deriveReferralCodes } = require('../lib/referrals');
+const { tempStore, silentLogger } = require('./helpers');
+
+function setup(t) {
+  const { store, dir, cleanup } = tempStore();
+  t.after(cleanup);
+  return { store, dir, migrate: (options = {}) => runMigrations({ store, dataDir: dir, logger: silentLogger, ...options }) };
+}
+
+test('escaped assignee and notes from before v3 are unescaped', async t => {
+  const { store, migrate } = setup(t);
+  await store.updateDocument('schema', doc => {
+    doc.contacts = 2;
+  });
+  await store.insert('contacts', {
+    id: 'contact-1', name: 'Ada', status: 'new', assignee: 'O&#x27;Brien', notes: 'Rider&#x27;s note &amp; more', message: 'Hi &amp; bye'
+  });
+
+  await migrate();
+
+  const record = await store.get('contacts', 'contact-1');
+  assert.equal(record.assignee, "O'Brien");
+  assert.equal(record.notes, "Rider's note & more");
+  // Public form input stays escaped
+  assert.equal(record.message, 'Hi &amp; bye');
+  assert.equal((await store.getDocument('schema')).contacts, SCHEMA_VERSIONS.contacts);
+});
+
+test('leads from before v3 get unique referral codes derived from their id', async t => {
+  const { store, migrate } = setup(t);
+  await store.updateDocument('schema', doc => {
+    doc.leads = 2;
+  });
+  const taken = deriveReferralCodes([{ id: 'lead-2' }]).get('lead-2');
+  await store.insert('leads', { id: 'lead-1', email: 'a@example.com', status: 'pending', referralCode: taken });
+  await store.insert('leads', { id: 'lead-2', email: 'b@example.com', status: 'pending' });
+  await store.insert('leads', { id: 'lead-3', email: 'c@example.com', status: 'pending' });
+
+  const [dryRun] = await migrate({ dryRun: true });
+  assert.equal(dryRun.changed, 3);
+  await migrate();
+
+  const codes = (await store.list('leads')).map(lead => lead.referralCode);
+  assert.equal(codes[0], taken);
+  assert.equal(new Set(codes).size, 3);
+  assert.ok(codes.every(code => /^[A-HJ-NP-Z2-9]{8}$/.test(code)));
+  // Derived codes don't depend on when the migration runs
+  assert.equal(codes[2], deriveReferralCodes([{ id: 'lead-3' }]).get('lead-3'));
+});
+
+test('a fresh data directory is brought to the latest versions', async t => {
+  const { store, migrate } = setup(t);
+  await store.insert('contacts', { id: 'contact-1', name: 'Ada', email: 'ada@example.com' });
+
+  const report = await migrate();
+
+  assert.deepEqual(report.map(entry => [entry.collection, entry.from, entry.to]), [
+    ['leads', 0, SCHEMA_VERSIONS.leads],
+    ['contacts', 0, SCHEMA_VERSIONS.contacts],
+    ['investors', 0, SCHEMA_VERSIONS.investors]
+  ]);
+  const contact = await store.get('contacts', 'contact-1');
+  assert.equal(contact.type, 'contact');
+  assert.equal(contact.status, 'new');
+  assert.equal(contact.assignee, '');
+  assert.deepEqual(await store.getDocument('schema'), SCHEMA_VERSIONS);
+  // Nothing left to do on the next start
+  assert.deepEqual(await migrate(), []);
+});
+
+test('collections are backed up before they are rewritten', async t => {
+  const { store, dir, migrate } = setup(t);
+  await store.insert('leads', { id: 'lead-1', email: 'a@example.com' });
+
+  const [entry] = await migrate();
+
+  assert.equal(path.dirname(entry.backup), path.join(dir, 'backups'));
+  assert.deepEqual(JSON.parse(fs.readFileSync(entry.backup, 'utf8')), [{ id: 'lead-1', email: 'a@example.com' }]);
+});
+
+test('a dry run reports changes without writing anything', async t => {
+  const { store, migrate } = setup(t);
+  await store.insert('investors', { id: 'inv-1', name: 'Bo' });
+
+  const report = await migrate({ dryRun: true });
+
+  const investors = report.find(entry => entry.collection === 'investors');
+  assert.equal(investors.records, 1);
+  assert.equal(investors.changed, 1);
+  assert.deepEqual(await store.get('investors', 'inv-1'), { id: 'inv-1', name: 'Bo' });
+  assert.deepEqual(await store.getDocument('schema'), {});
+});
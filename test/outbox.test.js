@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createOutbox } = require('../lib/outbox');
+const { createMailer } = require('../lib/mailer');
+const { createSmtpSink } = require('../scripts/smtp-sink');
+const { tempStore, fakeClock, silentLogger } = require('./helpers');
+
+const BASE_DELAY_MS = 1000;
+
+// Outbox delivering over SMTP to an in-process sink, on a fake clock
+async function setup(t, { maxAttempts = 3 } = {}) {
+  const sink = createSmtpSink({ log: silentLogger });
+  const port = await sink.listen(0);
+  const { store, cleanup } = tempStore();
+  t.after(async () => {
+    await sink.close();
+    cleanup();
+  });
+
+  const now = fakeClock();
+  const mailer = createMailer({
+    transport: 'smtp',
+    env: { SMTP_HOST: '127.0.0.1', SMTP_PORT: String(port), SMTP_SECURE: 'false' },
+    logger: silentLogger
+  });
+  const outbox = createOutbox({ store, mailer, logger: silentLogger, maxAttempts, baseDelayMs: BASE_DELAY_MS, now });
+  return { sink, store, outbox, now };
+}
+
+async function enqueue(outbox) {
+  const message = await outbox.enqueue({ to: 'rider@example.com', subject: 'Hello', text: 'See you on the road', template: 'test' });
+  await outbox.flush();
+  return message;
+}
+
+test('a queued message is delivered and its body dropped', async (t) => {
+  const { sink, store, outbox } = await setup(t);
+  const message = await enqueue(outbox);
+
+  assert.equal(sink.messages.length, 1);
+  assert.deepEqual(sink.messages[0].to, ['<rider@example.com>']);
+  assert.match(sink.messages[0].data, /^Subject: Hello$/m);
+  assert.match(sink.messages[0].data, /See you on the road/);
+
+  const record = await store.get('outbox', message.id);
+  assert.equal(record.status, 'sent');
+  assert.equal(record.attempts, 1);
+  assert.equal(record.text, null);
+  assert.ok(record.sentAt);
+});
+
+test('a failed send is retried after an exponential backoff', async (t) => {
+  const { sink, store, outbox, now } = await setup(t);
+  sink.failNext(2);
+  const message = await enqueue(outbox);
+
+  let record = await store.get('outbox', message.id);
+  assert.equal(record.status, 'queued');
+  assert.equal(record.attempts, 1);
+  assert.match(record.lastError, /451/);
+  assert.equal(Date.parse(record.nextAttemptAt), now() + BASE_DELAY_MS);
+
+  // Not due yet
+  now.advance(BASE_DELAY_MS - 1);
+  assert.deepEqual(await outbox.flush(), { attempted: 0, sent: 0 });
+
+  now.advance(1);
+  assert.deepEqual(await outbox.flush(), { attempted: 1, sent: 0 });
+  record = await store.get('outbox', message.id);
+  assert.equal(record.attempts, 2);
+  assert.equal(Date.parse(record.nextAttemptAt), now() + 2 * BASE_DELAY_MS);
+
+  now.advance(2 * BASE_DELAY_MS);
+  assert.deepEqual(await outbox.flush(), { attempted: 1, sent: 1 });
+  record = await store.get('outbox', message.id);
+  assert.equal(record.status, 'sent');
+  assert.equal(record.attempts, 3);
+  assert.equal(sink.messages.length, 1);
+});
+
+test('a message is marked failed after maxAttempts', async (t) => {
+  const { sink, store, outbox, now } = await setup(t, { maxAttempts: 3 });
+  sink.failNext(3);
+  const message = await enqueue(outbox);
+  now.advance(BASE_DELAY_MS);
+  await outbox.flush();
+  now.advance(2 * BASE_DELAY_MS);
+  await outbox.flush();
+
+  const record = await store.get('outbox', message.id);
+  assert.equal(record.status, 'failed');
+  assert.equal(record.attempts, 3);
+  assert.match(record.lastError, /451/);
+  // Kept for an operator to look at, and never retried
+  assert.equal(record.text, 'See you on the road');
+  now.advance(24 * 60 * 60 * 1000);
+  assert.deepEqual(await outbox.flush(), { attempted: 0, sent: 0 });
+  assert.equal(sink.messages.length, 0);
+  assert.deepEqual(await outbox.stats(), { queued: 0, sent: 0, failed: 1 });
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPrivacy } = require('../lib/privacy');
+const { tempStore, silentLogger } = require('./helpers');
+
+const searchIndex = { add() {}, remove() {}, update() {} };
+
+function fakeOutbox() {
+  const queued = [];
+  return { queued, enqueue: async message => queued.push(message) };
+}
+
+async function seed(store) {
+  await store.insert('leads', { id: 'lead-1', email: 'Ada@Example.com', name: 'Ada' });
+  await store.insert('leads', { id: 'lead-2', email: 'bob@example.com', name: 'Bob' });
+  await store.insert('outbox', { id: 'mail-1', to: 'Ada@Example.com', subject: 'Confirm', text: 'Hi' });
+  await store.insert('outbox', { id: 'mail-2', to: 'team@tsono.app', subject: 'New lead', text: 'From ada@example.com' });
+  await store.insert('outbox', { id: 'mail-3', to: 'bob@example.com', subject: 'Confirm', text: 'Hi' });
+  await store.insert('webhook_deliveries', { id: 'hook-1', payload: { email: 'Ada@Example.com' } });
+  await store.insert('webhook_deliveries', { id: 'hook-2', payload: { email: 'bob@example.com' } });
+  await store.insert('quarantine', { id: 'held-1', collection: 'contacts', record: { email: ' ADA@example.com' } });
+  await store.insert('quarantine', { id: 'held-2', collection: 'contacts', record: { email: 'bob@example.com' } });
+}
+
+for (const mode of ['delete', 'pseudonymize']) {
+  test(`erasure (${mode}) also removes emails, webhook payloads and held spam`, async t => {
+    const { store, cleanup } = tempStore();
+    t.after(cleanup);
+    await seed(store);
+    const privacy = createPrivacy({ store, searchIndex, outbox: fakeOutbox(), logger: silentLogger, maskEmail: e => e, publicUrl: '' });
+
+    const affected = await privacy.adminErase('ada@example.com', mode);
+
+    assert.deepEqual(affected.leads, ['lead-1']);
+    assert.deepEqual(affected.outbox.sort(), ['mail-1', 'mail-2']);
+    assert.deepEqual(affected.webhook_deliveries, ['hook-1']);
+    assert.deepEqual(affected.quarantine, ['held-1']);
+    assert.deepEqual((await store.list('outbox')).map(m => m.id), ['mail-3']);
+    assert.deepEqual((await store.list('webhook_deliveries')).map(d => d.id), ['hook-2']);
+    assert.deepEqual((await store.list('quarantine')).map(h => h.id), ['held-2']);
+  });
+}
+
+test('privacy emails go through the outbox', async t => {
+  const { store, cleanup } = tempStore();
+  t.after(cleanup);
+  const outbox = fakeOutbox();
+  const privacy = createPrivacy({ store, searchIndex, outbox, logger: silentLogger, maskEmail: e => e, publicUrl: 'https://tsono.test' });
+
+  await privacy.submitRequest({ email: 'Ada@Example.com', type: 'access', ip: '127.0.0.1' });
+
+  assert.equal(outbox.queued.length, 1);
+  assert.equal(outbox.queued[0].template, 'privacy-confirm');
+  assert.match(outbox.queued[0].text, /https:\/\/tsono\.test\/api\/privacy\/verify\?token=/);
+});
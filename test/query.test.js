@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseListQuery, applyListQuery, MAX_LIMIT } = require('../lib/query');
+
+const CONTACTS = [
+  { id: '01', name: 'Ada', status: 'new', subject: 'general', timestamp: '2026-01-01T10:00:00.000Z' },
+  { id: '02', name: 'Bo', status: 'replied', subject: 'press', timestamp: '2026-01-02T10:00:00.000Z' },
+  { id: '03', name: 'Cy', status: 'in-progress', subject: 'general', timestamp: '2026-01-03T10:00:00.000Z' },
+  { id: '04', name: 'Di', status: 'new', subject: 'support', timestamp: '2026-01-03T10:00:00.000Z' },
+  { id: '05', name: 'Ed', status: 'archived', subject: 'general', timestamp: '2026-01-05T10:00:00.000Z' }
+];
+
+const list = query => applyListQuery(CONTACTS, parseListQuery('contacts', query));
+const ids = result => result.data.map(r => r.id);
+
+test('newest first by default', () => {
+  assert.deepEqual(ids(list({})), ['05', '04', '03', '02', '01']);
+});
+
+test('sorting by a field, ties broken by id', () => {
+  assert.deepEqual(ids(list({ sort: 'name' })), ['01', '02', '03', '04', '05']);
+  assert.deepEqual(ids(list({ sort: 'timestamp' })), ['01', '02', '03', '04', '05']);
+});
+
+test('filters take comma-separated values', () => {
+  const result = list({ status: 'new,in-progress' });
+  assert.equal(result.total, 3);
+  assert.deepEqual(ids(result), ['04', '03', '01']);
+});
+
+test('date ranges include the whole end day', () => {
+  assert.deepEqual(ids(list({ from: '2026-01-02', to: '2026-01-03' })), ['04', '03', '02']);
+});
+
+test('cursor pages cover every record once, even when records arrive in between', () => {
+  const first = list({ limit: 2 });
+  assert.deepEqual(ids(first), ['05', '04']);
+  assert.ok(first.nextCursor);
+
+  const arrived = [...CONTACTS, { id: '06', name: 'Fi', status: 'new', timestamp: '2026-01-06T10:00:00.000Z' }];
+  const second = applyListQuery(arrived, parseListQuery('contacts', { limit: 2, cursor: first.nextCursor }));
+  assert.deepEqual(ids(second), ['03', '02']);
+  const third = applyListQuery(arrived, parseListQuery('contacts', { limit: 2, cursor: second.nextCursor }));
+  assert.deepEqual(ids(third), ['01']);
+  assert.equal(third.nextCursor, null);
+});
+
+test('bad parameters are refused', () => {
+  assert.throws(() => parseListQuery('contacts', { limit: MAX_LIMIT + 1 }), /limit must be/);
+  assert.throws(() => parseListQuery('contacts', { limit: 'ten' }), /limit must be/);
+  assert.throws(() => parseListQuery('contacts', { sort: 'message' }), /sort must be one of/);
+  assert.throws(() => parseListQuery('contacts', { from: 'yesterday' }), /Invalid from date/);
+  assert.throws(() => parseListQuery('contacts', { cursor: 'not-a-cursor' }), /Invalid cursor/);
+});
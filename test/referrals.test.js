@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createReferrals, deriveReferralCodes } = require('../lib/referrals');
+const { tempStore } = require('./helpers');
+
+const CODE = /^[ABCDEFGHJKMNPQRSTUVWXYZ23456789]{8}$/;
+
+// Six leads in signup order; the last one brought in two confirmed signups
+// and one pending
+async function setup(t) {
+  const { store, cleanup } = tempStore();
+  t.after(cleanup);
+  const leads = [
+    { id: 'l1', email: 'ada@example.com', referralCode: 'AAAAAAAA', status: 'confirmed' },
+    { id: 'l2', email: 'bo@example.com', referralCode: 'BBBBBBBB', status: 'confirmed' },
+    { id: 'l3', email: 'cy@example.com', referralCode: 'CCCCCCCC', status: 'confirmed', referredBy: 'l6' },
+    { id: 'l4', email: 'di@example.com', referralCode: 'DDDDDDDD', status: 'confirmed', referredBy: 'l6' },
+    { id: 'l5', email: 'ed@example.com', referralCode: 'EEEEEEEE', status: 'pending', referredBy: 'l6' },
+    { id: 'l6', email: 'fi.x@gmail.com', referralCode: 'FFFFFFFF', status: 'confirmed' }
+  ];
+  for (const lead of leads) await store.insert('leads', { name: lead.id.toUpperCase(), ...lead });
+  return { store, referrals: createReferrals({ store, publicUrl: 'https://tsono.test', boost: 2 }) };
+}
+
+test('new codes are well formed and unused', async t => {
+  const { referrals } = await setup(t);
+  const code = await referrals.newCode();
+  assert.match(code, CODE);
+  assert.equal(referrals.link(code), `https://tsono.test/?ref=${code}#try-demo`);
+});
+
+test('signups are credited to a known referrer only once per person', async t => {
+  const { referrals } = await setup(t);
+  assert.deepEqual(await referrals.resolve(' bbbbbbbb ', 'new@example.com'), { referredBy: 'l2' });
+  assert.deepEqual(await referrals.resolve(undefined, 'new@example.com'), { referredBy: null, rejected: null });
+  assert.deepEqual(await referrals.resolve('nope', 'new@example.com'), { referredBy: null, rejected: 'invalid-code' });
+  assert.deepEqual(await referrals.resolve('GGGGGGGG', 'new@example.com'), { referredBy: null, rejected: 'unknown-code' });
+  assert.deepEqual(await referrals.resolve('FFFFFFFF', 'FIX+ref@gmail.com'), { referredBy: null, rejected: 'self-referral' });
+  assert.deepEqual(await referrals.resolve('FFFFFFFF', 'ada@example.com'), { referredBy: null, rejected: 'duplicate-email' });
+});
+
+test('confirmed referrals move a lead up the waitlist', async t => {
+  const { referrals } = await setup(t);
+  assert.deepEqual(await referrals.position('ffffffff'), {
+    position: 3,
+    total: 6,
+    referrals: 2,
+    confirmed: true,
+    referralLink: 'https://tsono.test/?ref=FFFFFFFF#try-demo'
+  });
+  // Ties go to the earlier signup
+  assert.equal((await referrals.position('BBBBBBBB')).position, 2);
+  assert.equal((await referrals.position('CCCCCCCC')).position, 4);
+  assert.equal(await referrals.position('GGGGGGGG'), null);
+});
+
+test('the leaderboard counts confirmed and pending referrals separately', async t => {
+  const { referrals } = await setup(t);
+  assert.deepEqual(await referrals.leaderboard(), [
+    { id: 'l6', name: 'L6', email: 'fi.x@gmail.com', referralCode: 'FFFFFFFF', referrals: 2, pendingReferrals: 1, position: 3 }
+  ]);
+});
+
+test('codes derived for older leads are stable and unique', () => {
+  const leads = [{ id: 'a' }, { id: 'b', referralCode: 'KEEPTHIS' }, { id: 'c' }];
+  const codes = deriveReferralCodes(leads);
+
+  assert.deepEqual([...codes.keys()], ['a', 'c']);
+  assert.deepEqual(deriveReferralCodes(leads), codes);
+  [...codes.values()].forEach(code => assert.match(code, CODE));
+  assert.notEqual(codes.get('a'), codes.get('c'));
+
+  const clash = deriveReferralCodes([{ id: 'a' }, { id: 'b', referralCode: codes.get('a') }]);
+  assert.notEqual(clash.get('a'), codes.get('a'));
+  assert.match(clash.get('a'), CODE);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SCHEMAS } = require('../lib/schemas');
+const { validateBody } = require('../lib/validation');
+
+test('a valid lead is cleaned and filled in', () => {
+  const { values, errors } = validateBody(SCHEMAS.lead, {
+    name: ' Ada <b>L</b> ',
+    email: 'Ada@Example.com',
+    interest: 'signals',
+    challenge: 'abc.def',
+    nonce: '42'
+  });
+
+  assert.deepEqual(errors, {});
+  assert.deepEqual(values, {
+    name: 'Ada L',
+    email: 'ada@example.com',
+    interest: 'signals',
+    ref: '',
+    website: '',
+    challenge: 'abc.def',
+    nonce: '42',
+    keepEmail: false
+  });
+});
+
+test('missing, malformed and unknown fields are all reported', () => {
+  const { errors } = validateBody(SCHEMAS.contact, {
+    name: '   ',
+    email: 'not-an-email',
+    subject: 'sales',
+    message: 'x'.repeat(5001),
+    keepEmail: 'yes',
+    admin: true
+  });
+
+  assert.deepEqual(errors, {
+    admin: 'Unknown field',
+    name: 'Name is required',
+    email: 'Valid email is required',
+    subject: 'Subject must be one of: general, support, feedback, partnership, press',
+    message: 'Message must be at most 5000 characters',
+    keepEmail: 'Must be true or false'
+  });
+});
+
+test('optional investor fields take their defaults', () => {
+  const { values, errors } = validateBody(SCHEMAS.investor, { name: 'Cy', email: 'cy@fund.example' });
+  assert.deepEqual(errors, {});
+  assert.equal(values.type, 'general');
+  assert.equal(values.company, '');
+  assert.equal(values.message, '');
+});
+
+test('non-string values and non-object bodies are refused', () => {
+  assert.deepEqual(validateBody(SCHEMAS.privacyRequest, { email: ['a@example.com'], type: 'access' }).errors, { email: 'Must be a string' });
+  assert.deepEqual(validateBody(SCHEMAS.privacyRequest, [1, 2]).errors, { _body: 'Expected a JSON object' });
+  assert.deepEqual(validateBody(SCHEMAS.privacyRequest, null).errors, { _body: 'Expected a JSON object' });
+});
+
+test('privacy requests take no spam-filter fields', () => {
+  const { errors } = validateBody(SCHEMAS.privacyRequest, { email: 'a@example.com', type: 'erasure', website: '' });
+  assert.deepEqual(errors, { website: 'Unknown field' });
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSearchIndex, tokenize } = require('../lib/search');
+const { tempStore } = require('./helpers');
+
+function index() {
+  const search = createSearchIndex();
+  search.add('leads', { id: 'l1', name: 'Ada Lovelace', email: 'ada@example.com', timestamp: '2026-01-01' });
+  search.add('contacts', { id: 'c1', name: 'Bo Diddley', email: 'bo@example.com', subject: 'press', message: 'Lovely group ride feature', timestamp: '2026-01-02' });
+  search.add('investors', { id: 'i1', name: 'Cy Twombly', email: 'cy@fund.example', company: 'Lovelace Capital', message: 'Seed round', timestamp: '2026-01-03' });
+  return search;
+}
+
+const found = result => Object.entries(result.results).flatMap(([collection, records]) => records.map(r => `${collection}:${r.id}`));
+
+test('terms match as prefixes across collections', () => {
+  assert.deepEqual(found(index().search('love')), ['leads:l1', 'contacts:c1', 'investors:i1']);
+});
+
+test('results are newest first and capped per collection', () => {
+  const search = createSearchIndex();
+  ['2026-01-02', '2026-01-03', '2026-01-01'].forEach((timestamp, i) => search.add('leads', { id: `l${i}`, name: 'Ada', timestamp }));
+
+  const result = search.search('ada', { limit: 2 });
+  assert.equal(result.total, 3);
+  assert.deepEqual(found(result), ['leads:l1', 'leads:l0']);
+});
+
+test('every term has to match', () => {
+  assert.deepEqual(found(index().search('lovelace capital')), ['investors:i1']);
+  assert.deepEqual(found(index().search('lovelace ride')), []);
+});
+
+test('a whole email address finds its record', () => {
+  assert.deepEqual(found(index().search('BO@example.com')), ['contacts:c1']);
+});
+
+test('updated and removed records leave the index', () => {
+  const search = index();
+  search.add('leads', { id: 'l1', name: 'Ada Byron', email: 'ada@example.com', timestamp: '2026-01-01' });
+  search.remove('contacts', 'c1');
+  assert.deepEqual(found(search.search('love')), ['investors:i1']);
+  assert.deepEqual(found(search.search('byron')), ['leads:l1']);
+});
+
+test('escaped stored text is searchable as typed', () => {
+  assert.deepEqual(tokenize('O&#x27;Brien &amp; sons'), ['brien', 'sons']);
+  const search = createSearchIndex();
+  search.add('contacts', { id: 'c1', name: 'O&#x27;Brien', timestamp: '2026-01-01' });
+  assert.equal(search.search('brien').total, 1);
+  assert.equal(search.search('x27').total, 0);
+});
+
+test('build loads every submission collection from the store', async t => {
+  const { store, cleanup } = tempStore();
+  t.after(cleanup);
+  await store.insert('leads', { id: 'l1', name: 'Ada', timestamp: '2026-01-01' });
+  await store.insert('investors', { id: 'i1', name: 'Ada Capital', timestamp: '2026-01-02' });
+  const search = createSearchIndex();
+
+  assert.equal(await search.build(store), 2);
+  assert.equal(search.search('ada').total, 2);
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadSpamConfig, createSpamFilter, createQuarantine } = require('../lib/spam');
+const { tempStore, fakeClock } = require('./helpers');
+
+// The shipped settings with a cheap proof of work
+const CONFIG = { ...loadSpamConfig(path.join(__dirname, '..', 'config', 'spam.json')), difficulty: 4 };
+
+function setup() {
+  const now = fakeClock();
+  return { now, filter: createSpamFilter({ config: CONFIG, now }) };
+}
+
+// Find a nonce the way the form script does
+function solve({ challenge, difficulty }) {
+  for (let nonce = 0; ; nonce++) {
+    const digest = crypto.createHash('sha256').update(`${challenge}:${nonce}`).digest();
+    const bits = digest.readUInt32BE(0).toString(2).padStart(32, '0').indexOf('1');
+    if (bits === -1 || bits >= difficulty) return { challenge, nonce: String(nonce) };
+  }
+}
+
+// A solved challenge submitted after the minimum wait
+function answered({ now, filter }) {
+  const proof = solve(filter.issueChallenge());
+  now.advance(CONFIG.minSubmitSeconds * 1000);
+  return proof;
+}
+
+test('a solved challenge and ordinary text pass', () => {
+  const ctx = setup();
+  const verdict = ctx.filter.check(answered(ctx), { name: 'Ada', text: ['Looking forward to the launch, see https://example.com'] });
+  assert.deepEqual(verdict, { score: 0, reasons: [], flagged: false });
+});
+
+test('missing, forged and replayed proofs are flagged on their own', () => {
+  const ctx = setup();
+  assert.deepEqual(ctx.filter.check({}, { name: 'Ada' }).reasons, ['no-proof']);
+  assert.equal(ctx.filter.check({}, { name: 'Ada' }).flagged, true);
+
+  const other = createSpamFilter({ config: CONFIG, now: ctx.now });
+  const forged = solve(other.issueChallenge());
+  assert.deepEqual(ctx.filter.check(forged, { name: 'Ada' }).reasons, ['invalid-proof']);
+
+  const proof = answered(ctx);
+  assert.deepEqual(ctx.filter.check({ ...proof, nonce: 'wrong' }, { name: 'Ada' }).reasons, ['invalid-proof']);
+  assert.equal(ctx.filter.check(proof, { name: 'Ada' }).flagged, false);
+  assert.deepEqual(ctx.filter.check(proof, { name: 'Ada' }).reasons, ['replayed-proof']);
+});
+
+test('submitting too soon after the challenge adds to the score', () => {
+  const { now, filter } = setup();
+  const proof = solve(filter.issueChallenge());
+  now.advance(1000);
+  assert.deepEqual(filter.check(proof, { name: 'Ada' }), { score: CONFIG.weights.tooFast, reasons: ['too-fast'], flagged: false });
+});
+
+test('honeypots, links and spam phrases are scored', () => {
+  const ctx = setup();
+  assert.deepEqual(ctx.filter.check({ ...answered(ctx), website: 'http://spam.example' }, { name: 'Ada' }).reasons, ['honeypot']);
+
+  const verdict = ctx.filter.check(answered(ctx), {
+    name: 'www.cheap.example',
+    text: ['Best SEO services: http://a.example http://b.example http://c.example', null]
+  });
+  assert.deepEqual(verdict.reasons, ['link-in-name', 'links:3', 'phrase:seo services']);
+  assert.equal(verdict.score, CONFIG.weights.linkInName + 2 * CONFIG.weights.link + CONFIG.weights.phrase);
+  assert.equal(verdict.flagged, true);
+});
+
+test('invalid config files are refused with every problem listed', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tsono-spam-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'spam.json');
+  fs.writeFileSync(file, JSON.stringify({ ...CONFIG, threshold: -1, difficulty: 30, phrases: ['ok', ' '] }));
+
+  assert.throws(() => loadSpamConfig(file), /threshold must be a whole number; difficulty must be from 1 to 24 bits; phrases must be a list of strings/);
+});
+
+test('held submissions are listed newest first and taken once', async t => {
+  const { store, cleanup } = tempStore();
+  t.after(cleanup);
+  const now = fakeClock();
+  const quarantine = createQuarantine({ store, now });
+  const first = await quarantine.hold('contacts', { id: 'c1', name: 'Ada' }, { score: 5, reasons: ['no-proof'] });
+  now.advance(1000);
+  const second = await quarantine.hold('leads', { id: 'l1', email: 'bo@example.com' }, { score: 10, reasons: ['honeypot'] }, { ref: 'ABC123' });
+
+  assert.deepEqual((await quarantine.list()).map(h => h.id), [second.id, first.id]);
+  assert.deepEqual(second.extra, { ref: 'ABC123' });
+
+  const taken = await quarantine.take(first.id);
+  assert.deepEqual(taken.record, { id: 'c1', name: 'Ada' });
+  assert.deepEqual(taken.reasons, ['no-proof']);
+  assert.equal(await quarantine.take(first.id), null);
+  assert.deepEqual((await quarantine.list()).map(h => h.id), [second.id]);
+});
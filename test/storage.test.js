@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore } = require('../lib/storage');
+
+// Both backends pass the same adapter contract; sqlite only where the
+// optional better-sqlite3 package is installed
+const DRIVERS = ['json'];
+try {
+  require('better-sqlite3');
+  DRIVERS.push('sqlite');
+} catch (err) {
+  // JSON only
+}
+
+function openStore(t, driver) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tsono-test-'));
+  const previous = process.env.SQLITE_PATH;
+  delete process.env.SQLITE_PATH;
+  const store = createStore({ dataDir: dir, driver, keyring: null });
+  if (previous !== undefined) process.env.SQLITE_PATH = previous;
+  t.after(async () => {
+    await store.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return store;
+}
+
+for (const driver of DRIVERS) {
+  test(`${driver}: insert, get, update and remove records`, async t => {
+    const store = openStore(t, driver);
+    await store.insert('leads', { id: 'a', name: 'Ada' });
+    await store.insert('leads', { id: 'b', name: 'Bo' });
+
+    assert.deepEqual(await store.get('leads', 'a'), { id: 'a', name: 'Ada' });
+    assert.equal(await store.get('leads', 'missing'), null);
+
+    const updated = await store.update('leads', 'a', { name: 'Ada L', id: 'changed' });
+    assert.deepEqual(updated, { id: 'a', name: 'Ada L' });
+    assert.equal(await store.update('leads', 'missing', { name: 'x' }), null);
+
+    assert.equal(await store.remove('leads', 'b'), true);
+    assert.equal(await store.remove('leads', 'b'), false);
+    assert.deepEqual(await store.list('leads'), [{ id: 'a', name: 'Ada L' }]);
+  });
+
+  test(`${driver}: lists keep insertion order and collections are separate`, async t => {
+    const store = openStore(t, driver);
+    for (const id of ['c', 'a', 'b']) await store.insert('contacts', { id });
+    await store.insert('investors', { id: 'x' });
+
+    assert.deepEqual((await store.list('contacts')).map(r => r.id), ['c', 'a', 'b']);
+    assert.deepEqual((await store.list('investors')).map(r => r.id), ['x']);
+    assert.deepEqual(await store.list('leads'), []);
+  });
+
+  test(`${driver}: replace and mutate rewrite a whole collection`, async t => {
+    const store = openStore(t, driver);
+    await store.replace('leads', [{ id: '1', n: 1 }, { id: '2', n: 2 }]);
+    const result = await store.mutate('leads', records => records.filter(r => r.n > 1).map(r => ({ ...r, n: r.n * 10 })));
+
+    assert.deepEqual(result, [{ id: '2', n: 20 }]);
+    assert.deepEqual(await store.list('leads'), [{ id: '2', n: 20 }]);
+  });
+
+  test(`${driver}: documents are read and updated atomically`, async t => {
+    const store = openStore(t, driver);
+    assert.deepEqual(await store.getDocument('schema'), {});
+    await store.updateDocument('schema', doc => {
+      doc.leads = 1;
+    });
+    await store.updateDocument('schema', doc => ({ ...doc, contacts: 2 }));
+    assert.deepEqual(await store.getDocument('schema'), { leads: 1, contacts: 2 });
+  });
+
+  test(`${driver}: concurrent inserts are all kept`, async t => {
+    const store = openStore(t, driver);
+    await Promise.all(Array.from({ length: 10 }, (_, i) => store.insert('leads', { id: String(i) })));
+    assert.equal((await store.list('leads')).length, 10);
+  });
+}
+
+test('unknown drivers are refused', () => {
+  assert.throws(() => createStore({ dataDir: os.tmpdir(), driver: 'mongo', keyring: null }), /Unknown STORAGE_DRIVER "mongo"/);
+});
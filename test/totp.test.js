@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const totp = require('../lib/totp');
+const { createAccounts } = require('../lib/auth');
+const { tempStore, fakeClock } = require('./helpers');
+
+// RFC 6238 appendix B, SHA-1 variant: the ASCII secret "12345678901234567890"
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+const RFC_VECTORS = [
+  [59, '94287082'],
+  [1111111109, '07081804'],
+  [1111111111, '14050471'],
+  [1234567890, '89005924'],
+  [2000000000, '69279037'],
+  [20000000000, '65353130']
+];
+
+test('generateTotp matches the RFC 6238 test vectors', () => {
+  RFC_VECTORS.forEach(([seconds, code]) => {
+    assert.equal(totp.generateTotp(RFC_SECRET, { now: seconds * 1000, digits: 8 }), code);
+  });
+});
+
+test('verifyTotp accepts the RFC 6238 codes and returns their counter', () => {
+  RFC_VECTORS.forEach(([seconds, code]) => {
+    assert.equal(totp.verifyTotp(RFC_SECRET, code, { now: seconds * 1000, digits: 8 }), Math.floor(seconds / 30));
+  });
+});
+
+test('base32 round-trips secrets', () => {
+  const secret = totp.generateSecret();
+  assert.equal(totp.base32Encode(totp.base32Decode(secret)), secret);
+});
+
+test('verifyTotp accepts codes within the drift window only', () => {
+  const secret = totp.generateSecret();
+  const now = Date.UTC(2026, 0, 1, 12);
+  const codeAt = offsetSteps => totp.generateTotp(secret, { now: now + offsetSteps * 30 * 1000 });
+
+  assert.notEqual(totp.verifyTotp(secret, codeAt(0), { now }), null);
+  assert.notEqual(totp.verifyTotp(secret, codeAt(-1), { now }), null);
+  assert.notEqual(totp.verifyTotp(secret, codeAt(1), { now }), null);
+  assert.equal(totp.verifyTotp(secret, codeAt(-2), { now }), null);
+  assert.equal(totp.verifyTotp(secret, codeAt(2), { now }), null);
+  assert.notEqual(totp.verifyTotp(secret, codeAt(2), { now, window: 2 }), null);
+});
+
+test('verifyTotp rejects malformed codes', () => {
+  const secret = totp.generateSecret();
+  assert.equal(totp.verifyTotp(secret, '12345', {}), null);
+  assert.equal(totp.verifyTotp(secret, 'abcdef', {}), null);
+  assert.equal(totp.verifyTotp(secret, '', {}), null);
+});
+
+test('verifyTotp rejects counters at or below lastCounter', () => {
+  const secret = totp.generateSecret();
+  const now = Date.UTC(2026, 0, 1, 12);
+  const code = totp.generateTotp(secret, { now });
+  const counter = totp.verifyTotp(secret, code, { now });
+
+  assert.equal(totp.verifyTotp(secret, code, { now, lastCounter: counter }), null);
+  assert.equal(totp.verifyTotp(secret, code, { now, lastCounter: counter - 1 }), counter);
+});
+
+// Account with two-factor enabled, on a fake clock
+async function enrolledAccount(t) {
+  const { store, cleanup } = tempStore();
+  t.after(cleanup);
+  const now = fakeClock();
+  const accounts = createAccounts({ store, sessionTtlMs: 60 * 60 * 1000, now });
+  const user = await accounts.create({ username: 'ada', password: 'correct horse battery', role: 'owner' });
+  const { secret } = await accounts.beginTwoFactorSetup(user);
+  const recoveryCodes = await accounts.enableTwoFactor(user, totp.generateTotp(secret, { now: now() }));
+  assert.ok(recoveryCodes);
+  return { accounts, user, secret, recoveryCodes, now };
+}
+
+test('a TOTP code is accepted once per login', async (t) => {
+  const { accounts, user, secret, now } = await enrolledAccount(t);
+  // The enrollment code's step is used up; wait for the next one
+  now.advance(30 * 1000);
+  const code = totp.generateTotp(secret, { now: now() });
+
+  assert.equal(await accounts.checkSecondFactor(await accounts.get(user.id), { code }), true);
+  assert.equal(await accounts.checkSecondFactor(await accounts.get(user.id), { code }), false);
+
+  now.advance(30 * 1000);
+  const next = totp.generateTotp(secret, { now: now() });
+  assert.equal(await accounts.checkSecondFactor(await accounts.get(user.id), { code: next }), true);
+});
+
+test('the enrollment code cannot be replayed as a login', async (t) => {
+  const { accounts, user, secret, now } = await enrolledAccount(t);
+  const code = totp.generateTotp(secret, { now: now() });
+  assert.equal(await accounts.checkSecondFactor(await accounts.get(user.id), { code }), false);
+});
+
+test('recovery codes work once each', async (t) => {
+  const { accounts, user, recoveryCodes } = await enrolledAccount(t);
+  assert.equal(recoveryCodes.length, 10);
+
+  const [first, second] = recoveryCodes;
+  assert.equal(await accounts.checkSecondFactor(await accounts.get(user.id), { recoveryCode: first }), true);
+  assert.equal(await accounts.checkSecondFactor(await accounts.get(user.id), { recoveryCode: first }), false);
+  assert.equal(await accounts.checkSecondFactor(await accounts.get(user.id), { recoveryCode: ` ${second.toUpperCase()} ` }), true);
+  assert.equal((await accounts.get(user.id)).recoveryCodes.length, 8);
+});
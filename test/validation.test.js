@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateRecordUpdate, validateBody, sanitize, unescapeHtml } = require('../lib/validation');
+
+test('drawer saves keep assignee and notes as typed', () => {
+  const typed = { status: 'in-progress', assignee: "Rider's crew", notes: "Rider's note & <follow-up>" };
+
+  // The drawer fills its inputs from the stored record and saves them back
+  let stored = {};
+  for (let save = 0; save < 3; save++) {
+    const { changes, errors } = validateRecordUpdate('contacts', save === 0 ? typed : { ...stored });
+    assert.deepEqual(errors, {});
+    stored = { ...stored, ...changes };
+  }
+
+  assert.equal(stored.assignee, "Rider's crew");
+  assert.equal(stored.notes, "Rider's note & <follow-up>");
+});
+
+test('assignee and notes still have length limits', () => {
+  const { errors } = validateRecordUpdate('investors', { assignee: 'x'.repeat(101), notes: 'x'.repeat(5001) });
+  assert.match(errors.assignee, /at most 100/);
+  assert.match(errors.notes, /at most 5000/);
+});
+
+test('public form text is still stored escaped', () => {
+  const { values } = validateBody({ message: { maxLength: 100 } }, { message: "Rider's <b>note</b> & more" });
+  assert.equal(values.message, 'Rider&#x27;s note &amp; more');
+  assert.equal(unescapeHtml(values.message), "Rider's note & more");
+});
+
+test('unescapeHtml undoes sanitize', () => {
+  const text = `"Quotes" & 'apostrophes' > less`;
+  assert.equal(unescapeHtml(sanitize(text)), text);
+});
+
+test('record updates accept only editable fields', () => {
+  const { changes, errors } = validateRecordUpdate('leads', { id: 'other', status: 'confirmed', referralCode: 'AAAAAAAA', name: 'Ada' });
+  assert.deepEqual(changes, { name: 'Ada' });
+  assert.deepEqual(errors, { id: 'Field cannot be edited', status: 'Field cannot be edited', referralCode: 'Field cannot be edited' });
+});
+
+test('record updates check each field sent', () => {
+  const { changes, errors } = validateRecordUpdate('contacts', { email: 'Ada@Example.com', status: 'done', name: '  ', subject: null });
+  assert.deepEqual(changes, { email: 'ada@example.com' });
+  assert.deepEqual(errors, {
+    status: 'Status must be one of: new, in-progress, replied, archived',
+    name: 'Name is required',
+    subject: 'Must be a string'
+  });
+});
+
+test('record updates need at least one field', () => {
+  assert.deepEqual(validateRecordUpdate('investors', {}).errors, { _body: 'No fields to update' });
+  assert.deepEqual(validateRecordUpdate('investors', 'status=new').errors, { _body: 'Expected a JSON object' });
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { createWebhooks, validateSubscription } = require('../lib/webhooks');
+const { tempStore, silentLogger } = require('./helpers');
+
+const SECRET_KEY = 'test-webhook-secret-key';
+
+// fetch stand-in that records each request and answers 200
+function fakeFetch() {
+  const requests = [];
+  const fetch = async (url, options) => {
+    requests.push({ url, ...options });
+    return { status: 200, body: null };
+  };
+  fetch.requests = requests;
+  return fetch;
+}
+
+function setup(t, { lookup = async () => [{ address: '93.184.216.34', family: 4 }], fetch = fakeFetch() } = {}) {
+  const { store, cleanup } = tempStore();
+  t.after(cleanup);
+  const webhooks = createWebhooks({ store, logger: silentLogger, secretKey: SECRET_KEY, fetch, lookup, maxAttempts: 1 });
+  return { store, webhooks, fetch };
+}
+
+test('secrets are stored sealed and still sign deliveries', async t => {
+  const { store, webhooks, fetch } = setup(t);
+  const created = await webhooks.createSubscription({ url: 'https://example.com/hook', events: ['lead.created'] }, 'owner');
+
+  const [stored] = await store.list('webhooks');
+  assert.match(stored.secret, /^sealed:1:/);
+  assert.ok(!JSON.stringify(stored).includes(created.secret));
+  assert.strictEqual(stored.secretHint, `${created.secret.slice(0, 10)}...`);
+  assert.ok(!('secret' in (await webhooks.listSubscriptions())[0]));
+
+  await webhooks.emit('lead.created', { id: 'lead-1' });
+  await webhooks.flush();
+  const [request] = fetch.requests;
+  const [, timestamp, signature] = request.headers['X-Tsono-Signature'].match(/^t=(\d+),v1=([0-9a-f]+)$/);
+  const expected = crypto.createHmac('sha256', created.secret).update(`${timestamp}.${request.body}`).digest('hex');
+  assert.strictEqual(signature, expected);
+});
+
+test('plaintext secrets from earlier versions are sealed in place', async t => {
+  const { store, webhooks, fetch } = setup(t);
+  await store.insert('webhooks', { id: 'hook-1', url: 'https://example.com/hook', events: ['lead.created'], active: true, secret: 'whsec_legacy-secret' });
+
+  assert.strictEqual(await webhooks.sealStoredSecrets(), 1);
+  assert.strictEqual(await webhooks.sealStoredSecrets(), 0);
+  const stored = await store.get('webhooks', 'hook-1');
+  assert.match(stored.secret, /^sealed:1:/);
+  assert.strictEqual(stored.secretHint, 'whsec_lega...');
+
+  await webhooks.emit('lead.created', { id: 'lead-1' });
+  await webhooks.flush();
+  const [request] = fetch.requests;
+  const [, timestamp, signature] = request.headers['X-Tsono-Signature'].match(/^t=(\d+),v1=([0-9a-f]+)$/);
+  assert.strictEqual(signature, crypto.createHmac('sha256', 'whsec_legacy-secret').update(`${timestamp}.${request.body}`).digest('hex'));
+});
+
+test('URLs on loopback and private networks are refused', () => {
+  const check = url => validateSubscription({ url, events: ['lead.created'] }).errors.url;
+  for (const url of ['http://localhost:3000/', 'http://127.0.0.1/', 'http://2130706433/', 'http://10.0.0.5/', 'http://172.16.1.1/',
+    'http://192.168.1.10/', 'http://169.254.169.254/latest/meta-data', 'http://[::1]/', 'http://[::ffff:127.0.0.1]/', 'http://[fd00::1]/']) {
+    assert.ok(check(url), url);
+  }
+  assert.strictEqual(check('https://example.com/hook'), undefined);
+  assert.strictEqual(check('http://8.8.8.8/'), undefined);
+  assert.strictEqual(validateSubscription({ url: 'http://localhost:4000/', events: ['lead.created'] }, { allowPrivate: true }).errors.url, undefined);
+});
+
+test('deliveries to hostnames that resolve to a private address are refused', async t => {
+  const { store, webhooks, fetch } = setup(t, { lookup: async () => [{ address: '10.0.0.7', family: 4 }] });
+  await webhooks.createSubscription({ url: 'https://internal.example.com/hook', events: ['lead.created'] }, 'owner');
+
+  await webhooks.emit('lead.created', { id: 'lead-1' });
+  await webhooks.flush();
+
+  assert.strictEqual(fetch.requests.length, 0);
+  const [delivery] = await store.list('webhook_deliveries');
+  assert.strictEqual(delivery.status, 'dead');
+  assert.match(delivery.lastError, /private network address/);
+});